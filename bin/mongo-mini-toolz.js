@@ -0,0 +1,651 @@
+#!/usr/bin/env node
+const path = require("path");
+const fs = require("fs-extra");
+const { parseArgs } = require("util");
+const { createEngine } = require("../lib/engine");
+
+// mongo-mini-toolz: backups, restores, transfers and verification from a
+// shell or cron, run by the same engine (and in the same data folder, so
+// into the same backups catalog and checkpoints) as the web server. Options
+// are the web forms' fields in kebab-case. Progress goes to stderr, the
+// result to stdout.
+//
+// Exit codes:
+//   0    done; with verification or a dry run, nothing differed
+//   1    the job failed
+//   2    bad usage, or the request was refused (bad option, unknown backup)
+//   3    verification or a dry run found differences
+//   130  cancelled with Ctrl-C (the checkpoint to --resume is printed)
+
+const EXIT = { ok: 0, failed: 1, usage: 2, differs: 3, cancelled: 130 };
+const DEFAULT_DATA_DIR = path.join(__dirname, "..", "uploads");
+// progress lines when stderr is not a terminal, e.g. in a cron mail
+const LOG_PROGRESS_MS = 10000;
+
+// flag -> [request field, value name or null for a switch, help]
+const OPTIONS = {
+  uri: ["uri", "uri", "MongoDB URI or connection profile name"],
+  db: ["dbName", "name", "database name"],
+  "src-uri": ["srcUri", "uri", "source URI or connection profile name"],
+  "src-db": ["srcDb", "name", "source database"],
+  "dst-uri": ["dstUri", "uri", "target URI or connection profile name"],
+  "dst-db": ["dstDb", "name", "target database"],
+  databases: [
+    "databases",
+    "globs",
+    'several databases instead of one, e.g. "tenant_*" or "*"',
+  ],
+  "exclude-databases": ["excludeDatabases", "globs", "databases to leave out"],
+  "system-databases": [
+    "systemDatabases",
+    null,
+    "let --databases take admin, config and local too",
+  ],
+  "users-and-roles": [
+    "usersAndRoles",
+    null,
+    "back up, or restore, the database users and roles too",
+  ],
+  "database-map": [
+    "databaseMap",
+    "map",
+    'target database names, e.g. "tenant_a -> tenant_a_copy"',
+  ],
+  backup: [
+    "archive",
+    "name",
+    "backup in the catalog, e.g. shop-1760000000000.zip",
+  ],
+  file: [
+    "file",
+    "path",
+    "backup zip, or an NDJSON/JSON/CSV/TSV/BSON/mongodump file",
+  ],
+  format: ["format", "format", "format of --file (default: from its name)"],
+  collection: [
+    "collection",
+    "name",
+    "collection a single-collection --file goes to",
+  ],
+  storage: ["target", "id", "storage target (default: local)"],
+  include: ["include", "globs", "collections to take, comma separated"],
+  exclude: ["exclude", "globs", "collections to leave out"],
+  filters: ["filters", "json", "per-collection filters (Extended JSON)"],
+  masking: ["masking", "name", "masking rule set"],
+  compression: ["compression", "type", "none, gzip or zstd"],
+  passphrase: ["passphrase", "text", "encrypt (backup) or decrypt with it"],
+  "incremental-from": [
+    "incrementalFrom",
+    "name",
+    "back up changes since this backup",
+  ],
+  tracking: ["tracking", "mode", "change tracking: none, oplog or field"],
+  "track-field": [
+    "trackField",
+    "field",
+    "field of --tracking field, e.g. updatedAt",
+  ],
+  "subset-root": [
+    "subsetRoot",
+    "coll",
+    "take a subset starting from this collection",
+  ],
+  "subset-size": [
+    "subsetSize",
+    "n|n%",
+    "sample of the root: a count or a percentage",
+  ],
+  "subset-filter": ["subsetFilter", "json", "filter on the root's sample"],
+  "subset-references": [
+    "subsetReferences",
+    "refs",
+    "references to follow, e.g. orders.userId -> users._id",
+  ],
+  "write-mode": [
+    "writeMode",
+    "mode",
+    "replace, append, upsert, skip-existing or fail-if-not-empty",
+  ],
+  "upsert-key": [
+    "upsertKey",
+    "fields",
+    "match documents on these for upsert (default: _id)",
+  ],
+  "on-error": [
+    "onError",
+    "mode",
+    "bad or refused records: stop, skip or dead-letter",
+  ],
+  "dead-letter": [
+    "deadLetter",
+    "dir",
+    "with --on-error dead-letter, where rejected records go",
+  ],
+  "collection-map": [
+    "collectionMap",
+    "map",
+    'target names, e.g. "users -> users_restored"',
+  ],
+  "collection-prefix": [
+    "collectionPrefix",
+    "text",
+    "added to every target collection name",
+  ],
+  "collection-suffix": [
+    "collectionSuffix",
+    "text",
+    "appended to every target collection name",
+  ],
+  "field-renames": [
+    "fieldRenames",
+    "renames",
+    'e.g. "users.email -> contact.email"',
+  ],
+  "batch-size": ["batchSize", "n", "documents per batch (default: 1000)"],
+  "parallel-collections": [
+    "parallelCollections",
+    "n",
+    "collections at once (default: 1)",
+  ],
+  partitions: [
+    "partitions",
+    "n",
+    "_id ranges per large collection (default: 1)",
+  ],
+  "max-docs-per-sec": [
+    "maxDocsPerSec",
+    "n",
+    "rate limit in documents per second",
+  ],
+  "max-mb-per-sec": ["maxMBPerSec", "n", "rate limit in megabytes per second"],
+  verify: [
+    "verify",
+    null,
+    "re-hash the target afterwards (replace, fail-if-not-empty)",
+  ],
+  sync: ["sync", null, "keep applying source changes until Ctrl-C cuts over"],
+  "dry-run": ["dryRun", null, "compare with the target instead of writing"],
+  report: ["report", "path", "with --dry-run, write the full report here"],
+  resume: ["resumeId", "id", "resume the interrupted job with this checkpoint"],
+  "data-dir": [
+    "dataDir",
+    "dir",
+    "data folder of the server (default: uploads/)",
+  ],
+  json: ["json", null, "print the final job record as JSON"],
+  quiet: ["quiet", null, "no progress output"],
+};
+
+const COMMON = ["data-dir", "json", "quiet"];
+const DATABASES = ["databases", "exclude-databases", "system-databases"];
+const SPEED = ["parallel-collections", "max-docs-per-sec", "max-mb-per-sec"];
+const SUBSET = [
+  "subset-root",
+  "subset-size",
+  "subset-filter",
+  "subset-references",
+];
+const MAPPING = [
+  "collection-map",
+  "collection-prefix",
+  "collection-suffix",
+  "field-renames",
+];
+
+const COMMANDS = {
+  backup: {
+    usage: "--uri <uri> (--db <name> | --databases <globs>) [options]",
+    about: "Back up a database, or several, into the backups catalog",
+    options: [
+      "uri",
+      "db",
+      ...DATABASES,
+      "storage",
+      "include",
+      "exclude",
+      "filters",
+      "masking",
+      "compression",
+      "passphrase",
+      "incremental-from",
+      "tracking",
+      "track-field",
+      "users-and-roles",
+      ...SUBSET,
+      "batch-size",
+      "partitions",
+      ...SPEED,
+      "resume",
+    ],
+    // "a|b" takes either
+    required: ["uri", "db|databases"],
+    start: (engine, body) => engine.startBackup(body),
+  },
+  restore: {
+    usage:
+      "(--backup <name> | --file <path>) --uri <uri> [--db <name>] [options]",
+    about:
+      "Restore a catalog backup or a local file into a database (or, for a backup of several, into theirs)",
+    options: [
+      "backup",
+      "file",
+      "format",
+      "collection",
+      "storage",
+      "uri",
+      "db",
+      ...DATABASES,
+      "database-map",
+      "include",
+      "exclude",
+      "passphrase",
+      "write-mode",
+      "upsert-key",
+      "on-error",
+      "dead-letter",
+      "users-and-roles",
+      ...MAPPING,
+      "batch-size",
+      ...SPEED,
+      "verify",
+      "dry-run",
+      "report",
+      "resume",
+    ],
+    // --db is needed unless the backup holds several databases
+    required: ["uri"],
+    start: startRestore,
+  },
+  transfer: {
+    usage:
+      "--src-uri <uri> --dst-uri <uri> (--src-db <name> --dst-db <name> | --databases <globs>)",
+    about:
+      "Copy collections from one database to another, or several databases",
+    options: [
+      "src-uri",
+      "src-db",
+      "dst-uri",
+      "dst-db",
+      ...DATABASES,
+      "database-map",
+      "include",
+      "exclude",
+      "filters",
+      "masking",
+      ...SUBSET,
+      "write-mode",
+      "upsert-key",
+      ...MAPPING,
+      "batch-size",
+      "partitions",
+      ...SPEED,
+      "verify",
+      "sync",
+      "dry-run",
+      "report",
+      "resume",
+    ],
+    required: ["src-uri", "src-db|databases", "dst-uri", "dst-db|databases"],
+    start: (engine, body) => engine.startTransfer(body),
+  },
+  verify: {
+    usage: "--backup <name> [--uri <uri> --db <name>] [options]",
+    about:
+      "Check a catalog backup's files, or a database restored from it, against its manifest",
+    options: [
+      "backup",
+      "storage",
+      "passphrase",
+      "uri",
+      "db",
+      ...DATABASES,
+      "database-map",
+      "include",
+      "exclude",
+    ],
+    required: ["backup"],
+    start: (engine, body) => engine.startVerify(body),
+  },
+};
+
+class UsageError extends Error {}
+
+function usage(name) {
+  const lines = [];
+  if (!name) {
+    lines.push("Usage: mongo-mini-toolz <command> [options]", "", "Commands:");
+    for (const [cmd, c] of Object.entries(COMMANDS))
+      lines.push(`  ${cmd.padEnd(10)}${c.about}`);
+    lines.push(
+      "",
+      "mongo-mini-toolz help <command> lists the options of a command.",
+      "",
+      "Environment:",
+      "  MASTER_KEY       passphrase the connection profiles are encrypted with",
+      "  MASTER_KEY_FILE  without MASTER_KEY, where a generated key is kept",
+      "                   (default ~/.config/mongo-mini-toolz/master.key, never",
+      "                   in the data folder)"
+    );
+    return lines.join("\n");
+  }
+  const command = COMMANDS[name];
+  lines.push(
+    `Usage: mongo-mini-toolz ${name} ${command.usage}`,
+    "",
+    command.about
+  );
+  lines.push("", "Options:");
+  for (const flag of [...command.options, ...COMMON]) {
+    const [, value, help] = OPTIONS[flag];
+    const left = `  --${flag}${value ? ` <${value}>` : ""}`;
+    lines.push(left.padEnd(34) + " " + help);
+  }
+  return lines.join("\n");
+}
+
+// the request body of `command` from its command line arguments
+function readBody(command, args) {
+  const flags = [...command.options, ...COMMON];
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args,
+      options: Object.fromEntries(
+        flags.map((f) => [f, { type: OPTIONS[f][1] ? "string" : "boolean" }])
+      ),
+    }));
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  const body = {};
+  for (const [flag, value] of Object.entries(values))
+    body[OPTIONS[flag][0]] = value;
+  // a resumed job keeps its settings, but connection strings are not saved
+  const required = body.resumeId
+    ? command.required.filter((f) => f.endsWith("uri"))
+    : command.required;
+  const missing = required.filter((f) =>
+    f.split("|").every((alt) => values[alt] == null)
+  );
+  if (missing.length)
+    throw new UsageError(
+      `Missing ${missing
+        .map((f) => "--" + f.split("|").join(" or --"))
+        .join(", ")}`
+    );
+  if (body.subsetRoot) {
+    const size = String(body.subsetSize || "").trim();
+    const sample = {};
+    if (size.endsWith("%")) sample.percent = size.slice(0, -1).trim();
+    else if (size) sample.count = size;
+    if (body.subsetFilter) sample.filter = body.subsetFilter;
+    body.subset = {
+      root: body.subsetRoot,
+      sample,
+      references: body.subsetReferences || "",
+    };
+  }
+  if (body.onError === "dead-letter" && !body.deadLetter)
+    throw new UsageError("--on-error dead-letter needs --dead-letter <dir>");
+  if (body.report && !body.dryRun)
+    throw new UsageError("--report is for dry runs");
+  return body;
+}
+
+// a catalog backup, a local file, or (resuming) whichever the checkpoint was
+async function startRestore(engine, body) {
+  if (body.resumeId) {
+    const cp = await engine.checkpoints.load(body.resumeId).catch(() => null);
+    const type = cp && cp.op === "upload" ? "upload" : "restore";
+    return engine.startRestore(type, body, {});
+  }
+  if (!body.archive === !body.file)
+    throw new UsageError("Give either --backup or --file");
+  if (body.archive)
+    return engine.restoreBackup(body.target, body.archive, body);
+  const file = path.resolve(body.file);
+  if (!(await fs.pathExists(file)))
+    throw new UsageError(`No such file: ${body.file}`);
+  return engine.startRestore("restore", body, {
+    archive: file,
+    fileName: path.basename(file),
+  });
+}
+
+// Progress output on stderr: one line per event, progress events rewriting
+// one line on a terminal and logged now and then otherwise
+function createPrinter({ quiet }) {
+  const tty = process.stderr.isTTY;
+  let lastProgress = 0;
+  let open = false;
+  const print = (text) => {
+    if (quiet) return;
+    process.stderr.write((open ? "\r\x1b[K" : "") + text + "\n");
+    open = false;
+  };
+  const progress = (text) => {
+    if (quiet) return;
+    if (tty) {
+      process.stderr.write("\r\x1b[K" + text);
+      open = true;
+    } else if (Date.now() - lastProgress >= LOG_PROGRESS_MS) {
+      lastProgress = Date.now();
+      print(text);
+    }
+  };
+  const percent = (d) => (d.percent != null ? ` ${d.percent}%` : "");
+  const done = (d) =>
+    [d.docsDone, d.transferred, d.importedCount].find((n) => n != null);
+
+  return {
+    print,
+    event(event, d) {
+      // "<job type>-<what happened>"
+      const what = event.slice(event.indexOf("-") + 1);
+      switch (what) {
+        case "start":
+          if (event === "verify-start")
+            return print(`Verifying ${d.totalCollections} collection(s)...`);
+          return print(
+            `Starting: ${d.totalCollections} collection(s)` +
+              (d.views && d.views.length ? `, ${d.views.length} view(s)` : "") +
+              (d.checkpointId ? ` (checkpoint ${d.checkpointId})` : "")
+          );
+        case "converted":
+          return print(`Converted ${d.format} file`);
+        case "collection-start":
+          return print(
+            `${d.collection}${
+              d.target && d.target !== d.collection ? ` -> ${d.target}` : ""
+            }...`
+          );
+        case "progress":
+          return progress(
+            `${d.collection}${percent(d)} ${done(d)}/${
+              d.totalDocs
+            } documents, ${d.speed} docs/s` +
+              (d.etaSec != null ? `, ${d.etaSec}s left` : "")
+          );
+        case "collection-done":
+          return print(`${d.collection} done (${done(d)} documents)`);
+        case "views":
+          return print(
+            `Views created: ${d.created.join(", ") || "none"}` +
+              (d.kept.length ? `; kept existing: ${d.kept.join(", ")}` : "")
+          );
+        case "users-and-roles":
+          return print(`Restored ${d.users} user(s) and ${d.roles} role(s)`);
+        case "subset-start":
+          return print(`Selecting subset from ${d.root}...`);
+        case "subset-done":
+          return print(
+            "Subset: " +
+              Object.entries(d.counts)
+                .map(([c, n]) => `${c} ${n}`)
+                .join(", ")
+          );
+        case "sync-start":
+          return print(
+            "Copy done; following source changes (Ctrl-C to cut over)"
+          );
+        case "sync-progress":
+          return progress(
+            `Sync lag ${Math.round(d.lagMs / 1000)}s${
+              d.caughtUp ? " (caught up)" : ""
+            }: ` +
+              `${d.applied.inserted} inserted, ${d.applied.updated} updated, ${d.applied.deleted} deleted` +
+              (d.cuttingOver ? ", cutting over..." : "")
+          );
+        case "verify-start":
+          return print(`Verifying ${d.totalCollections} collection(s)...`);
+        // of a verify job, and of a transfer or restore verifying its target
+        case "collection":
+        case "verify-collection":
+          return print(
+            `${d.ok ? "ok      " : "MISMATCH"} ${d.collection}: ${
+              d.actualCount
+            } of ${d.expectedCount} documents` +
+              (d.ok || d.actualCount !== d.expectedCount
+                ? ""
+                : ", checksum differs")
+          );
+        case "compare-start":
+          return print(`Comparing ${d.source} with ${d.target}...`);
+        case "compare-progress":
+          return progress(
+            `${d.collection}: ${d.source} source, ${d.target} target documents read`
+          );
+        case "compare-collection": {
+          const c = d.counts;
+          return print(
+            `${d.status.padEnd(11)} ${d.collection}` +
+              (d.target !== d.collection ? ` -> ${d.target}` : "") +
+              `: ${c.same} same, ${c.different} different, ${c.onlySource} only in source, ${c.onlyTarget} only in target` +
+              (d.options ? ", options differ" : "") +
+              (d.indexes && Object.values(d.indexes).some((n) => n.length)
+                ? ", indexes differ"
+                : "")
+          );
+        }
+        default:
+          // done/error events are reported from the job record at the end
+          return undefined;
+      }
+    },
+  };
+}
+
+// whether a finished job's result shows differences
+function differs(result) {
+  if (!result) return false;
+  if (result.ok === false) return true;
+  if (result.verify && result.verify.ok === false) return true;
+  return !!(result.summary && !result.summary.identical);
+}
+
+// one line on what a finished job did
+function describeResult(type, result) {
+  // backups, comparisons (dry runs) and verify jobs first
+  if (result.name)
+    return `Backup ${result.name} written to storage ${result.target}`;
+  if (result.summary) {
+    const s = result.summary;
+    return s.identical
+      ? `No differences in ${s.collections} collection(s)`
+      : `${s.differentCollections} of ${s.collections} collection(s) differ: ` +
+          `${s.different} different, ${s.onlySource} only in source, ${s.onlyTarget} only in target`;
+  }
+  if (result.mismatched)
+    return result.ok
+      ? `Verified ${result.collections.length} collection(s)`
+      : `Verify FAILED for: ${result.mismatched.join(", ")}`;
+  const lines = [type === "transfer" ? "Transfer done" : "Restore done"];
+  if (result.rejected) lines.push(`${result.rejected} record(s) rejected`);
+  if (result.verify)
+    lines.push(
+      result.verify.skipped
+        ? result.verify.skipped
+        : result.verify.ok
+        ? "verified"
+        : `verify FAILED for: ${result.verify.mismatched.join(", ")}`
+    );
+  return lines.join("; ");
+}
+
+async function main(argv) {
+  const [name, ...args] = argv;
+  if (!name || name === "help" || name === "--help" || name === "-h") {
+    const topic = COMMANDS[args[0]] ? args[0] : null;
+    console.log(usage(topic));
+    return name ? EXIT.ok : EXIT.usage;
+  }
+  const command = COMMANDS[name];
+  if (!command) throw new UsageError(`Unknown command "${name}"`);
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(usage(name));
+    return EXIT.ok;
+  }
+  // the rest is the request, as the web form would send it
+  const { dataDir, json, quiet, report, deadLetter, ...body } = readBody(
+    command,
+    args
+  );
+
+  const printer = createPrinter({ quiet });
+  const engine = createEngine({
+    dataDir: path.resolve(dataDir || DEFAULT_DATA_DIR),
+    onEvent: (rec, event, payload) => printer.event(event, payload),
+    keepHistory: false,
+  });
+  let job;
+  try {
+    job = await command.start(engine, body);
+  } catch (err) {
+    if (err instanceof UsageError || !err.status) throw err;
+    // refused the way the web route would answer 4xx; a 5xx one failed
+    console.error(err.message);
+    return err.status >= 500 ? EXIT.failed : EXIT.usage;
+  }
+
+  // Ctrl-C cuts a live sync over, and otherwise (or the second time) cancels
+  let interrupted = false;
+  process.on("SIGINT", () => {
+    if (body.sync && !interrupted && engine.jobs.request(job.id, "cutover"))
+      printer.print("Cutting over; Ctrl-C again to cancel");
+    else engine.jobs.cancel(job.id);
+    interrupted = true;
+  });
+
+  const rec = await engine.jobs.wait(job.id);
+  // what the web UI offers for download is copied out before the
+  // leftovers of the job are cleaned up
+  const result = rec.result || {};
+  if (report && result.report)
+    await fs.copy(engine.reportFile(rec.id), path.resolve(report));
+  if (deadLetter && result.rejected)
+    await fs.copy(
+      engine.deadLetterDir(rec.checkpointId),
+      path.resolve(deadLetter)
+    );
+  await engine.flushCleanups();
+
+  if (json) console.log(JSON.stringify(rec, null, 2));
+  if (rec.status !== "done") {
+    printer.print("");
+    console.error(
+      `${rec.status === "cancelled" ? "Cancelled" : "Failed"}: ${rec.error}` +
+        (rec.checkpointId ? `\nResume with --resume ${rec.checkpointId}` : "")
+    );
+    return rec.status === "cancelled" ? EXIT.cancelled : EXIT.failed;
+  }
+  if (!json) console.log(describeResult(rec.type, result));
+  return differs(rec.result) ? EXIT.differs : EXIT.ok;
+}
+
+main(process.argv.slice(2))
+  .catch((err) => {
+    console.error(err instanceof UsageError ? err.message : err);
+    if (err instanceof UsageError) console.error("See mongo-mini-toolz help");
+    return err instanceof UsageError ? EXIT.usage : EXIT.failed;
+  })
+  .then((code) => process.exit(code));
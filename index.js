@@ -3,49 +3,57 @@ const http = require("http");
 const path = require("path");
 const { MongoClient } = require("mongodb");
 const fs = require("fs-extra");
-const archiver = require("archiver");
 const multer = require("multer");
 const { Server } = require("socket.io");
+const { isUserCollection } = require("./lib/collections");
+const { userRooms } = require("./lib/jobs");
+const { createScheduler } = require("./lib/schedules");
+const {
+  SESSION_COOKIE,
+  hasRole,
+  canAccess,
+  tokenFromHeaders,
+  createAuth,
+} = require("./lib/auth");
+const { createEngine, httpError, exportSource } = require("./lib/engine");
+const { createDeadLetter } = require("./lib/deadletter");
+const { openArchive } = require("./lib/packing");
+const { planExport, exportBackup } = require("./lib/formats");
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server);
 
 const UPLOAD_DIR = path.join(__dirname, "uploads");
-fs.ensureDirSync(UPLOAD_DIR);
-
-// cleanup scheduling: remove created paths after TTL (milliseconds)
-const CLEANUP_TTL_MIN = parseInt(process.env.CLEANUP_TTL_MIN || "60", 10);
-const scheduledCleanups = new Map();
-function scheduleCleanup(absPath, ttlMs = CLEANUP_TTL_MIN * 60 * 1000) {
-  try {
-    if (scheduledCleanups.has(absPath)) return;
-    const t = setTimeout(async () => {
-      try {
-        await fs.remove(absPath);
-      } catch (e) {
-        console.warn("cleanup remove failed", absPath, e.message);
-      }
-      scheduledCleanups.delete(absPath);
-    }, ttlMs);
-    scheduledCleanups.set(absPath, t);
-  } catch (e) {
-    console.warn("schedule cleanup failed", e.message);
-  }
-}
-
-// count lines in a file without loading whole file
-function countLinesStream(filePath) {
-  return new Promise((resolve, reject) => {
-    let count = 0;
-    const rs = fs.createReadStream(filePath, { encoding: "utf8" });
-    rs.on("data", (chunk) => {
-      for (let i = 0; i < chunk.length; i++) if (chunk[i] === "\n") count++;
-    });
-    rs.on("end", () => resolve(count));
-    rs.on("error", reject);
-  });
-}
+const engine = createEngine({ dataDir: UPLOAD_DIR, io });
+const {
+  jobs,
+  targets,
+  catalog,
+  profiles,
+  masking,
+  resolveUri,
+  findBackup,
+  startBackup,
+  startTransfer,
+  startRestore,
+  restoreBackup,
+  startVerify,
+  startCompare,
+} = engine;
+// checkpoints of jobs that were never resumed expire, now and every hour
+const sweepCheckpoints = () =>
+  engine
+    .expireCheckpoints()
+    .catch((e) => console.warn("checkpoint expiry failed", e.message));
+sweepCheckpoints();
+setInterval(sweepCheckpoints, 60 * 60 * 1000).unref();
+const SESSION_TTL_MS =
+  parseFloat(process.env.SESSION_TTL_HOURS || "12") * 60 * 60 * 1000;
+const auth = createAuth({
+  file: path.join(UPLOAD_DIR, "users.json"),
+  sessionTtlMs: SESSION_TTL_MS,
+});
 
 app.set("view engine", "ejs");
 app.set("views", path.join(__dirname, "views"));
@@ -54,380 +62,687 @@ app.use(express.static(path.join(__dirname, "public")));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
-// Home UI
+// Home UI; signed-out visitors go to the login page
 app.get("/", (req, res) => {
-  res.render("index");
+  const user = auth.authenticate(tokenFromHeaders(req.headers));
+  if (!user) return res.redirect("/login");
+  res.render("index", {
+    user,
+    canOperate: hasRole(user, "operator"),
+    isAdmin: hasRole(user, "admin"),
+  });
 });
 
-// Helper: emit progress to client
-function emitProgress(socketId, event, payload) {
-  if (!socketId) return;
-  io.to(socketId).emit(event, payload);
+app.get("/login", (req, res) => {
+  res.render("login");
+});
+
+// Sign-in: the session token is set as an http-only cookie for the UI and
+// returned for API clients, which send it as "Authorization: Bearer <token>"
+app.post("/api/login", async (req, res) => {
+  const { username, password } = req.body || {};
+  const session = await auth.login(username, password);
+  if (!session)
+    return res.status(401).json({ error: "Invalid user name or password" });
+  res.cookie(SESSION_COOKIE, session.token, {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: req.secure,
+    maxAge: SESSION_TTL_MS,
+  });
+  res.json({ ok: true, user: session.user, token: session.token });
+});
+
+app.post("/api/logout", (req, res) => {
+  auth.logout(tokenFromHeaders(req.headers));
+  res.clearCookie(SESSION_COOKIE);
+  disconnectSignedOut();
+  res.json({ ok: true });
+});
+
+// Everything below needs a signed-in user (req.user = { name, role });
+// requireRole() guards what viewers may not do
+function authenticate(req, res, next) {
+  const user = auth.authenticate(tokenFromHeaders(req.headers));
+  if (!user) return res.status(401).json({ error: "Not signed in" });
+  req.user = user;
+  next();
+}
+app.use("/api", authenticate);
+app.use("/download", authenticate);
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req.user, role)) return next();
+    res.status(403).json({ error: `Requires the ${role} role` });
+  };
 }
 
-// Backup route -> creates folder with collection JSON files and zips them
-app.post("/api/backup", async (req, res) => {
-  const { uri, dbName, socketId } = req.body;
-  if (!uri || !dbName)
-    return res.status(400).json({ error: "Missing uri or dbName" });
+// socket.io connections of sessions that ended (logout, removed user,
+// password change) are closed; the others follow their user's current role
+function disconnectSignedOut() {
+  for (const socket of io.sockets.sockets.values()) {
+    const user = auth.authenticate(socket.data.token);
+    if (user) joinUserRooms(socket, user);
+    else socket.disconnect(true);
+  }
+}
+
+// put `socket` in the rooms of `user` (see userRooms), and out of those of
+// jobs the user may no longer follow
+function joinUserRooms(socket, user) {
+  socket.data.user = user;
+  const rooms = userRooms(user);
+  for (const room of socket.rooms) {
+    if (room === socket.id || rooms.includes(room)) continue;
+    const job = room.startsWith("job:") ? jobs.get(room.slice(4)) : null;
+    if (!job || !canAccess(user, job.owner)) socket.leave(room);
+  }
+  rooms.forEach((room) => socket.join(room));
+}
 
-  const timestamp = Date.now();
-  const outDir = path.join(UPLOAD_DIR, `${dbName}-${timestamp}`);
-  await fs.ensureDir(outDir);
+app.get("/api/me", (req, res) => {
+  res.json({ ok: true, user: req.user });
+});
 
-  let client;
+// User accounts (admins only)
+app.get("/api/users", requireRole("admin"), (req, res) => {
+  res.json({ ok: true, users: auth.listUsers() });
+});
+
+app.post("/api/users", requireRole("admin"), async (req, res) => {
   try {
-    client = new MongoClient(uri);
-    await client.connect();
-    const db = client.db(dbName);
-    const collections = await db.listCollections().toArray();
+    const user = await auth.createUser(req.body);
+    res.json({ ok: true, user });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put("/api/users/:name", requireRole("admin"), async (req, res) => {
+  try {
+    const { password, role } = req.body;
+    const user = await auth.updateUser(req.params.name, { password, role });
+    if (!user) return res.status(404).json({ error: "User not found" });
+    disconnectSignedOut();
+    res.json({ ok: true, user });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
 
-    // allow client to configure batch size
-    const BATCH_SIZE = parseInt(req.body.batchSize, 10) || 1000;
+app.delete("/api/users/:name", requireRole("admin"), async (req, res) => {
+  try {
+    if (!(await auth.removeUser(req.params.name)))
+      return res.status(404).json({ error: "User not found" });
+    disconnectSignedOut();
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
 
-    emitProgress(socketId, "backup-start", {
-      totalCollections: collections.length,
-      collections: collections.map((c) => c.name),
-      batchSize: BATCH_SIZE,
+// Answer a request that starts a background job: 202 with the job id right
+// away (progress goes to the job's socket.io room), or the startup error
+async function respondWithJob(res, starting) {
+  try {
+    const job = await starting;
+    res.status(202).json({
+      ok: true,
+      jobId: job.id,
+      checkpointId: job.checkpointId,
     });
-    let collIndex = 0;
-    for (const collInfo of collections) {
-      const name = collInfo.name;
-      const coll = db.collection(name);
-      // get count if possible
-      let totalDocs = 0;
-      try {
-        totalDocs = await coll.countDocuments();
-      } catch (e) {
-        totalDocs = 0;
-      }
-
-      const outFile = path.join(outDir, `${name}.ndjson`);
-      const ws = fs.createWriteStream(outFile, { flags: "w" });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+}
 
-      emitProgress(socketId, "backup-collection-start", {
-        collection: name,
-        index: collIndex,
-        totalDocs,
-      });
+// Connection profiles: everyone signed in may list them (passwords masked),
+// operators test and use them, admins manage them
+app.get("/api/profiles", (req, res) => {
+  res.json({ ok: true, profiles: profiles.list() });
+});
 
-      const cursor = coll.find();
-      let docsDone = 0;
-      const start = Date.now();
-      while (await cursor.hasNext()) {
-        const batch = [];
-        for (let i = 0; i < BATCH_SIZE && (await cursor.hasNext()); i++) {
-          const doc = await cursor.next();
-          batch.push(doc);
-        }
-        // write batch as ndjson lines
-        for (const d of batch) {
-          ws.write(JSON.stringify(d) + "\n");
-        }
-        docsDone += batch.length;
-        const elapsedSec = Math.max(1, (Date.now() - start) / 1000);
-        const speed = Math.round(docsDone / elapsedSec); // docs/sec
-        const percent = totalDocs
-          ? Math.min(100, Math.round((docsDone / totalDocs) * 100))
-          : null;
-        const etaSec =
-          totalDocs && speed
-            ? Math.max(0, Math.round((totalDocs - docsDone) / speed))
-            : null;
-        emitProgress(socketId, "backup-progress", {
-          collection: name,
-          docsDone,
-          totalDocs,
-          percent,
-          speed,
-          etaSec,
-        });
-      }
-      ws.end();
-      collIndex++;
-      emitProgress(socketId, "backup-collection-done", {
-        collection: name,
-        index: collIndex,
-        docsDone: undefined,
-      });
-    }
+app.post("/api/profiles", requireRole("admin"), async (req, res) => {
+  try {
+    const profile = await profiles.create(req.body, req.user.name);
+    res.json({ ok: true, profile });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
 
-    // zip
-    const zipPath = path.join(UPLOAD_DIR, `${dbName}-${timestamp}.zip`);
-    await new Promise((resolve, reject) => {
-      const output = fs.createWriteStream(zipPath);
-      const archive = archiver("zip");
-      output.on("close", resolve);
-      archive.on("error", reject);
-      archive.pipe(output);
-      archive.directory(outDir, false);
-      archive.finalize();
-    });
+app.put("/api/profiles/:name", requireRole("admin"), async (req, res) => {
+  try {
+    const profile = await profiles.update(req.params.name, req.body);
+    if (!profile) return res.status(404).json({ error: "Profile not found" });
+    res.json({ ok: true, profile });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
 
-    emitProgress(socketId, "backup-done", {
-      zip: `/download/${path.basename(zipPath)}`,
-    });
+app.delete("/api/profiles/:name", requireRole("admin"), async (req, res) => {
+  if (!(await profiles.remove(req.params.name)))
+    return res.status(404).json({ error: "Profile not found" });
+  res.json({ ok: true });
+});
 
-    res.json({ ok: true, zip: `/download/${path.basename(zipPath)}` });
+// Test a profile or raw URI: server version and the databases it can see
+app.post("/api/test-connection", requireRole("operator"), async (req, res) => {
+  let client;
+  try {
+    const uri = resolveUri(req.body.uri);
+    if (!uri) throw httpError(400, "Missing uri or profile");
+    const started = Date.now();
+    client = new MongoClient(uri, { serverSelectionTimeoutMS: 5000 });
+    await client.connect();
+    const admin = client.db().admin();
+    const { version } = await admin.command({ buildInfo: 1 });
+    const result = { ok: true, version, latencyMs: Date.now() - started };
+    // users restricted to a few databases may not list them all
+    try {
+      const { databases } = await admin.listDatabases({ nameOnly: true });
+      result.databases = databases.map((d) => d.name);
+    } catch (e) {
+      result.databases = null;
+      result.databasesError = e.message;
+    }
+    res.json(result);
   } catch (err) {
-    console.error(err);
-    emitProgress(socketId, "backup-error", { message: err.message });
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 502).json({ error: err.message });
   } finally {
     if (client) await client.close();
   }
 });
 
-app.get("/download/:name", (req, res) => {
-  const file = path.join(UPLOAD_DIR, req.params.name);
-  res.download(file);
+// Masking rule sets: everyone signed in may see them, operators manage them
+// and pick one for backups and transfers. Salts are never sent out.
+app.get("/api/masking", (req, res) => {
+  res.json({ ok: true, ruleSets: masking.list() });
 });
 
-// Data transfer: copy collections from source to target
-app.post("/api/transfer", async (req, res) => {
-  const { srcUri, srcDb, dstUri, dstDb, socketId } = req.body;
-  if (!srcUri || !srcDb || !dstUri || !dstDb)
-    return res.status(400).json({ error: "Missing params" });
+app.post("/api/masking", requireRole("operator"), async (req, res) => {
+  try {
+    const ruleSet = await masking.create(req.body, req.user.name);
+    res.json({ ok: true, ruleSet });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
 
-  let srcClient, dstClient;
+// the rule set req.params.name if req.user may change it; otherwise answers
+// 404/403 and returns null. Its salt decides every pseudonym, so only its
+// creator or an admin may change or delete it.
+function ownedRuleSet(req, res) {
+  const ruleSet = masking.get(req.params.name);
+  if (!ruleSet) {
+    res.status(404).json({ error: "Rule set not found" });
+    return null;
+  }
+  if (!canAccess(req.user, ruleSet.createdBy)) {
+    res.status(403).json({ error: "This rule set belongs to another user" });
+    return null;
+  }
+  return ruleSet;
+}
+
+app.put("/api/masking/:name", requireRole("operator"), async (req, res) => {
+  if (!ownedRuleSet(req, res)) return;
   try {
-    srcClient = new MongoClient(srcUri);
-    dstClient = new MongoClient(dstUri);
-    await srcClient.connect();
-    await dstClient.connect();
-    const sdb = srcClient.db(srcDb);
-    const ddb = dstClient.db(dstDb);
-
-    const collections = await sdb.listCollections().toArray();
-    emitProgress(socketId, "transfer-start", {
-      totalCollections: collections.length,
-    });
+    const ruleSet = await masking.update(req.params.name, req.body);
+    if (!ruleSet) return res.status(404).json({ error: "Rule set not found" });
+    res.json({ ok: true, ruleSet });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
 
-    const BATCH_SIZE = parseInt(req.body.batchSize, 10) || 1000;
-    let migratedCollections = 0;
-    for (const c of collections) {
-      const name = c.name;
-      const srcColl = sdb.collection(name);
-      const dstColl = ddb.collection(name);
-      // attempt to get document count for percent reporting
-      let totalDocs = 0;
-      try {
-        totalDocs = await srcColl.countDocuments();
-      } catch (e) {
-        totalDocs = 0;
-      }
-      await dstColl.deleteMany({});
+app.delete("/api/masking/:name", requireRole("operator"), async (req, res) => {
+  if (!ownedRuleSet(req, res)) return;
+  if (!(await masking.remove(req.params.name)))
+    return res.status(404).json({ error: "Rule set not found" });
+  res.json({ ok: true });
+});
 
-      emitProgress(socketId, "transfer-collection-start", {
-        collection: name,
-        migratedCollections,
-        totalDocs,
-      });
+// List collections of a database so the UI can offer them for selection
+app.post("/api/collections", requireRole("operator"), async (req, res) => {
+  const { uri, dbName } = req.body;
+  if (!uri || !dbName)
+    return res.status(400).json({ error: "Missing uri or dbName" });
 
-      const cursor = srcColl.find();
-      let transferred = 0;
-      const tstart = Date.now();
-      while (await cursor.hasNext()) {
-        const batch = [];
-        for (let i = 0; i < BATCH_SIZE && (await cursor.hasNext()); i++) {
-          batch.push(await cursor.next());
-        }
-        if (batch.length) {
-          await dstColl.insertMany(batch);
-          transferred += batch.length;
-          const elapsedSec = Math.max(1, (Date.now() - tstart) / 1000);
-          const speed = Math.round(transferred / elapsedSec);
-          const percent = totalDocs
-            ? Math.min(100, Math.round((transferred / totalDocs) * 100))
-            : null;
-          const etaSec =
-            totalDocs && speed
-              ? Math.max(0, Math.round((totalDocs - transferred) / speed))
-              : null;
-          emitProgress(socketId, "transfer-progress", {
-            collection: name,
-            transferred,
-            totalDocs,
-            percent,
-            speed,
-            etaSec,
-          });
+  let client;
+  try {
+    client = new MongoClient(resolveUri(uri));
+    await client.connect();
+    const db = client.db(dbName);
+    const infos = (await db.listCollections().toArray()).filter(
+      isUserCollection
+    );
+    const collections = [];
+    for (const c of infos) {
+      const type = c.type || "collection";
+      let count = null;
+      if (type === "collection") {
+        try {
+          count = await db.collection(c.name).estimatedDocumentCount();
+        } catch (e) {
+          count = null;
         }
       }
-      migratedCollections++;
-      emitProgress(socketId, "transfer-collection-done", {
-        collection: name,
-        migratedCollections,
-      });
+      collections.push({ name: c.name, type, count });
     }
-    emitProgress(socketId, "transfer-done", { migratedCollections });
-    res.json({ ok: true, migratedCollections });
+    collections.sort((a, b) => a.name.localeCompare(b.name));
+    res.json({ ok: true, collections });
   } catch (err) {
     console.error(err);
-    emitProgress(socketId, "transfer-error", { message: err.message });
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   } finally {
-    if (srcClient) await srcClient.close();
-    if (dstClient) await dstClient.close();
+    if (client) await client.close();
   }
 });
 
-// Upload: expects zipped folder or folder upload
-const upload = multer({ dest: UPLOAD_DIR });
-app.post("/api/upload", upload.single("file"), async (req, res) => {
-  const { uri, dbName, socketId } = req.body;
-  if (!req.file) return res.status(400).json({ error: "Missing file" });
+app.post("/api/backup", requireRole("operator"), (req, res) =>
+  respondWithJob(res, startBackup(req.body, req.user))
+);
 
-  const filePath = req.file.path;
-  const extractDir = path.join(UPLOAD_DIR, `extract-${Date.now()}`);
-  await fs.ensureDir(extractDir);
+// Catalog backup req.params.name in storage target req.query.target (default
+// local) as { target, info } if req.user may use it; otherwise answers
+// 404/403 and returns null. Only plain *.zip names are served, never
+// checkpoints, job history or other users' archives.
+async function accessibleBackup(req, res) {
+  try {
+    return await findBackup(req.query.target, req.params.name, req.user);
+  } catch (err) {
+    if (!err.status) throw err;
+    res.status(err.status).json({ error: err.message });
+    return null;
+  }
+}
+
+app.get("/download/:name", requireRole("operator"), async (req, res) => {
+  try {
+    const found = await accessibleBackup(req, res);
+    if (!found) return;
+    res.attachment(found.info.name);
+    res.set("Content-Length", String(found.info.size));
+    const rs = found.target.read(found.info.name);
+    rs.on("error", (e) => {
+      console.warn("download failed", found.info.name, e.message);
+      res.destroy(e);
+    });
+    rs.pipe(res);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-  // If zip, extract; otherwise assume it's a folder uploaded as files (multer handles file only)
-  // For simplicity, assume uploaded is a zip created by backup
-  const unzip = require("unzipper");
+// Backup streamed straight into the response as a zip download, without
+// staging files or a copy in any storage target (see startBackup). Runs as a
+// "backup" job so progress shows like any other; closing the download
+// cancels it.
+app.post("/api/backup/stream", requireRole("operator"), async (req, res) => {
   try {
-    await fs
-      .createReadStream(filePath)
-      .pipe(unzip.Extract({ path: extractDir }))
-      .promise();
+    const job = await startBackup(req.body, req.user, {
+      stream: (name) => {
+        res.attachment(name);
+        return res;
+      },
+    });
+    res.on("close", () => {
+      if (!res.writableFinished) jobs.cancel(job.id);
+    });
+    const rec = await jobs.wait(job.id);
+    if (rec.status === "done") return;
+    // before the first byte the client still gets a proper error;
+    // afterwards all that is left is to break off the download
+    if (!res.headersSent) {
+      res.removeHeader("Content-Disposition");
+      res.status(502).json({ error: rec.error });
+    } else res.destroy(new Error(rec.error));
+  } catch (err) {
+    if (!res.headersSent)
+      res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-    let client;
-    try {
-      client = new MongoClient(uri);
-      await client.connect();
-      const db = client.db(dbName);
+app.post("/api/transfer", requireRole("operator"), (req, res) =>
+  respondWithJob(res, startTransfer(req.body, req.user))
+);
 
-      const files = await fs.readdir(extractDir);
-      const ndjsonFiles = files.filter(
-        (f) => f.endsWith(".ndjson") || f.endsWith(".json")
+const upload = multer({ dest: UPLOAD_DIR });
+app.post(
+  "/api/upload",
+  requireRole("operator"),
+  upload.single("file"),
+  (req, res) =>
+    respondWithJob(
+      res,
+      startRestore("upload", req.body, {
+        archive: req.file ? req.file.path : null,
+        ownsArchive: true,
+        fileName: req.file ? req.file.originalname : null,
+        user: req.user,
+      })
+    )
+);
+
+// Storage targets backups can be written to
+app.get("/api/targets", (req, res) => {
+  res.json({ ok: true, targets: targets.list() });
+});
+
+// Backups catalog: the zips in every storage target, listed with their
+// manifests; each user sees the ones they may download, admins all
+app.get("/api/backups", async (req, res) => {
+  try {
+    const { backups, errors } = await catalog.list();
+    res.json({
+      ok: true,
+      backups: backups.filter((b) => canAccess(req.user, b.owner)),
+      errors,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete("/api/backups/:name", requireRole("operator"), async (req, res) => {
+  try {
+    const found = await accessibleBackup(req, res);
+    if (!found) return;
+    const { target, info } = found;
+    const inUse = jobs
+      .list()
+      .some(
+        (j) =>
+          j.status === "running" &&
+          j.type === "restore" &&
+          j.params.archive === info.name &&
+          (j.params.target || "local") === target.id
       );
-      emitProgress(socketId, "upload-start", {
-        totalFiles: ndjsonFiles.length,
+    if (inUse)
+      return res.status(409).json({ error: "Backup is being restored" });
+    const dependent = await catalog.dependentOf(target, info.name);
+    if (dependent)
+      return res.status(409).json({
+        error: `${dependent.name} builds on this backup; delete it first`,
       });
+    if (!(await catalog.remove(target, info.name)))
+      return res.status(404).json({ error: "Backup not found" });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      const BATCH_SIZE = parseInt(req.body.batchSize, 10) || 1000;
-      let importedCollections = 0;
-      for (const f of ndjsonFiles) {
-        const collName = f.replace(/\.(ndjson|json)$/, "");
-        const rs = fs.createReadStream(path.join(extractDir, f), {
-          encoding: "utf8",
-        });
-        let buffer = "";
-        const dst = db.collection(collName);
-        await dst.deleteMany({});
-        let docsBatch = [];
-        let importedCount = 0;
-
-        // estimate totalDocs by streaming newline count (memory friendly)
-        let totalDocs = null;
-        try {
-          totalDocs = await countLinesStream(path.join(extractDir, f));
-        } catch (e) {
-          totalDocs = null;
-        }
+// restore a stored backup; the archive stays in the catalog afterwards
+app.post("/api/backups/:name/restore", requireRole("operator"), (req, res) =>
+  respondWithJob(
+    res,
+    restoreBackup(req.query.target, req.params.name, req.body, req.user)
+  )
+);
 
-        emitProgress(socketId, "upload-collection-start", {
-          collection: collName,
-          importedCollections,
-          totalDocs,
-        });
-
-        const ustart = Date.now();
-        for await (const chunk of rs) {
-          buffer += chunk;
-          let idx;
-          while ((idx = buffer.indexOf("\n")) >= 0) {
-            const line = buffer.slice(0, idx).trim();
-            buffer = buffer.slice(idx + 1);
-            if (!line) continue;
-            try {
-              const obj = JSON.parse(line);
-              docsBatch.push(obj);
-            } catch (e) {
-              // skip parse error
-              continue;
-            }
-            if (docsBatch.length >= BATCH_SIZE) {
-              await dst.insertMany(docsBatch);
-              importedCount += docsBatch.length;
-              docsBatch = [];
-              const elapsedSec = Math.max(1, (Date.now() - ustart) / 1000);
-              const speed = Math.round(importedCount / elapsedSec);
-              const percent = totalDocs
-                ? Math.min(100, Math.round((importedCount / totalDocs) * 100))
-                : null;
-              const etaSec =
-                totalDocs && speed
-                  ? Math.max(0, Math.round((totalDocs - importedCount) / speed))
-                  : null;
-              emitProgress(socketId, "upload-progress", {
-                collection: collName,
-                importedCount,
-                totalDocs,
-                percent,
-                speed,
-                etaSec,
-              });
-            }
-          }
-        }
-        if (docsBatch.length) {
-          await dst.insertMany(docsBatch);
-          importedCount += docsBatch.length;
-          const elapsedSec = Math.max(1, (Date.now() - ustart) / 1000);
-          const speed = Math.round(importedCount / elapsedSec);
-          const percent = totalDocs
-            ? Math.min(100, Math.round((importedCount / totalDocs) * 100))
-            : null;
-          const etaSec =
-            totalDocs && speed
-              ? Math.max(0, Math.round((totalDocs - importedCount) / speed))
-              : null;
-          emitProgress(socketId, "upload-progress", {
-            collection: collName,
-            importedCount,
-            totalDocs,
-            percent,
-            speed,
-            etaSec,
-          });
-        }
-        importedCollections++;
-        emitProgress(socketId, "upload-collection-done", {
-          collection: collName,
-          importedCount,
-        });
+// check a stored backup against its manifest: its own files, or with
+// { uri, dbName } a database restored from it
+app.post("/api/backups/:name/verify", requireRole("operator"), (req, res) =>
+  respondWithJob(
+    res,
+    startVerify(
+      { ...req.body, archive: req.params.name, target: req.query.target },
+      req.user
+    )
+  )
+);
+
+// Download a stored backup in another format: body { format, collection,
+// passphrase }, see lib/formats.js for the formats
+app.post(
+  "/api/backups/:name/export",
+  requireRole("operator"),
+  async (req, res) => {
+    let plan;
+    let source;
+    try {
+      const found = await accessibleBackup(req, res);
+      if (!found) return;
+      const { target, info } = found;
+      const zip = await target.openZip(info.name);
+      try {
+        if (info.incremental)
+          throw new Error(
+            "An incremental backup only holds changes; export the full backup instead"
+          );
+        source = exportSource(
+          await openArchive(zip, req.body.passphrase),
+          info.name
+        );
+        plan = planExport(info.name, req.body, source.collections);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
       }
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    res.attachment(plan.fileName);
+    exportBackup(plan, source, res).catch((e) => {
+      console.warn("export failed", plan.fileName, e.message);
+      res.destroy(e);
+    });
+  }
+);
 
-      // schedule cleanup of extracted dir and zip file (if exists)
-      scheduleCleanup(extractDir);
-      scheduleCleanup(filePath);
+app.post("/api/compare", requireRole("operator"), (req, res) =>
+  respondWithJob(res, startCompare(req.body, req.user))
+);
 
-      emitProgress(socketId, "upload-done", { importedCollections });
-      res.json({ ok: true, importedCollections });
-    } finally {
-      if (client) await client.close();
-    }
+// Jobs: status, history and cancellation; users see their own jobs, admins
+// everyone's
+app.get("/api/jobs", (req, res) => {
+  res.json({
+    ok: true,
+    jobs: jobs.list().filter((job) => canAccess(req.user, job.owner)),
+  });
+});
+
+app.get("/api/jobs/:id", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (!canAccess(req.user, job.owner))
+    return res.status(403).json({ error: "This job belongs to another user" });
+  res.json({ ok: true, job });
+});
+
+// rejected records of an upload or restore run with onError "dead-letter"
+app.get(
+  "/api/jobs/:id/dead-letter/:collection",
+  requireRole("operator"),
+  async (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job || !job.checkpointId)
+      return res.status(404).json({ error: "Job not found" });
+    if (!canAccess(req.user, job.owner))
+      return res
+        .status(403)
+        .json({ error: "This job belongs to another user" });
+    // "<db>/<collection>" for a restore of several databases
+    const { collection } = req.params;
+    const dir = engine.deadLetterDir(job.checkpointId);
+    const file = createDeadLetter(dir).fileOf(collection);
+    if (
+      path.relative(dir, file) !== collection + ".ndjson" ||
+      collection.split("/").includes("..") ||
+      !(await fs.pathExists(file))
+    )
+      return res
+        .status(404)
+        .json({ error: "No rejected records (or they were cleaned up)" });
+    res.download(
+      file,
+      `${job.id}-${collection.replace("/", ".")}-rejected.ndjson`
+    );
+  }
+);
+
+// report of a compare job or dry run
+app.get("/api/jobs/:id/report", requireRole("operator"), async (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (!canAccess(req.user, job.owner))
+    return res.status(403).json({ error: "This job belongs to another user" });
+  const file = engine.reportFile(job.id);
+  if (path.basename(file) !== `${job.id}.json` || !(await fs.pathExists(file)))
+    return res.status(404).json({ error: "No report (or it was cleaned up)" });
+  res.download(file, `${job.id}-report.json`);
+});
+
+// end a live sync: the job applies what is left of the change stream and
+// finishes, leaving the target ready to take over
+app.post("/api/jobs/:id/cutover", requireRole("operator"), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (!canAccess(req.user, job.owner))
+    return res.status(403).json({ error: "This job belongs to another user" });
+  if (job.type !== "transfer" || !job.params.sync)
+    return res.status(400).json({ error: "Not a live sync job" });
+  if (!jobs.request(job.id, "cutover"))
+    return res.status(409).json({ error: `Job is already ${job.status}` });
+  res.json({ ok: true, jobId: job.id });
+});
+
+app.delete("/api/jobs/:id", requireRole("operator"), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (!canAccess(req.user, job.owner))
+    return res.status(403).json({ error: "This job belongs to another user" });
+  if (!jobs.cancel(req.params.id))
+    return res.status(409).json({ error: `Job is already ${job.status}` });
+  res.json({ ok: true, jobId: job.id });
+});
+
+// Scheduled backups: stored in uploads/schedules.json and run by the server
+const scheduler = createScheduler({
+  file: path.join(UPLOAD_DIR, "schedules.json"),
+  // runs as the user who created the schedule, if they still may
+  runBackup: (s) => {
+    const user = s.owner ? auth.getUser(s.owner) : null;
+    if (s.owner && !hasRole(user, "operator"))
+      throw httpError(403, `Schedule owner ${s.owner} may no longer back up`);
+    return startBackup(
+      { ...s.options, uri: s.uri, dbName: s.dbName, schedule: s.name },
+      user
+    );
+  },
+  // a backup later incrementals build on is kept, as a delete would be refused
+  removeBackup: async (b) => {
+    const target = targets.get(b.target);
+    if (!target) return true;
+    if (await catalog.dependentOf(target, b.file)) return false;
+    await catalog.remove(target, b.file);
+    return true;
+  },
+  secrets: profiles,
+  waitForJob: (id) => jobs.wait(id),
+});
+scheduler.start();
+
+app.get("/api/schedules", (req, res) => {
+  res.json({ ok: true, schedules: scheduler.list() });
+});
+
+// the schedule req.params.id if req.user may change it; otherwise answers
+// 404/403 and returns null
+function ownedSchedule(req, res) {
+  const schedule = scheduler.get(req.params.id);
+  if (!schedule) {
+    res.status(404).json({ error: "Schedule not found" });
+    return null;
+  }
+  if (!canAccess(req.user, schedule.owner)) {
+    res.status(403).json({ error: "This schedule belongs to another user" });
+    return null;
+  }
+  return schedule;
+}
+
+app.post("/api/schedules", requireRole("operator"), async (req, res) => {
+  try {
+    const schedule = await scheduler.create(req.body, req.user.name);
+    res.json({ ok: true, schedule });
   } catch (err) {
-    console.error(err);
-    emitProgress(socketId, "upload-error", { message: err.message });
-    res.status(500).json({ error: err.message });
-  } finally {
-    // cleanup
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put("/api/schedules/:id", requireRole("operator"), async (req, res) => {
+  if (!ownedSchedule(req, res)) return;
+  try {
+    const schedule = await scheduler.update(req.params.id, req.body);
+    if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+    res.json({ ok: true, schedule });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/schedules/:id", requireRole("operator"), async (req, res) => {
+  if (!ownedSchedule(req, res)) return;
+  if (!(await scheduler.remove(req.params.id)))
+    return res.status(404).json({ error: "Schedule not found" });
+  res.json({ ok: true });
+});
+
+// run a schedule right away, outside its cron times
+app.post(
+  "/api/schedules/:id/run",
+  requireRole("operator"),
+  async (req, res) => {
+    if (!ownedSchedule(req, res)) return;
     try {
-      await fs.remove(filePath);
-    } catch (e) {}
-    // don't immediately remove extractDir so user can inspect; could remove later
+      const job = await scheduler.runNow(req.params.id);
+      if (!job) return res.status(404).json({ error: "Schedule not found" });
+      res.status(202).json({ ok: true, jobId: job.id });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
   }
+);
+
+// sockets sign in with the session cookie (or `auth: { token }`)
+io.use((socket, next) => {
+  const { headers, auth: handshakeAuth = {} } = socket.handshake;
+  const token = handshakeAuth.token || tokenFromHeaders(headers);
+  const user = auth.authenticate(token);
+  if (!user) return next(new Error("Not signed in"));
+  socket.data.token = token;
+  joinUserRooms(socket, user);
+  next();
 });
 
 // Websocket handshake — send socket id to client
 io.on("connection", (socket) => {
   console.log("ws connect", socket.id);
   socket.emit("welcome", { socketId: socket.id });
+
+  // follow a job's events (e.g. after a page reload); the current status is
+  // sent right away so a late subscriber is not left blank
+  socket.on("subscribe", ({ jobId } = {}) => {
+    const job = jobId && jobs.get(jobId);
+    if (!job || !canAccess(socket.data.user, job.owner)) return;
+    socket.join(`job:${jobId}`);
+    socket.emit("job-update", job);
+  });
+  socket.on("unsubscribe", ({ jobId } = {}) => {
+    if (jobId) socket.leave(`job:${jobId}`);
+  });
 });
 
 const PORT = process.env.PORT || 4040;
-server.listen(PORT, () =>
-  console.log(`MongoDB Mini Toolz listening on http://localhost:${PORT}`)
-);
+auth
+  .bootstrap()
+  .then(() =>
+    server.listen(PORT, () =>
+      console.log(`MongoDB Mini Toolz listening on http://localhost:${PORT}`)
+    )
+  );
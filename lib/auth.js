@@ -0,0 +1,218 @@
+const crypto = require("crypto");
+const fs = require("fs-extra");
+
+// viewer < operator < admin: viewers only look, operators run jobs and manage
+// what they started, admins manage everything including users
+const ROLES = ["viewer", "operator", "admin"];
+const SESSION_COOKIE = "mmt_session";
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// what jobs, checkpoints and backups record as their owner
+function ownerOf(user) {
+  return user ? user.name : null;
+}
+
+// Admins reach everything, other users only what they started; `user` is null
+// when the server or the command line acts on its own. Records from before
+// sign-in existed have no owner and are admin-only.
+function canAccess(user, owner) {
+  return (
+    !user || user.role === "admin" || (owner != null && owner === user.name)
+  );
+}
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) =>
+    crypto.scrypt(password, salt, 64, (err, key) =>
+      err ? reject(err) : resolve(key)
+    )
+  );
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+async function checkPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(password, Buffer.from(salt, "hex"));
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// session token from "Authorization: Bearer ..." or the session cookie
+function tokenFromHeaders(headers = {}) {
+  const auth = headers.authorization || "";
+  if (auth.startsWith("Bearer ")) return auth.slice(7).trim();
+  for (const part of String(headers.cookie || "").split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === SESSION_COOKIE) return decodeURIComponent(v.join("="));
+  }
+  return null;
+}
+
+// Local user accounts in `file` (owner-only, passwords scrypt-hashed) and
+// login sessions. Sessions are random bearer tokens kept in memory by their
+// hash, so a restart signs everybody out. Without any account the first
+// start creates an admin from ADMIN_USER / ADMIN_PASSWORD, or with a random
+// password that is printed once.
+function createAuth({ file, sessionTtlMs }) {
+  let users = [];
+  try {
+    users = fs.readJsonSync(file);
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn("users load failed", e.message);
+  }
+  const sessions = new Map(); // sha256(token) -> { name, expiresAt }
+
+  async function save() {
+    await fs.outputJson(file + ".tmp", users, { spaces: 2, mode: 0o600 });
+    await fs.move(file + ".tmp", file, { overwrite: true });
+  }
+
+  function view(u) {
+    return { name: u.name, role: u.role, createdAt: u.createdAt };
+  }
+
+  function find(name) {
+    return users.find((u) => u.name === name) || null;
+  }
+
+  function validate({ name, password, role }, creating) {
+    if (creating && !/^[\w.@-]{1,64}$/.test(name || ""))
+      throw new Error("User name may only use letters, digits and . _ @ -");
+    if (creating && find(name)) throw new Error(`User ${name} already exists`);
+    if ((creating || password !== undefined) && String(password).length < 8)
+      throw new Error("Password must be at least 8 characters");
+    if ((creating || role !== undefined) && !ROLES.includes(role))
+      throw new Error(`Role must be one of: ${ROLES.join(", ")}`);
+  }
+
+  function adminCount() {
+    return users.filter((u) => u.role === "admin").length;
+  }
+
+  async function bootstrap() {
+    if (users.length) return;
+    const name = process.env.ADMIN_USER || "admin";
+    let password = process.env.ADMIN_PASSWORD;
+    if (!password) {
+      password = crypto.randomBytes(12).toString("base64url");
+      console.log(`Created user "${name}" (admin) with password: ${password}`);
+    }
+    await createUser({ name, password, role: "admin" });
+  }
+
+  async function createUser({ name, password, role }) {
+    validate({ name, password, role }, true);
+    const u = {
+      name,
+      role,
+      password: await hashPassword(password),
+      createdAt: new Date().toISOString(),
+    };
+    users.push(u);
+    await save();
+    return view(u);
+  }
+
+  async function updateUser(name, { password, role }) {
+    const u = find(name);
+    if (!u) return null;
+    validate({ password, role }, false);
+    if (role && role !== "admin" && u.role === "admin" && adminCount() === 1)
+      throw new Error("Cannot demote the last admin");
+    if (role) u.role = role;
+    if (password !== undefined) {
+      u.password = await hashPassword(password);
+      endSessions(name);
+    }
+    await save();
+    return view(u);
+  }
+
+  async function removeUser(name) {
+    const u = find(name);
+    if (!u) return false;
+    if (u.role === "admin" && adminCount() === 1)
+      throw new Error("Cannot remove the last admin");
+    users = users.filter((x) => x !== u);
+    endSessions(name);
+    await save();
+    return true;
+  }
+
+  function endSessions(name) {
+    for (const [key, s] of sessions) if (s.name === name) sessions.delete(key);
+  }
+
+  // token for a valid name/password, otherwise null
+  async function login(name, password) {
+    const u = find(name);
+    // hash anyway so unknown names take as long as wrong passwords
+    const ok = await checkPassword(
+      String(password || ""),
+      u ? u.password : "scrypt$00$00"
+    ).catch(() => false);
+    if (!u || !ok) return null;
+    const token = crypto.randomBytes(32).toString("base64url");
+    sessions.set(sha256(token), {
+      name,
+      expiresAt: Date.now() + sessionTtlMs,
+    });
+    return { token, user: view(u) };
+  }
+
+  function logout(token) {
+    if (token) sessions.delete(sha256(token));
+  }
+
+  // the signed-in user for a session token, or null
+  function authenticate(token) {
+    if (!token) return null;
+    const key = sha256(token);
+    const s = sessions.get(key);
+    if (!s) return null;
+    const u = find(s.name);
+    if (!u || s.expiresAt < Date.now()) {
+      sessions.delete(key);
+      return null;
+    }
+    return view(u);
+  }
+
+  return {
+    bootstrap,
+    login,
+    logout,
+    authenticate,
+    listUsers: () => users.map(view),
+    getUser: (name) => {
+      const u = find(name);
+      return u ? view(u) : null;
+    },
+    createUser,
+    updateUser,
+    removeUser,
+  };
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE,
+  hasRole,
+  ownerOf,
+  canAccess,
+  tokenFromHeaders,
+  createAuth,
+};
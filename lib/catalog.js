@@ -0,0 +1,154 @@
+const path = require("path");
+const { MANIFEST_FILE } = require("./manifest");
+
+// only plain "<something>.zip" names, never paths
+function isBackupName(name) {
+  return (
+    typeof name === "string" &&
+    name === path.basename(name) &&
+    name.endsWith(".zip")
+  );
+}
+
+function downloadLink(target, name) {
+  const link = `/download/${encodeURIComponent(name)}`;
+  return target.id === "local" ? link : `${link}?target=${target.id}`;
+}
+
+// Backups catalog: the zips in every storage target, described by the
+// manifest.json inside each one (read straight from the zip, no extraction).
+// Archives made before manifests existed are listed from their file entries.
+function createCatalog(targets) {
+  const cache = new Map(); // "<target>/<name>" -> { key, info }
+
+  // the storage target for a catalog request, or null for an unknown target
+  // or a name that is not a backup zip
+  function locate(targetId, name) {
+    return isBackupName(name) ? targets.get(targetId) : null;
+  }
+
+  // manifest.json of a backup zip, or null for archives without one
+  async function readManifest(target, name) {
+    const zip = await target.openZip(name);
+    const entry = zip.files.find((f) => f.path === MANIFEST_FILE);
+    return entry ? JSON.parse((await entry.buffer()).toString("utf8")) : null;
+  }
+
+  // null if the zip does not exist
+  async function describe(target, name, stat = null) {
+    stat = stat || (await target.stat(name));
+    if (!stat) return null;
+    const cacheKey = `${target.id}/${name}`;
+    const key = `${stat.size}:${new Date(stat.modifiedAt).getTime()}`;
+    const hit = cache.get(cacheKey);
+    if (hit && hit.key === key) return hit.info;
+
+    const info = {
+      name,
+      target: target.id,
+      size: stat.size,
+      createdAt: new Date(stat.modifiedAt).toISOString(),
+      sourceDb: null,
+      databases: null,
+      toolVersion: null,
+      owner: null,
+      compression: null,
+      encrypted: false,
+      tracking: null,
+      incremental: null,
+      hasManifest: false,
+      collections: {},
+      views: [],
+      usersAndRoles: null,
+      totalDocs: null,
+      download: downloadLink(target, name),
+    };
+    try {
+      const zip = await target.openZip(name);
+      const entry = zip.files.find((f) => f.path === MANIFEST_FILE);
+      if (entry) {
+        const manifest = JSON.parse((await entry.buffer()).toString("utf8"));
+        info.hasManifest = true;
+        info.tracking = manifest.tracking || null;
+        info.incremental = manifest.incremental || null;
+        info.masking = manifest.masking || null;
+        info.subset = manifest.subset || null;
+        info.sourceDb = manifest.sourceDb;
+        // backups of several databases list them; collections are then
+        // keyed "<db>/<collection>"
+        info.databases = manifest.databases || null;
+        info.toolVersion = manifest.toolVersion;
+        info.owner = manifest.createdBy || null;
+        info.compression = manifest.compression || null;
+        info.encrypted = !!manifest.encryption;
+        info.createdAt = manifest.createdAt || info.createdAt;
+        let total = 0;
+        for (const [coll, c] of Object.entries(manifest.collections || {})) {
+          info.collections[coll] = c.count;
+          total += c.count || 0;
+        }
+        info.totalDocs = total;
+        info.views = manifest.views || [];
+        // { users, roles } counts when the backup took them
+        info.usersAndRoles = manifest.usersAndRoles || null;
+      } else {
+        for (const f of zip.files) {
+          const m = /^([^/]+)\.(ndjson|json)$/.exec(f.path);
+          if (m && !f.path.endsWith(".metadata.json"))
+            info.collections[m[1]] = null;
+        }
+      }
+    } catch (e) {
+      info.error = "Unreadable archive: " + e.message;
+    }
+    cache.set(cacheKey, { key, info });
+    return info;
+  }
+
+  // all backups, newest first; a target that cannot be listed (e.g. S3 down)
+  // is reported in `errors` instead of failing the whole list
+  async function list() {
+    const backups = [];
+    const errors = [];
+    for (const target of targets.all()) {
+      let entries;
+      try {
+        entries = await target.list();
+      } catch (e) {
+        errors.push({ target: target.id, error: e.message });
+        continue;
+      }
+      for (const entry of entries) {
+        const info = await describe(target, entry.name, entry);
+        if (info) backups.push(info);
+      }
+    }
+    backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return { backups, errors };
+  }
+
+  // a backup of `target` that is an incremental built on backup `name`, or
+  // null; incrementals are useless without the backups they build on
+  async function dependentOf(target, name) {
+    const { backups } = await list();
+    return (
+      backups.find(
+        (b) =>
+          b.target === target.id &&
+          b.incremental &&
+          b.incremental.previous === name
+      ) || null
+    );
+  }
+
+  async function remove(target, name) {
+    if (!(await target.stat(name))) return false;
+    await target.remove(name);
+    cache.delete(`${target.id}/${name}`);
+    return true;
+  }
+
+  return { locate, readManifest, describe, list, dependentOf, remove };
+}
+
+module.exports = { createCatalog, isBackupName };
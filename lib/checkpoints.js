@@ -0,0 +1,119 @@
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs-extra");
+const { EJSON } = require("./ejson");
+
+// Checkpoints let an interrupted backup/transfer/upload pick up where it
+// stopped: finished collections are skipped and a partially copied one
+// continues after the last _id written (collections are read in _id order).
+// A checkpoint file is removed once its job completes; one never resumed
+// expires (see expireCheckpoints in lib/engine).
+function createCheckpointStore(dir) {
+  fs.ensureDirSync(dir);
+
+  function fileFor(id) {
+    if (!/^[\w-]+$/.test(id)) throw new Error("Invalid checkpoint id");
+    return path.join(dir, `${id}.json`);
+  }
+
+  return {
+    create(op, params, state = {}, owner = null) {
+      return {
+        // unique even for jobs of one kind started in the same millisecond
+        id: `${op}-${Date.now()}-${crypto.randomBytes(3).toString("hex")}`,
+        op,
+        owner,
+        params,
+        state,
+        collections: {},
+        createdAt: new Date().toISOString(),
+        updatedAt: null,
+      };
+    },
+    async load(id) {
+      const file = fileFor(id);
+      if (!(await fs.pathExists(file))) return null;
+      return fs.readJson(file);
+    },
+    // write-then-rename so a crash mid-save never leaves a torn file
+    async save(cp) {
+      cp.updatedAt = new Date().toISOString();
+      const file = fileFor(cp.id);
+      await fs.writeJson(file + ".tmp", cp, { spaces: 2 });
+      await fs.move(file + ".tmp", file, { overwrite: true });
+    },
+    async remove(id) {
+      await fs.remove(fileFor(id));
+    },
+    // every saved checkpoint; a file that cannot be read is left out
+    async list() {
+      const all = [];
+      for (const name of await fs.readdir(dir)) {
+        if (!name.endsWith(".json")) continue;
+        try {
+          all.push(await fs.readJson(path.join(dir, name)));
+        } catch (e) {
+          console.warn("unreadable checkpoint", name, e.message);
+        }
+      }
+      return all;
+    },
+  };
+}
+
+// connection strings (with their passwords) and backup passphrases are never
+// written to disk; a resume request sends them again and everything else
+// comes from the checkpoint
+const UNSAVED_PARAMS = [
+  "uri",
+  "srcUri",
+  "dstUri",
+  "socketId",
+  "resumeId",
+  "passphrase",
+];
+function checkpointParams(body) {
+  const params = {};
+  for (const [k, v] of Object.entries(body)) {
+    if (!UNSAVED_PARAMS.includes(k)) params[k] = v;
+  }
+  return params;
+}
+
+// _id is kept as canonical EJSON so an ObjectId comes back as an ObjectId
+function encodeId(id) {
+  return EJSON.stringify({ v: id }, { relaxed: false });
+}
+function decodeId(text) {
+  return EJSON.parse(text, { relaxed: false }).v;
+}
+
+// Filter and sort for an _id-ordered read that skips what a previous run
+// already copied. Views and timeseries collections have no _id index to walk,
+// so they are read unordered and restart from the beginning.
+function resumableQuery(query, collState, type) {
+  if (type && type !== "collection") return { filter: query.filter };
+  const filter =
+    collState && collState.lastId
+      ? { $and: [query.filter, { _id: { $gt: decodeId(collState.lastId) } }] }
+      : query.filter;
+  return { filter, sort: { _id: 1 } };
+}
+
+// The batch in flight when a job died may already be in the target, so a
+// resumed collection skips documents whose _id is there instead of failing
+// on duplicates. upsert and skip-existing are already idempotent.
+function resumeWriteMode(writeMode) {
+  if (writeMode.mode === "upsert" || writeMode.mode === "skip-existing")
+    return writeMode;
+  return { mode: "skip-existing", key: "_id" };
+}
+
+module.exports = {
+  createCheckpointStore,
+  checkpointParams,
+  encodeId,
+  decodeId,
+  resumableQuery,
+  resumeWriteMode,
+};
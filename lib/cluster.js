@@ -0,0 +1,77 @@
+const { globToRegExp, parseList } = require("./selection");
+const { databaseHashes } = require("./manifest");
+
+// Several databases in one backup, transfer or restore. Instead of dbName
+// (srcDb/dstDb for a transfer) a request names them with
+//   databases         names or globs, comma or newline separated; "*" takes
+//                     every database the server lists
+//   excludeDatabases  names or globs left out
+//   systemDatabases   also take admin, config and local, which are skipped
+//                     unless asked for (or named outright)
+// A backup keeps each database in a folder of its own, and its collections
+// are keyed "<db>/<collection>" in the manifest, checkpoints, events and
+// verify results; database names cannot contain "/", so the first one splits
+// a key. A restore takes the selected databases of such a backup (all of
+// them when none are named), and databaseMap (see lib/mapping) renames
+// databases on restore and transfer.
+
+const SYSTEM_DATABASES = ["admin", "config", "local"];
+
+// name => boolean for the databases a request asks for, or null when it
+// asks for a single database
+function parseDatabaseSelection({
+  databases,
+  excludeDatabases,
+  systemDatabases,
+}) {
+  const named = parseList(databases);
+  if (!named.length) return null;
+  const inc = named.map(globToRegExp);
+  const exc = parseList(excludeDatabases).map(globToRegExp);
+  const withSystem = systemDatabases === true || systemDatabases === "true";
+  return (name) =>
+    (withSystem || !SYSTEM_DATABASES.includes(name) || named.includes(name)) &&
+    inc.some((re) => re.test(name)) &&
+    !exc.some((re) => re.test(name));
+}
+
+// names of the databases of `client` that `select` takes, sorted; a user
+// restricted to some databases gets the ones they may read
+async function listDatabases(client, select) {
+  const { databases } = await client
+    .db()
+    .admin()
+    .listDatabases({ nameOnly: true, authorizedDatabases: true });
+  return databases
+    .map((d) => d.name)
+    .filter(select)
+    .sort();
+}
+
+function namespaceKey(db, collection) {
+  return `${db}/${collection}`;
+}
+
+// "<db>/<collection>" -> [db, collection]
+function splitKey(key) {
+  const i = key.indexOf("/");
+  return [key.slice(0, i), key.slice(i + 1)];
+}
+
+// hashOf (see verifyCollections) for keys of the databases of `client`;
+// databaseOf(name) is where a database of the backup is found
+function clusterHashes(client, databaseOf = (name) => name) {
+  return (key, checksummed) => {
+    const [db, collection] = splitKey(key);
+    return databaseHashes(client.db(databaseOf(db)))(collection, checksummed);
+  };
+}
+
+module.exports = {
+  SYSTEM_DATABASES,
+  parseDatabaseSelection,
+  listDatabases,
+  namespaceKey,
+  splitKey,
+  clusterHashes,
+};
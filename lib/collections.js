@@ -0,0 +1,285 @@
+const path = require("path");
+const fs = require("fs-extra");
+const { MongoBulkWriteError } = require("mongodb");
+const { EJSON } = require("./ejson");
+
+// system.* collections (e.g. timeseries buckets) are managed by the server
+function isUserCollection(collInfo) {
+  return !collInfo.name.startsWith("system.");
+}
+
+// views hold no documents; they are kept as their definition and recreated
+// (see createView)
+function isView(collInfo) {
+  return collInfo.type === "view";
+}
+
+// Collection metadata: options (validator, collation, capped, timeseries...) and
+// index specs, so restore/transfer can recreate the collection faithfully.
+// A view's options are its definition (viewOn, pipeline, collation).
+async function readCollectionMeta(db, collInfo) {
+  if (isView(collInfo))
+    return {
+      name: collInfo.name,
+      type: "view",
+      options: collInfo.options || {},
+      indexes: [],
+    };
+  const indexes = await db.collection(collInfo.name).listIndexes().toArray();
+  return {
+    name: collInfo.name,
+    type: collInfo.type || "collection",
+    options: collInfo.options || {},
+    indexes: indexes
+      .filter((ix) => ix.name !== "_id_")
+      .map(({ v, ns, ...spec }) => spec),
+  };
+}
+
+function metaFileName(collName) {
+  return `${collName}.metadata.json`;
+}
+
+async function readMetaFile(dir, collName) {
+  const file = path.join(dir, metaFileName(collName));
+  if (!(await fs.pathExists(file))) return null;
+  return EJSON.parse(await fs.readFile(file, "utf8"));
+}
+
+// Write modes for restore/transfer targets:
+//   replace            drop and recreate the collection (the old behaviour)
+//   append             insert next to whatever is there
+//   upsert             replace documents matching on a key (default _id)
+//   skip-existing      insert only documents whose key is not present yet
+//   fail-if-not-empty  refuse to touch a collection that already has data
+const WRITE_MODES = [
+  "replace",
+  "append",
+  "upsert",
+  "skip-existing",
+  "fail-if-not-empty",
+];
+
+// writeMode/upsertKey from a request body; requests without a mode keep the
+// historical drop-and-replace behaviour
+function parseWriteMode(body) {
+  const mode = body.writeMode || "replace";
+  if (!WRITE_MODES.includes(mode))
+    throw new Error(`Unknown write mode "${mode}"`);
+  const key = String(body.upsertKey || "").trim() || "_id";
+  return { mode, key };
+}
+
+async function collectionExists(db, name) {
+  return db.listCollections({ name }, { nameOnly: true }).hasNext();
+}
+
+// fail-if-not-empty checks every target before anything is written, so a
+// refused job leaves the target untouched
+async function assertTargetsEmpty(db, names) {
+  const nonEmpty = [];
+  for (const name of names) {
+    if (await db.collection(name).findOne({}, { projection: { _id: 1 } }))
+      nonEmpty.push(name);
+  }
+  if (nonEmpty.length)
+    throw new Error(`Target collections are not empty: ${nonEmpty.join(", ")}`);
+}
+
+// Get the target ready for loading. replace drops and recreates it with the
+// source options (or just empties it when there is no metadata, as with older
+// backups); the other modes only create it when it does not exist yet.
+async function prepareTargetCollection(db, name, meta, mode = "replace") {
+  const exists = await collectionExists(db, name);
+  if (mode === "replace") {
+    if (!meta) {
+      await db.collection(name).deleteMany({});
+      return;
+    }
+    if (exists) await db.collection(name).drop();
+    await db.createCollection(name, meta.options);
+    return;
+  }
+  if (!exists && meta) await db.createCollection(name, meta.options);
+}
+
+// indexes are built after the data load, which is much faster than
+// maintaining them on every insert
+async function rebuildIndexes(db, name, meta) {
+  if (!meta || !meta.indexes.length) return 0;
+  await db.collection(name).createIndexes(meta.indexes);
+  return meta.indexes.length;
+}
+
+function getPath(doc, dotted) {
+  return dotted
+    .split(".")
+    .reduce((v, k) => (v == null ? undefined : v[k]), doc);
+}
+
+function keyFilter(doc, key) {
+  const value = getPath(doc, key);
+  return { [key]: value === undefined ? null : value };
+}
+
+// `views` (metadata, see readCollectionMeta) ordered so that each comes after
+// the view it is defined on
+function viewOrder(views) {
+  const byName = new Map(views.map((v) => [v.name, v]));
+  const ordered = [];
+  const seen = new Set();
+  const visit = (view) => {
+    if (seen.has(view.name)) return;
+    seen.add(view.name);
+    const base = byName.get(view.options.viewOn);
+    if (base) visit(base);
+    ordered.push(view);
+  };
+  views.forEach(visit);
+  return ordered;
+}
+
+// Recreate view `name` from its metadata. replace drops whatever has the
+// name first; the other modes leave an existing one alone. Returns whether
+// the view was created.
+async function createView(db, name, meta, mode = "replace") {
+  if (await collectionExists(db, name)) {
+    if (mode !== "replace") return false;
+    await db.collection(name).drop();
+  }
+  await db.createCollection(name, meta.options);
+  return true;
+}
+
+// document-level errors (duplicate key, failed validation) of a failed
+// bulk write, or null for errors of any other kind
+function writeErrorsOf(e) {
+  const errs = e instanceof MongoBulkWriteError ? e.writeErrors : null;
+  return Array.isArray(errs) ? errs : errs ? [errs] : null;
+}
+
+function rejection(we) {
+  return { index: we.index, code: we.code, reason: we.errmsg || we.message };
+}
+
+// Run an unordered bulk write; returns [result, rejected]. With keepGoing
+// the documents the server refused come back as rejected { index, code,
+// reason } instead of failing the batch.
+async function unordered(write, keepGoing) {
+  try {
+    return [await write(), []];
+  } catch (e) {
+    const errs = keepGoing && writeErrorsOf(e);
+    if (!errs) throw e;
+    return [e.result, errs.map(rejection)];
+  }
+}
+
+// Write one batch according to the mode; returns { inserted, updated,
+// skipped, rejected } for progress/results. Without keepGoing a document
+// the server refuses fails the whole batch, and rejected is always empty.
+async function writeBatch(
+  coll,
+  batch,
+  { mode, key },
+  { keepGoing = false } = {}
+) {
+  if (mode === "upsert") {
+    const ops = batch.map((doc) => {
+      if (key === "_id") {
+        return {
+          replaceOne: {
+            filter: { _id: doc._id },
+            replacement: doc,
+            upsert: true,
+          },
+        };
+      }
+      // matched documents keep their own _id (it is immutable); new ones
+      // get the source _id. The server refuses an empty $set, so a document
+      // with nothing besides its _id only inserts.
+      const { _id, ...rest } = doc;
+      const update = {};
+      if (Object.keys(rest).length) update.$set = rest;
+      if (_id !== undefined) update.$setOnInsert = { _id };
+      return {
+        updateOne: { filter: keyFilter(doc, key), update, upsert: true },
+      };
+    });
+    const [r, rejected] = await unordered(
+      () => coll.bulkWrite(ops, { ordered: false }),
+      keepGoing
+    );
+    return {
+      inserted: r.upsertedCount,
+      updated: r.matchedCount,
+      skipped: 0,
+      rejected,
+    };
+  }
+
+  if (mode === "skip-existing") {
+    if (key === "_id") {
+      // duplicate key errors are exactly the skipped documents
+      try {
+        const r = await coll.insertMany(batch, { ordered: false });
+        return {
+          inserted: r.insertedCount,
+          updated: 0,
+          skipped: 0,
+          rejected: [],
+        };
+      } catch (e) {
+        const list = writeErrorsOf(e);
+        if (!list) throw e;
+        const other = list.filter((we) => we.code !== 11000);
+        if (other.length && !keepGoing) throw e;
+        return {
+          inserted: batch.length - list.length,
+          updated: 0,
+          skipped: list.length - other.length,
+          rejected: other.map(rejection),
+        };
+      }
+    }
+    const ops = batch.map((doc) => ({
+      updateOne: {
+        filter: keyFilter(doc, key),
+        update: { $setOnInsert: doc },
+        upsert: true,
+      },
+    }));
+    const [r, rejected] = await unordered(
+      () => coll.bulkWrite(ops, { ordered: false }),
+      keepGoing
+    );
+    return {
+      inserted: r.upsertedCount,
+      updated: 0,
+      skipped: batch.length - r.upsertedCount - rejected.length,
+      rejected,
+    };
+  }
+
+  const [r, rejected] = await unordered(
+    () => coll.insertMany(batch, { ordered: !keepGoing }),
+    keepGoing
+  );
+  return { inserted: r.insertedCount, updated: 0, skipped: 0, rejected };
+}
+
+module.exports = {
+  isUserCollection,
+  isView,
+  readCollectionMeta,
+  metaFileName,
+  readMetaFile,
+  WRITE_MODES,
+  parseWriteMode,
+  assertTargetsEmpty,
+  prepareTargetCollection,
+  rebuildIndexes,
+  viewOrder,
+  createView,
+  writeBatch,
+};
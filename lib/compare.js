@@ -0,0 +1,428 @@
+const crypto = require("crypto");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const fs = require("fs-extra");
+const { BSON } = require("mongodb");
+const { EJSON, FIND_OPTIONS, parseDocLine } = require("./ejson");
+const { encodeId, decodeId } = require("./checkpoints");
+const { compareIds } = require("./idorder");
+const {
+  isUserCollection,
+  isView,
+  readCollectionMeta,
+} = require("./collections");
+const { namespaceKey, splitKey } = require("./cluster");
+
+// Comparison of two sides, each a database or the .ndjson files of a backup,
+// collection by collection: documents only on the source side, only on the
+// target side, and with the same _id but different content, plus index and
+// option differences. Documents are matched by _id and compared by the hash
+// of their BSON bytes, walking both sides of a collection in _id order at
+// once, so only counts and a few sample ids are kept. A database side is read
+// in that order; the documents of a file side are sorted first, in runs
+// written to temporary files when there are many (see sortedEntries).
+// A side is { label, ordered, collections(), meta(name), docs(name) };
+// `ordered` says docs() come in _id order.
+
+// ids listed per kind of difference and collection; the counts are complete
+const SAMPLE_LIMIT = 20;
+const PROGRESS_INTERVAL_MS = 1000;
+// _id/hash entries sorted in memory at a time; more go through temp files
+const RUN_LENGTH = 100000;
+
+// `db` as a side; queryOf(name) may narrow what is read ({ filter,
+// projection }), as a transfer's per-collection filters do. Views hold no
+// documents of their own and are left out.
+function dbSide(db, label, { queryOf = () => ({ filter: {} }) } = {}) {
+  let infos = null;
+  const infoOf = async (name) => {
+    if (!infos)
+      infos = new Map(
+        (await db.listCollections().toArray())
+          .filter((c) => isUserCollection(c) && !isView(c))
+          .map((c) => [c.name, c])
+      );
+    return infos.get(name);
+  };
+  return {
+    label,
+    ordered: true,
+    async collections() {
+      await infoOf();
+      return [...infos.keys()];
+    },
+    async meta(name) {
+      const info = await infoOf(name);
+      return info ? readCollectionMeta(db, info) : null;
+    },
+    docs(name) {
+      const { filter, projection } = queryOf(name);
+      // the simple collation, whatever the collection's default, so the order
+      // is the one compareIds knows
+      return db.collection(name).find(filter, {
+        ...FIND_OPTIONS,
+        projection,
+        sort: { _id: 1 },
+        collation: { locale: "simple" },
+        allowDiskUse: true,
+      });
+    },
+  };
+}
+
+// .ndjson files as a side: `collections` names them, read(name) opens one
+// as a stream and meta(name) reads its metadata (null if there is none)
+function fileSide({ label, collections, read, meta }) {
+  return {
+    label,
+    ordered: false,
+    collections: async () => collections,
+    meta: async (name) => meta(name),
+    async *docs(name) {
+      const input = read(name);
+      if (!input) return;
+      const rl = readline.createInterface({ input, crlfDelay: Infinity });
+      let lineNo = 0;
+      for await (const line of rl) {
+        lineNo++;
+        if (!line.trim()) continue;
+        try {
+          yield parseDocLine(line);
+        } catch (e) {
+          throw new Error(`${name} line ${lineNo}: ${e.message}`);
+        }
+      }
+    },
+  };
+}
+
+// the sides of several databases, [[db, side]], as one whose collections are
+// keyed "<db>/<collection>" (see lib/cluster)
+function clusterSide(sides, label) {
+  const byDb = new Map(sides);
+  const sideOf = (key) => byDb.get(splitKey(key)[0]);
+  return {
+    label,
+    ordered: sides.every(([, side]) => side.ordered),
+    async collections() {
+      const keys = [];
+      for (const [db, side] of byDb)
+        for (const name of await side.collections())
+          keys.push(namespaceKey(db, name));
+      return keys;
+    },
+    meta: async (key) => sideOf(key).meta(splitKey(key)[1]),
+    docs: (key) => sideOf(key).docs(splitKey(key)[1]),
+  };
+}
+
+function digest(doc) {
+  return crypto
+    .createHash("sha256")
+    .update(BSON.serialize(doc))
+    .digest("base64");
+}
+
+// an encoded _id as the Extended JSON value it is, for the report
+function idValue(encoded) {
+  return JSON.parse(encoded).v;
+}
+
+// { id, key, hash } entries read back from a run file
+async function* runEntries(file) {
+  const input = fs.createReadStream(file, { encoding: "utf8" });
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  try {
+    for await (const line of rl) {
+      const tab = line.indexOf("\t");
+      const key = line.slice(0, tab);
+      yield { id: decodeId(key), key, hash: line.slice(tab + 1) };
+    }
+  } finally {
+    rl.close();
+    input.destroy();
+  }
+}
+
+// `entries` in _id order. Up to RUN_LENGTH of them are sorted in memory;
+// beyond that each sorted run goes to a temporary file and the runs are
+// merged, so one run at most is held in memory.
+async function* sortedEntries(entries) {
+  const byId = (a, b) => compareIds(a.id, b.id);
+  let run = [];
+  let dir = null;
+  const files = [];
+  const readers = [];
+  try {
+    for await (const entry of entries) {
+      run.push(entry);
+      if (run.length < RUN_LENGTH) continue;
+      if (!dir) dir = await fs.mkdtemp(path.join(os.tmpdir(), "mmt-compare-"));
+      const file = path.join(dir, `run-${files.length}`);
+      await fs.writeFile(
+        file,
+        run
+          .sort(byId)
+          .map((e) => `${e.key}\t${e.hash}\n`)
+          .join("")
+      );
+      files.push(file);
+      run = [];
+    }
+    run.sort(byId);
+    if (!files.length) {
+      yield* run;
+      return;
+    }
+    // the last run stays in memory and is merged with the others
+    readers.push(run[Symbol.iterator](), ...files.map(runEntries));
+    const heads = [];
+    for (const reader of readers) heads.push((await reader.next()).value);
+    for (;;) {
+      let min = -1;
+      for (let i = 0; i < heads.length; i++)
+        if (heads[i] && (min < 0 || byId(heads[i], heads[min]) < 0)) min = i;
+      if (min < 0) return;
+      yield heads[min];
+      heads[min] = (await readers[min].next()).value;
+    }
+  } finally {
+    for (const reader of readers) if (reader.return) await reader.return();
+    if (dir) await fs.remove(dir);
+  }
+}
+
+// `entries` of an ordered side, checked to really come in _id order
+async function* checkedOrder(entries, what) {
+  let last = null;
+  for await (const entry of entries) {
+    if (last && compareIds(last.id, entry.id) >= 0)
+      throw new Error(`${what} is not read in _id order`);
+    last = entry;
+    yield entry;
+  }
+}
+
+// { id, key, hash } of each document of collection `name` of `side`, in _id
+// order, after prepare(doc); counted() is called for each document read. A
+// prepared document may have a new _id (masking), so its side is sorted.
+function collectionEntries(side, name, prepare, counted) {
+  const entries = (async function* () {
+    for await (const doc of side.docs(name)) {
+      if (prepare) prepare(doc);
+      counted();
+      yield { id: doc._id, key: encodeId(doc._id), hash: digest(doc) };
+    }
+  })();
+  return side.ordered && !prepare
+    ? checkedOrder(entries, `${side.label} ${name}`)
+    : sortedEntries(entries);
+}
+
+async function* noEntries() {}
+
+// top-level keys sorted, so specs that only list them in another order match
+function canonical(value) {
+  const sorted = {};
+  for (const k of Object.keys(value || {}).sort()) sorted[k] = value[k];
+  return EJSON.stringify(sorted, { relaxed: false });
+}
+
+// index and option differences of two collections' metadata; null when
+// either side has none to compare (files without metadata)
+function compareMeta(source, target) {
+  if (!source || !target) return null;
+  const byName = (meta) =>
+    new Map(meta.indexes.map(({ name, ...spec }) => [name, canonical(spec)]));
+  const s = byName(source);
+  const t = byName(target);
+  const optionsDiffer =
+    source.type !== target.type ||
+    canonical(source.options) !== canonical(target.options);
+  return {
+    indexes: {
+      onlySource: [...s.keys()].filter((n) => !t.has(n)),
+      onlyTarget: [...t.keys()].filter((n) => !s.has(n)),
+      different: [...s.keys()].filter((n) => t.has(n) && s.get(n) !== t.get(n)),
+    },
+    options: optionsDiffer
+      ? {
+          source: EJSON.serialize(
+            { type: source.type, ...source.options },
+            { relaxed: false }
+          ),
+          target: EJSON.serialize(
+            { type: target.type, ...target.options },
+            { relaxed: false }
+          ),
+        }
+      : null,
+  };
+}
+
+async function compareCollection(
+  source,
+  target,
+  {
+    name,
+    targetName,
+    onSource,
+    onTarget,
+    prepare,
+    prepareMeta,
+    check,
+    onProgress,
+  }
+) {
+  const counts = {
+    source: 0,
+    target: 0,
+    same: 0,
+    different: 0,
+    onlySource: 0,
+    onlyTarget: 0,
+  };
+  const samples = { onlySource: [], onlyTarget: [], different: [] };
+  const note = (kind, id) => {
+    counts[kind]++;
+    if (samples[kind].length < SAMPLE_LIMIT) samples[kind].push(idValue(id));
+  };
+  let lastReport = Date.now();
+  const progress = () => {
+    if (Date.now() - lastReport < PROGRESS_INTERVAL_MS) return;
+    lastReport = Date.now();
+    check();
+    onProgress({
+      collection: name,
+      source: counts.source,
+      target: counts.target,
+    });
+  };
+
+  // both sides in _id order, walked side by side
+  const sourceEntries = onSource
+    ? collectionEntries(source, name, prepare, () => {
+        counts.source++;
+        progress();
+      })
+    : noEntries();
+  const targetEntries = onTarget
+    ? collectionEntries(target, targetName, null, () => {
+        counts.target++;
+        progress();
+      })
+    : noEntries();
+  try {
+    let s = (await sourceEntries.next()).value;
+    let t = (await targetEntries.next()).value;
+    while (s || t) {
+      const order = !s ? 1 : !t ? -1 : compareIds(s.id, t.id);
+      if (order < 0) note("onlySource", s.key);
+      else if (order > 0) note("onlyTarget", t.key);
+      else if (s.hash === t.hash) counts.same++;
+      else note("different", s.key);
+      if (order <= 0) s = (await sourceEntries.next()).value;
+      if (order >= 0) t = (await targetEntries.next()).value;
+    }
+  } finally {
+    await sourceEntries.return();
+    await targetEntries.return();
+  }
+
+  const meta =
+    onSource && onTarget
+      ? compareMeta(
+          prepareMeta(name, await source.meta(name)),
+          await target.meta(targetName)
+        )
+      : null;
+  const metaDiffers =
+    meta &&
+    (meta.options || Object.values(meta.indexes).some((names) => names.length));
+  return {
+    collection: name,
+    target: targetName,
+    status: !onTarget
+      ? "only-source"
+      : !onSource
+      ? "only-target"
+      : counts.different ||
+        counts.onlySource ||
+        counts.onlyTarget ||
+        metaDiffers
+      ? "different"
+      : "same",
+    counts,
+    samples,
+    indexes: meta && meta.indexes,
+    options: meta && meta.options,
+  };
+}
+
+// Compare `source` with `target`. Source collection `name` is compared with
+// target collection targetOf(name); select(name) picks the collections (on
+// both sides), and with includeTargetOnly the target's collections that no
+// source collection maps to are reported too. prepare(name) may return a
+// function applied to each source document first (masking, renames) and
+// prepareMeta(name, meta) the source metadata as it would be written.
+// onCollection(result) is called as each collection is done and
+// onProgress({ collection, source, target }) about once a second.
+async function compareSides(
+  source,
+  target,
+  {
+    select = () => true,
+    targetOf = (name) => name,
+    includeTargetOnly = true,
+    prepare = () => null,
+    prepareMeta = (name, meta) => meta,
+    check = () => {},
+    onCollection = () => {},
+    onProgress = () => {},
+  } = {}
+) {
+  const sourceNames = (await source.collections()).filter(select);
+  const targetNames = new Set(await target.collections());
+  const pairs = sourceNames.map((name) => [name, targetOf(name)]);
+  const mapped = new Set(pairs.map(([, t]) => t));
+  if (includeTargetOnly)
+    for (const name of [...targetNames].filter(select))
+      if (!mapped.has(name)) pairs.push([null, name]);
+
+  const collections = [];
+  for (const [name, targetName] of pairs) {
+    check();
+    const result = await compareCollection(source, target, {
+      name: name || targetName,
+      targetName,
+      onSource: name != null,
+      onTarget: targetNames.has(targetName),
+      prepare: name != null ? prepare(name) : null,
+      prepareMeta,
+      check,
+      onProgress,
+    });
+    collections.push(result);
+    onCollection(result);
+  }
+  const total = (key) => collections.reduce((n, c) => n + c.counts[key], 0);
+  return {
+    source: source.label,
+    target: target.label,
+    createdAt: new Date().toISOString(),
+    summary: {
+      identical: collections.every((c) => c.status === "same"),
+      collections: collections.length,
+      differentCollections: collections.filter((c) => c.status !== "same")
+        .length,
+      onlySource: total("onlySource"),
+      onlyTarget: total("onlyTarget"),
+      different: total("different"),
+      same: total("same"),
+    },
+    collections,
+  };
+}
+
+module.exports = { dbSide, fileSide, clusterSide, compareSides };
@@ -0,0 +1,84 @@
+// Minimal 5-field cron expressions: "minute hour day-of-month month
+// day-of-week", each field "*", "n", "a-b", "*/s", "a-b/s" or a comma list of
+// those (day-of-week 0-7, both 0 and 7 being Sunday). Evaluated in server
+// local time. Also accepts @hourly, @daily/@midnight, @weekly, @monthly.
+
+const MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw new Error(`Invalid cron ${name} "${text}"`);
+    let lo = min;
+    let hi = max;
+    if (m[1] !== "*") {
+      lo = parseInt(m[2], 10);
+      hi = m[3] !== undefined ? parseInt(m[3], 10) : m[4] ? max : lo;
+    }
+    const step = m[4] ? parseInt(m[4], 10) : 1;
+    if (lo < min || hi > max || lo > hi || step < 1)
+      throw new Error(`Invalid cron ${name} "${text}"`);
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expr) {
+  const text = String(expr || "").trim();
+  const fields = (MACROS[text] || text).split(/\s+/);
+  if (fields.length !== 5)
+    throw new Error(`Cron expression needs 5 fields: "${text}"`);
+  const [minute, hour, dom, month, dow] = fields.map((f, i) =>
+    parseField(f, FIELDS[i])
+  );
+  if (dow.has(7)) dow.add(0);
+  return {
+    minute,
+    hour,
+    dom,
+    month,
+    dow,
+    // like cron: when both day fields are restricted, either may match
+    domAny: fields[2] === "*",
+    dowAny: fields[4] === "*",
+  };
+}
+
+function cronMatches(cron, date) {
+  if (!cron.minute.has(date.getMinutes())) return false;
+  if (!cron.hour.has(date.getHours())) return false;
+  if (!cron.month.has(date.getMonth() + 1)) return false;
+  const domOk = cron.dom.has(date.getDate());
+  const dowOk = cron.dow.has(date.getDay());
+  if (cron.domAny || cron.dowAny) return domOk && dowOk;
+  return domOk || dowOk;
+}
+
+// next matching minute after `from`, or null if none within a year
+function nextRun(cron, from = new Date()) {
+  const d = new Date(from);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  for (let i = 0; i < 366 * 24 * 60; i++) {
+    if (cronMatches(cron, d)) return d;
+    d.setMinutes(d.getMinutes() + 1);
+  }
+  return null;
+}
+
+module.exports = { parseCron, cronMatches, nextRun };
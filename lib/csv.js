@@ -0,0 +1,490 @@
+const {
+  Int32,
+  Long,
+  Double,
+  Decimal128,
+  ObjectId,
+  Binary,
+} = require("mongodb");
+const { EJSON } = require("./ejson");
+
+// CSV and TSV with a header row. Headers may carry mongoimport-style type
+// hints (as with --columnsHaveTypes), e.g. "age.int32()" or
+// "born.date(2006-01-02)"; a column without one holds numbers where the
+// text looks like a number and strings otherwise. Dotted names build nested
+// documents ("address.city"). Blank cells are left out of the document.
+// CSV fields may be quoted (RFC 4180); TSV fields cannot, as in mongoimport.
+
+const INT32_MAX = 2 ** 31 - 1;
+const INT64_MAX = 2n ** 63n - 1n;
+const INTEGER_RE = /^[-+]?\d+$/;
+const AUTO_INTEGER_RE = /^-?(0|[1-9]\d*)$/;
+const AUTO_NUMBER_RE = /^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/;
+const NUMBER_RE =
+  /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$|^[-+]?(Infinity|NaN)$/;
+// written for date columns on export; the value is an ISO 8601 string
+const ISO_LAYOUT = "2006-01-02T15:04:05.000Z07:00";
+
+// Records of a CSV/TSV text stream as { fields, line }, line being where
+// the record starts (a quoted field may span lines). Blank lines are skipped.
+async function* delimitedRecords(stream, delimiter) {
+  const quotes = delimiter === ",";
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  let closed = false;
+  let line = 1;
+  let start = 1;
+  const endRecord = () => {
+    record.push(field);
+    const out = { fields: record, line: start };
+    record = [];
+    field = "";
+    return out;
+  };
+  for await (const chunk of stream) {
+    for (let i = 0; i < chunk.length; i++) {
+      const c = chunk[i];
+      if (inQuotes) {
+        if (c === '"') {
+          inQuotes = false;
+          closed = true;
+        } else {
+          field += c;
+          if (c === "\n") line++;
+        }
+        continue;
+      }
+      if (quotes && c === '"' && (closed || field === "")) {
+        // "" inside a quoted field is a quote
+        if (closed) field += '"';
+        inQuotes = true;
+        closed = false;
+        continue;
+      }
+      closed = false;
+      if (c === delimiter) {
+        record.push(field);
+        field = "";
+      } else if (c === "\n") {
+        const out = endRecord();
+        line++;
+        start = line;
+        if (out.fields.length > 1 || out.fields[0] !== "") yield out;
+      } else if (c !== "\r") field += c;
+    }
+  }
+  if (inQuotes)
+    throw new Error(`Unclosed quote in the record starting on line ${start}`);
+  if (record.length || field) yield endRecord();
+}
+
+function toInt32(text) {
+  const t = text.trim();
+  const n = Number(t);
+  if (!INTEGER_RE.test(t) || n > INT32_MAX || n < -INT32_MAX - 1)
+    throw new Error(`"${text}" is not an int32`);
+  return new Int32(n);
+}
+
+function toInt64(text) {
+  const t = text.trim();
+  const n = INTEGER_RE.test(t) ? BigInt(t) : null;
+  if (n === null || n > INT64_MAX || n < -INT64_MAX - 1n)
+    throw new Error(`"${text}" is not an int64`);
+  return Long.fromBigInt(n);
+}
+
+function toDouble(text) {
+  const t = text.trim();
+  if (!NUMBER_RE.test(t)) throw new Error(`"${text}" is not a number`);
+  return new Double(Number(t));
+}
+
+function toBoolean(text) {
+  const t = text.trim().toLowerCase();
+  if (t === "true" || t === "1") return true;
+  if (t === "false" || t === "0") return false;
+  throw new Error(`"${text}" is not a boolean`);
+}
+
+function toDate(text) {
+  const date = new Date(text.trim());
+  if (Number.isNaN(date.getTime())) throw new Error(`"${text}" is not a date`);
+  return date;
+}
+
+// untyped columns: whole numbers as int32 (int64 when larger), other
+// numbers as double, anything else, including numbers with leading zeros
+// such as zip codes, as text
+function autoValue(text) {
+  const t = text.trim();
+  if (AUTO_INTEGER_RE.test(t)) {
+    const n = BigInt(t);
+    if (n <= INT32_MAX && n >= -INT32_MAX - 1) return new Int32(Number(n));
+    if (n <= INT64_MAX && n >= -INT64_MAX - 1n) return Long.fromBigInt(n);
+  }
+  if (AUTO_NUMBER_RE.test(t)) return new Double(Number(t));
+  return text;
+}
+
+// Go reference-time layouts, as mongoimport's date() and date_go() take
+// them: "2006-01-02 15:04:05" etc. Longer tokens are tried first.
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+const GO_TOKENS = [
+  ["January", "([A-Za-z]+)", "monthName"],
+  ["Monday", "[A-Za-z]+"],
+  ["Jan", "([A-Za-z]{3})", "monthName"],
+  ["Mon", "[A-Za-z]{3}"],
+  ["2006", "(\\d{4})", "year"],
+  ["Z07:00", "(Z|[+-]\\d{2}:\\d{2})", "zone"],
+  ["-07:00", "([+-]\\d{2}:\\d{2})", "zone"],
+  ["Z0700", "(Z|[+-]\\d{4})", "zone"],
+  ["-0700", "([+-]\\d{4})", "zone"],
+  ["Z07", "(Z|[+-]\\d{2})", "zone"],
+  ["-07", "([+-]\\d{2})", "zone"],
+  ["01", "(\\d{2})", "month"],
+  ["02", "(\\d{2})", "day"],
+  ["03", "(\\d{2})", "hour12"],
+  ["04", "(\\d{2})", "minute"],
+  ["05", "(\\d{2})", "second"],
+  ["06", "(\\d{2})", "year2"],
+  ["15", "(\\d{2})", "hour"],
+  ["_2", " ?(\\d{1,2})", "day"],
+  ["PM", "(AM|PM)", "pm"],
+  ["pm", "(am|pm)", "pm"],
+  ["1", "(\\d{1,2})", "month"],
+  ["2", "(\\d{1,2})", "day"],
+  ["3", "(\\d{1,2})", "hour12"],
+  ["4", "(\\d{1,2})", "minute"],
+  ["5", "(\\d{1,2})", "second"],
+];
+const FRACTION_RE = /^[.,](0+|9+)(?!\d)/;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// parser of dates written in Go `layout`; throws for layouts it cannot read
+function goDateParser(layout) {
+  let source = "";
+  const groups = [];
+  for (let i = 0; i < layout.length; ) {
+    const rest = layout.slice(i);
+    const frac = FRACTION_RE.exec(rest);
+    if (frac) {
+      const digits = frac[1].length;
+      source += frac[1][0] === "0" ? `[.,](\\d{${digits}})` : "(?:[.,](\\d+))?";
+      groups.push("fraction");
+      i += frac[0].length;
+      continue;
+    }
+    const token = GO_TOKENS.find(([t]) => rest.startsWith(t));
+    if (token) {
+      source += token[1];
+      if (token[2]) groups.push(token[2]);
+      i += token[0].length;
+    } else {
+      source += escapeRegExp(layout[i]);
+      i++;
+    }
+  }
+  if (!groups.some((g) => g === "year" || g === "year2"))
+    throw new Error(`Date layout "${layout}" has no year (2006)`);
+  const re = new RegExp(`^${source}$`, "i");
+  return (text) => {
+    const m = re.exec(text.trim());
+    if (!m) throw new Error(`"${text}" does not match date layout ${layout}`);
+    const f = { month: 1, day: 1, hour: 0, minute: 0, second: 0, ms: 0 };
+    let offset = 0;
+    let pm = null;
+    groups.forEach((g, k) => {
+      const v = m[k + 1];
+      if (v === undefined) return;
+      if (g === "monthName")
+        f.month = MONTHS.indexOf(v.slice(0, 3).toLowerCase()) + 1;
+      else if (g === "year2")
+        f.year = Number(v) + (Number(v) >= 69 ? 1900 : 2000);
+      else if (g === "hour12") f.hour = Number(v) % 12;
+      else if (g === "pm") pm = v.toLowerCase() === "pm";
+      else if (g === "fraction") f.ms = Number((v + "00").slice(0, 3));
+      else if (g === "zone") {
+        const z = /^([+-])(\d{2}):?(\d{2})?$/.exec(v);
+        if (z) offset = (z[1] === "-" ? -1 : 1) * (z[2] * 60 + (+z[3] || 0));
+      } else f[g] = Number(v);
+    });
+    if (pm) f.hour += 12;
+    const ms = Date.UTC(f.year, f.month - 1, f.day, f.hour, f.minute, f.second);
+    const date = new Date(ms + f.ms - offset * 60000);
+    const check = new Date(ms);
+    if (
+      Number.isNaN(ms) ||
+      check.getUTCMonth() !== f.month - 1 ||
+      check.getUTCDate() !== f.day ||
+      f.hour > 23 ||
+      f.minute > 59 ||
+      f.second > 59
+    )
+      throw new Error(`"${text}" is not a valid date`);
+    return date;
+  };
+}
+
+function binaryParser(encoding) {
+  const enc = encoding || "base64";
+  const valid = {
+    base64: /^[A-Za-z0-9+/\s]*={0,2}$/,
+    hex: /^([0-9a-fA-F]{2})*$/,
+  };
+  if (!valid[enc])
+    throw new Error(`binary() takes base64 or hex, not "${encoding}"`);
+  return (text) => {
+    if (!valid[enc].test(text.trim()))
+      throw new Error(`"${text}" is not ${enc}`);
+    return new Binary(Buffer.from(text.trim(), enc));
+  };
+}
+
+// type hint -> (argument -> converter of cell text); objectId() and
+// ejson() (any Extended JSON value) go beyond what mongoimport knows
+const CELL_TYPES = {
+  auto: () => autoValue,
+  string: () => (text) => text,
+  int32: () => toInt32,
+  int64: () => toInt64,
+  double: () => toDouble,
+  decimal: () => (text) => Decimal128.fromString(text.trim()),
+  boolean: () => toBoolean,
+  date: (layout) => (layout ? goDateParser(layout) : toDate),
+  date_go: (layout) => (layout ? goDateParser(layout) : toDate),
+  binary: binaryParser,
+  objectId: () => (text) => new ObjectId(text.trim()),
+  ejson: () => (text) => EJSON.parse(text, { relaxed: false }),
+};
+
+const HINT_RE = /^(.+)\.(\w+)\((.*)\)$/;
+
+// columns { name, path, type, convert } from a header record
+function parseHeader(fields) {
+  const columns = fields.map((raw, i) => {
+    const text = (i === 0 ? raw.replace(/^\uFEFF/, "") : raw).trim();
+    const m = HINT_RE.exec(text);
+    const name = m ? m[1] : text;
+    const type = m ? m[2] : "auto";
+    if (!name) throw new Error(`Header column ${i + 1} has no name`);
+    if (!CELL_TYPES[type])
+      throw new Error(
+        `Unknown type ${type}() for column ${name}; use one of ${Object.keys(
+          CELL_TYPES
+        ).join(", ")}`
+      );
+    const path = name.split(".");
+    if (path.some((p) => !p || p.startsWith("$")))
+      throw new Error(`Invalid column name ${name}`);
+    return { name, path, type, convert: CELL_TYPES[type](m ? m[3] : "") };
+  });
+  // a field cannot hold a value and nested fields at once
+  const names = new Set();
+  for (const { name } of columns) {
+    if (names.has(name)) throw new Error(`Column ${name} appears twice`);
+    names.add(name);
+  }
+  for (const { name, path } of columns)
+    for (let k = 1; k < path.length; k++) {
+      const parent = path.slice(0, k).join(".");
+      if (names.has(parent))
+        throw new Error(`Columns ${parent} and ${name} overlap`);
+    }
+  return columns;
+}
+
+// document from a record's fields; throws naming the offending column
+function recordToDoc(columns, fields) {
+  if (fields.length > columns.length)
+    throw new Error(
+      `${fields.length} fields, but the header has ${columns.length}`
+    );
+  const doc = {};
+  columns.forEach((col, i) => {
+    const text = fields[i];
+    if (text === undefined || text === "") return;
+    let value;
+    try {
+      value = col.convert(text);
+    } catch (e) {
+      throw new Error(`${col.name}: ${e.message}`);
+    }
+    let node = doc;
+    for (const key of col.path.slice(0, -1))
+      node = node[key] || (node[key] = {});
+    node[col.path[col.path.length - 1]] = value;
+  });
+  return doc;
+}
+
+// Exports write each leaf of the documents as a typed column. The type is
+// the one all of a column's values share; a column whose values differ,
+// or whose text would not survive the file (empty strings, tabs and line
+// breaks in TSV), is written as Extended JSON instead.
+function cellType(value, tsv) {
+  if (typeof value === "string")
+    return value === "" || (tsv && /[\t\r\n]/.test(value)) ? "ejson" : "string";
+  if (typeof value === "boolean") return "boolean";
+  if (value instanceof Date) {
+    const year = value.getUTCFullYear();
+    return year >= 0 && year <= 9999 ? "date" : "ejson";
+  }
+  const types = {
+    Int32: "int32",
+    Double: "double",
+    Long: "int64",
+    Decimal128: "decimal",
+    ObjectId: "objectId",
+  };
+  return (value && types[value._bsontype]) || "ejson";
+}
+
+function isNested(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !value._bsontype &&
+    !(value instanceof Date) &&
+    !Buffer.isBuffer(value) &&
+    Object.keys(value).length > 0 &&
+    Object.keys(value).every(plainKey)
+  );
+}
+
+function plainKey(key) {
+  return key && !key.startsWith("$") && !/[.()\t\r\n]/.test(key);
+}
+
+// collects the columns of documents fed to add(), in first-seen order
+function createColumnPlanner(delimiter) {
+  const tsv = delimiter === "\t";
+  const columns = new Map();
+  const visit = (value, path) => {
+    if (isNested(value)) {
+      for (const [k, v] of Object.entries(value)) visit(v, [...path, k]);
+      return;
+    }
+    const name = path.join(".");
+    const type = cellType(value, tsv);
+    const col = columns.get(name);
+    if (!col) columns.set(name, { name, path, type });
+    else if (col.type !== type) col.type = "ejson";
+  };
+  return {
+    add(doc) {
+      for (const [k, v] of Object.entries(doc)) {
+        if (!plainKey(k))
+          throw new Error(
+            `Field name "${k}" cannot be a ${tsv ? "TSV" : "CSV"} column`
+          );
+        visit(v, [k]);
+      }
+    },
+    // a field seen both as a value and with nested fields is written
+    // whole, as Extended JSON
+    columns() {
+      const all = [...columns.values()];
+      const whole = new Set(
+        all
+          .filter((c) => all.some((o) => o.name.startsWith(c.name + ".")))
+          .map((c) => c.name)
+      );
+      const out = new Map();
+      for (const col of all) {
+        const k = col.path.findIndex((_, i) =>
+          whole.has(col.path.slice(0, i + 1).join("."))
+        );
+        if (k < 0) out.set(col.name, col);
+        else {
+          const path = col.path.slice(0, k + 1);
+          const name = path.join(".");
+          if (!out.has(name)) out.set(name, { name, path, type: "ejson" });
+        }
+      }
+      return [...out.values()];
+    },
+  };
+}
+
+function quoteField(text, delimiter) {
+  if (delimiter === "," && /[",\r\n]/.test(text))
+    return '"' + text.replace(/"/g, '""') + '"';
+  return text;
+}
+
+function formatCell(value, type) {
+  if (value === undefined) return "";
+  switch (type) {
+    case "string":
+      return value;
+    case "boolean":
+      return String(value);
+    case "int32":
+    case "double":
+      return String(value.value);
+    case "int64":
+    case "decimal":
+      return value.toString();
+    case "date":
+      return value.toISOString();
+    case "objectId":
+      return value.toHexString();
+    default:
+      return EJSON.stringify(value, { relaxed: false });
+  }
+}
+
+function headerLine(columns, delimiter) {
+  return (
+    columns
+      .map((c) =>
+        quoteField(
+          `${c.name}.${c.type}(${c.type === "date" ? ISO_LAYOUT : ""})`,
+          delimiter
+        )
+      )
+      .join(delimiter) + "\n"
+  );
+}
+
+function recordLine(doc, columns, delimiter) {
+  return (
+    columns
+      .map((c) => {
+        const value = c.path.reduce(
+          (v, k) => (v == null || typeof v !== "object" ? undefined : v[k]),
+          doc
+        );
+        return quoteField(formatCell(value, c.type), delimiter);
+      })
+      .join(delimiter) + "\n"
+  );
+}
+
+module.exports = {
+  delimitedRecords,
+  parseHeader,
+  recordToDoc,
+  createColumnPlanner,
+  headerLine,
+  recordLine,
+};
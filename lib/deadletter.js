@@ -0,0 +1,44 @@
+const path = require("path");
+const fs = require("fs-extra");
+const { EJSON } = require("./ejson");
+
+// What an upload or restore does with a record it cannot load: one that does
+// not parse (or convert, for CSV and the like), or one the target refuses
+// (duplicate key, failed validation):
+//   stop         fail the job at the first one (the default)
+//   skip         leave it out, count it and carry on
+//   dead-letter  as skip, and also append it to <collection>.ndjson in the
+//                job's dead-letter folder, one
+//                { line, stage, reason, record } per rejected record, where
+//                stage is "convert", "parse" or "write" and record is the
+//                raw text or the refused document (in a folder per database
+//                when a restore loads several, see lib/cluster)
+const ON_ERROR_MODES = ["stop", "skip", "dead-letter"];
+
+function parseOnError({ onError }) {
+  const mode = onError || "stop";
+  if (!ON_ERROR_MODES.includes(mode))
+    throw new Error(`Unknown error handling "${mode}"`);
+  return mode;
+}
+
+// Dead-letter folder `dir`: add() appends rejected records of a collection
+function createDeadLetter(dir) {
+  const fileOf = (collection) => path.join(dir, collection + ".ndjson");
+  return {
+    dir,
+    fileOf,
+    async add(collection, entries) {
+      if (!entries.length) return;
+      await fs.ensureDir(path.dirname(fileOf(collection)));
+      await fs.appendFile(
+        fileOf(collection),
+        entries
+          .map((e) => EJSON.stringify(e, { relaxed: false }) + "\n")
+          .join("")
+      );
+    },
+  };
+}
+
+module.exports = { ON_ERROR_MODES, parseOnError, createDeadLetter };
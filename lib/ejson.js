@@ -0,0 +1,18 @@
+const { BSON } = require("mongodb");
+
+// Documents are stored as canonical Extended JSON so ObjectId, Date, Decimal128,
+// Long, Binary, UUID, Timestamp etc. survive a backup/restore round-trip.
+// Plain JSON lines (backups made before EJSON) still parse fine.
+const { EJSON } = BSON;
+function serializeDoc(doc) {
+  return EJSON.stringify(doc, { relaxed: false });
+}
+function parseDocLine(line) {
+  return EJSON.parse(line, { relaxed: false });
+}
+
+// read documents without promoting Int32/Double/Long to JS numbers, so they are
+// written back with their original BSON types (1.0 stays a double, etc.)
+const FIND_OPTIONS = { promoteValues: false, bsonRegExp: true };
+
+module.exports = { EJSON, serializeDoc, parseDocLine, FIND_OPTIONS };
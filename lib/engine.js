@@ -0,0 +1,2709 @@
+const path = require("path");
+const readline = require("readline");
+const { Readable, PassThrough } = require("stream");
+const { MongoClient } = require("mongodb");
+const fs = require("fs-extra");
+const { EJSON, serializeDoc, parseDocLine, FIND_OPTIONS } = require("./ejson");
+const {
+  MANIFEST_FILE,
+  createHasher,
+  mergeHashStates,
+  isChecksummable,
+  createManifest,
+  hashDocs,
+  databaseHashes,
+  verifyCollections,
+} = require("./manifest");
+const {
+  createCollectionSelector,
+  parseQueryFilters,
+  queryFor,
+} = require("./selection");
+const {
+  isUserCollection,
+  isView,
+  readCollectionMeta,
+  metaFileName,
+  readMetaFile,
+  parseWriteMode,
+  assertTargetsEmpty,
+  prepareTargetCollection,
+  rebuildIndexes,
+  viewOrder,
+  createView,
+  writeBatch,
+} = require("./collections");
+const {
+  createCheckpointStore,
+  checkpointParams,
+  encodeId,
+  resumableQuery,
+  resumeWriteMode,
+} = require("./checkpoints");
+const { createJobManager } = require("./jobs");
+const { createCatalog } = require("./catalog");
+const { createStorageTargets } = require("./storage");
+const { syncPipeline, captureResumeToken, followChanges } = require("./sync");
+const {
+  DELETES_SUFFIX,
+  parseTracking,
+  encodeMark,
+  decodeMark,
+  currentOplogTime,
+  fieldHighWaterMark,
+  sinceFilter,
+  changedIds,
+  changedDocs,
+} = require("./incremental");
+const { ownerOf, canAccess } = require("./auth");
+const { createProfileStore } = require("./profiles");
+const { parseOnError, createDeadLetter } = require("./deadletter");
+const { createMaskingStore, createMasker } = require("./masking");
+const {
+  parseMapping,
+  createMapper,
+  checkTargets,
+  checkDatabaseTargets,
+} = require("./mapping");
+const { dbSide, fileSide, clusterSide, compareSides } = require("./compare");
+const {
+  parseDatabaseSelection,
+  listDatabases,
+  namespaceKey,
+  splitKey,
+  clusterHashes,
+} = require("./cluster");
+const {
+  readUsersAndRoles,
+  usersAndRolesFiles,
+  readUsersAndRolesFiles,
+  restoreUsersAndRoles,
+} = require("./users");
+const {
+  parseParallelism,
+  runConcurrently,
+  createRateLimiter,
+  bsonSize,
+  cursorBatches,
+  idRanges,
+  rangeFilter,
+} = require("./parallel");
+const {
+  parseSubset,
+  subsetCollections,
+  describeSubset,
+  resolveSubset,
+  subsetReader,
+} = require("./subset");
+const {
+  parseCompression,
+  createEncryption,
+  unlockEncryption,
+  createArchive,
+  appendEntry,
+  writeArchive,
+  openArchive,
+  readEntry,
+  extractArchive,
+} = require("./packing");
+const { detectFormat, importFile, normalizeDir } = require("./formats");
+
+// minutes before what a finished job leaves behind is removed
+const CLEANUP_TTL_MIN = parseInt(process.env.CLEANUP_TTL_MIN || "60", 10);
+// days a checkpoint that is never resumed is kept, with its files
+const CHECKPOINT_TTL_DAYS = parseFloat(process.env.CHECKPOINT_TTL_DAYS || "7");
+
+// count lines in a file without loading whole file
+function countLinesStream(filePath) {
+  return new Promise((resolve, reject) => {
+    let count = 0;
+    const rs = fs.createReadStream(filePath, { encoding: "utf8" });
+    rs.on("data", (chunk) => {
+      for (let i = 0; i < chunk.length; i++) if (chunk[i] === "\n") count++;
+    });
+    rs.on("end", () => resolve(count));
+    rs.on("error", reject);
+  });
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// encoded _id of the last document of `batch` as read from the source, for
+// the checkpoint to resume after; null without one. Taken before the batch
+// is masked or renamed, since an _id rule changes the value in place.
+function sourceLastId(batch) {
+  const last = batch[batch.length - 1];
+  return last && last._id !== undefined ? encodeId(last._id) : null;
+}
+
+// lock key for "a job is writing to this database"; kept in memory only
+function targetLock(uri, dbName) {
+  return `target:${uri}|${dbName}`;
+}
+
+// include/exclude globs and per-collection filters from a request body;
+// throws on malformed filter JSON
+function readSelection(body) {
+  return {
+    selectCollection: createCollectionSelector(body),
+    filters: parseQueryFilters(body.filters),
+  };
+}
+
+// The subset a backup or transfer request asks for, or null. A subset picks
+// its own documents, so per-collection filters cannot be added on top;
+// include/exclude still leave collections out of what is written.
+function readSubset(body, selection) {
+  const subset = parseSubset(body);
+  if (subset && Object.keys(selection.filters).length)
+    throw new Error(
+      "A subset cannot be combined with per-collection filters; filter the root sample instead"
+    );
+  return subset;
+}
+
+// The databases on `uri` that `select` takes, listed before a job starts
+// because they decide its locks and are kept in its checkpoint
+async function selectDatabases(uri, select) {
+  let client;
+  let names;
+  try {
+    client = new MongoClient(uri, { serverSelectionTimeoutMS: 10000 });
+    await client.connect();
+    names = await listDatabases(client, select);
+  } catch (e) {
+    throw httpError(502, `Cannot list databases: ${e.message}`);
+  } finally {
+    if (client) await client.close();
+  }
+  if (!names.length) throw httpError(400, "No database matches the selection");
+  return names;
+}
+
+// compareSides() options for the dry run of a transfer or restore: the
+// selected source collections compared with where `mapper` writes them,
+// masked with `mask` (if any) and renamed first. With `clustered` the names
+// are "<db>/<collection>" keys of several databases.
+function dryRunOptions(mapper, selectCollection, mask, clustered) {
+  const split = (name) => (clustered ? splitKey(name) : [null, name]);
+  return {
+    select: (name) => selectCollection(split(name)[1]),
+    targetOf: (name) => {
+      const [db, coll] = split(name);
+      return db === null
+        ? mapper.target(coll)
+        : namespaceKey(mapper.database(db), mapper.target(coll));
+    },
+    includeTargetOnly: false,
+    prepare: (name) => {
+      const coll = split(name)[1];
+      const rename = mapper.rename(coll);
+      if (!mask) return rename;
+      return (doc) => (rename ? rename(mask(coll, doc)) : mask(coll, doc));
+    },
+    prepareMeta: (name, meta) => mapper.meta(split(name)[1], meta),
+  };
+}
+
+// Re-hash what a restore/transfer wrote (or a backup's files, see
+// verifyCollections for hashOf) and report per collection as `${events}-*`
+async function runVerify(job, events, hashOf, expected) {
+  job.emit(`${events}-start`, {
+    totalCollections: Object.keys(expected).length,
+  });
+  const verify = await verifyCollections(expected, hashOf, (result) =>
+    job.emit(`${events}-collection`, result)
+  );
+  job.emit(`${events}-done`, {
+    ok: verify.ok,
+    mismatched: verify.mismatched,
+  });
+  return verify;
+}
+
+// Verify compares whole target collections, which only hold exactly what the
+// job wrote with these write modes; append, upsert and skip-existing leave
+// documents the target already had, so verify is skipped for them
+const VERIFIABLE_MODES = ["replace", "fail-if-not-empty"];
+
+// runVerify for a restore/transfer written with write mode `mode`
+async function verifyTarget(job, events, mode, hashOf, expected) {
+  if (VERIFIABLE_MODES.includes(mode))
+    return runVerify(job, events, hashOf, expected);
+  const skipped = `Not verified: with write mode ${mode} the target may hold documents this job did not write`;
+  job.emit(`${events}-done`, { ok: null, skipped });
+  return { ok: null, skipped };
+}
+
+// Recreate the views of a restore/transfer, [{ meta, db, key, targetKey }]
+// with the source metadata and the target database, once their collections
+// are written: where `mapper` writes them, each after the view it is defined
+// on. `mode` is the job's write mode (see createView). Reported as
+// `${events}-views`; returns how many were created.
+async function recreateViews(job, events, views, mapper, mode) {
+  const byDb = new Map();
+  for (const view of views) {
+    const name = view.db.databaseName;
+    byDb.set(name, [...(byDb.get(name) || []), view]);
+  }
+  const created = [];
+  const kept = [];
+  for (const group of byDb.values()) {
+    const byName = new Map(group.map((v) => [v.meta.name, v]));
+    for (const meta of viewOrder(group.map((v) => v.meta))) {
+      job.checkCancelled();
+      const { db, targetKey } = byName.get(meta.name);
+      const made = await createView(
+        db,
+        mapper.target(meta.name),
+        mapper.meta(meta.name, meta),
+        mode
+      );
+      (made ? created : kept).push(targetKey);
+    }
+  }
+  if (views.length) job.emit(`${events}-views`, { created, kept });
+  return created.length;
+}
+
+// collection data files among the `files` of an extracted backup; users and
+// roles are kept in system.* files (see lib/users)
+function collectionFiles(files) {
+  return files.filter(
+    (f) =>
+      (f.endsWith(".ndjson") || f.endsWith(".json")) &&
+      !f.endsWith(".metadata.json") &&
+      !f.endsWith(DELETES_SUFFIX) &&
+      !f.startsWith("system.") &&
+      f !== MANIFEST_FILE
+  );
+}
+
+// an extracted (or converted) backup in `dir` as a side of a comparison
+async function dirSide(dir, label) {
+  const files = collectionFiles(await fs.readdir(dir));
+  const fileOf = new Map(
+    files.map((f) => [f.replace(/\.(ndjson|json)$/, ""), f])
+  );
+  return fileSide({
+    label,
+    collections: [...fileOf.keys()],
+    read: (name) => fs.createReadStream(path.join(dir, fileOf.get(name))),
+    meta: (name) => readMetaFile(dir, name),
+  });
+}
+
+// The archives a restore of `archive` replays, opened: just the one for a
+// full backup, or for an incremental backup the chain it builds on, full
+// backup first. Only catalog backups (where `archive` is a function opening
+// a zip of the same storage target by name) can be followed back; all of a
+// chain must share the passphrase.
+async function openRestoreChain(archive, passphrase) {
+  const catalogBackup = typeof archive === "function";
+  const last = await openArchive(
+    catalogBackup ? await archive() : archive,
+    passphrase
+  );
+  const chain = [last];
+  const seen = new Set();
+  let head = last;
+  while (head.manifest && head.manifest.incremental) {
+    const prev = head.manifest.incremental.previous;
+    if (!catalogBackup)
+      throw new Error(
+        "This is an incremental backup; restore it from the backups catalog so the backups it builds on are found"
+      );
+    if (seen.has(prev)) throw new Error(`Backup chain loops at ${prev}`);
+    seen.add(prev);
+    try {
+      head = await openArchive(await archive(prev), passphrase);
+    } catch (e) {
+      throw new Error(
+        `Cannot open ${prev}, which this backup builds on: ${e.message}`
+      );
+    }
+    chain.unshift(head);
+  }
+  return chain;
+}
+
+// Delete the _ids listed in an incremental's deletes file, if there is one;
+// returns how many were listed
+async function applyDeletes(coll, file, batchSize) {
+  if (!(await fs.pathExists(file))) return 0;
+  const rl = readline.createInterface({ input: fs.createReadStream(file) });
+  let ids = [];
+  let count = 0;
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    ids.push(parseDocLine(line)._id);
+    if (ids.length >= batchSize) {
+      await coll.deleteMany({ _id: { $in: ids } });
+      count += ids.length;
+      ids = [];
+    }
+  }
+  if (ids.length) {
+    await coll.deleteMany({ _id: { $in: ids } });
+    count += ids.length;
+  }
+  return count;
+}
+
+// A backup opened by openArchive() as what exportBackup() reads from
+function exportSource(opened, backupName) {
+  const { manifest, zip } = opened;
+  // backups from before manifests are plain .ndjson files
+  const collections = manifest
+    ? Object.keys(manifest.collections)
+    : zip.files
+        .map((f) => f.path)
+        .filter((p) => p.endsWith(".ndjson") && !p.endsWith(DELETES_SUFFIX))
+        .map((p) => p.slice(0, -".ndjson".length));
+  return {
+    dbName: (manifest && manifest.sourceDb) || backupName.replace(/\.zip$/, ""),
+    collections,
+    read: (name) => readEntry(opened, name + ".ndjson"),
+    meta: async (name) => {
+      const rs = readEntry(opened, metaFileName(name));
+      if (!rs) return null;
+      rs.setEncoding("utf8");
+      let text = "";
+      for await (const chunk of rs) text += chunk;
+      return EJSON.parse(text);
+    },
+  };
+}
+
+// The jobs behind both the web routes and the command line (backups,
+// transfers, restores, verification and comparisons) with the stores they
+// use, all kept under `dataDir`. `io` and onEvent are handed to the job
+// manager; keepHistory: false leaves the job history file alone, so a
+// command line run does not overwrite the one a running server keeps.
+function createEngine({
+  dataDir,
+  io = null,
+  onEvent = null,
+  keepHistory = true,
+}) {
+  const UPLOAD_DIR = dataDir;
+  // rejected records of uploads and restores, per checkpoint id
+  const DEAD_LETTER_DIR = path.join(UPLOAD_DIR, "dead-letter");
+  const REPORT_DIR = path.join(UPLOAD_DIR, "reports");
+  fs.ensureDirSync(UPLOAD_DIR);
+  const checkpoints = createCheckpointStore(
+    path.join(UPLOAD_DIR, "checkpoints")
+  );
+  const jobs = createJobManager({
+    file: keepHistory ? path.join(UPLOAD_DIR, "jobs.json") : null,
+    io,
+    onEvent,
+  });
+  const targets = createStorageTargets({
+    uploadDir: UPLOAD_DIR,
+    configFile: process.env.STORAGE_TARGETS,
+  });
+  const catalog = createCatalog(targets);
+  const profiles = createProfileStore({
+    file: path.join(UPLOAD_DIR, "profiles.json"),
+    // the key is kept elsewhere (see lib/profiles)
+    legacyKeyFile: path.join(UPLOAD_DIR, "master.key"),
+  });
+  const masking = createMaskingStore({
+    file: path.join(UPLOAD_DIR, "masking.json"),
+  });
+
+  // cleanup scheduling: remove created paths after TTL (milliseconds)
+  const scheduledCleanups = new Map();
+  function scheduleCleanup(absPath, ttlMs = CLEANUP_TTL_MIN * 60 * 1000) {
+    try {
+      if (scheduledCleanups.has(absPath)) return;
+      const t = setTimeout(async () => {
+        try {
+          await fs.remove(absPath);
+        } catch (e) {
+          console.warn("cleanup remove failed", absPath, e.message);
+        }
+        scheduledCleanups.delete(absPath);
+      }, ttlMs);
+      scheduledCleanups.set(absPath, t);
+    } catch (e) {
+      console.warn("schedule cleanup failed", e.message);
+    }
+  }
+
+  // remove what is scheduled for cleanup right away, before the process exits
+  async function flushCleanups() {
+    for (const [absPath, t] of scheduledCleanups) {
+      clearTimeout(t);
+      scheduledCleanups.delete(absPath);
+      await fs
+        .remove(absPath)
+        .catch((e) =>
+          console.warn("cleanup remove failed", absPath, e.message)
+        );
+    }
+  }
+
+  // where the report of compare job or dry run `jobId` is kept
+  function reportFile(jobId) {
+    return path.join(REPORT_DIR, `${jobId}.json`);
+  }
+
+  // dead-letter folder of the upload or restore with checkpoint `id`
+  function deadLetterDir(id) {
+    return path.join(DEAD_LETTER_DIR, id);
+  }
+
+  // checkpoint `id` if it exists, belongs to operation `op` and `user` may
+  // resume it
+  async function loadCheckpoint(id, op, user) {
+    let cp = null;
+    try {
+      cp = await checkpoints.load(id);
+    } catch (e) {
+      return null;
+    }
+    return cp && cp.op === op && canAccess(user, cp.owner) ? cp : null;
+  }
+
+  // Remove the checkpoints not saved for CHECKPOINT_TTL_DAYS whose job is not
+  // running, along with what was kept for a resume: a backup's staging
+  // folder, a restore's extracted copy and upload, and rejected records
+  async function expireCheckpoints() {
+    const cutoff = Date.now() - CHECKPOINT_TTL_DAYS * 24 * 60 * 60 * 1000;
+    const running = new Set(
+      jobs
+        .list()
+        .filter((j) => j.status === "running")
+        .map((j) => j.checkpointId)
+    );
+    let removed = 0;
+    for (const cp of await checkpoints.list()) {
+      const savedAt = Date.parse(cp.updatedAt || cp.createdAt);
+      if (running.has(cp.id) || !(savedAt < cutoff)) continue;
+      const state = cp.state || {};
+      const kept = [deadLetterDir(cp.id)];
+      if (state.outName) kept.push(path.join(UPLOAD_DIR, state.outName));
+      if (state.extractName)
+        kept.push(path.join(UPLOAD_DIR, state.extractName));
+      if (state.ownsArchive && state.archiveFile) kept.push(state.archiveFile);
+      for (const p of kept) await fs.remove(p);
+      await checkpoints.remove(cp.id);
+      removed++;
+    }
+    return removed;
+  }
+
+  // Select the documents of `subset` on `db` unless the checkpoint already has
+  // them (a resumed job keeps its selection); `prefix` names the job's events
+  // and save() stores the checkpoint
+  async function ensureSubset(
+    job,
+    prefix,
+    cp,
+    db,
+    subset,
+    batchSize,
+    save = () => checkpoints.save(cp)
+  ) {
+    if (!subset || cp.state.subset) return;
+    const names = (
+      await db.listCollections({}, { nameOnly: true }).toArray()
+    ).map((c) => c.name);
+    const missing = [...subsetCollections(subset)].filter(
+      (n) => !names.includes(n)
+    );
+    if (missing.length)
+      throw new Error(`Subset collection not found: ${missing.join(", ")}`);
+    job.emit(`${prefix}-subset-start`, { root: subset.root });
+    cp.state.subset = await resolveSubset(db, subset, {
+      batchSize,
+      checkCancelled: () => job.checkCancelled(),
+      onProgress: (counts) => job.emit(`${prefix}-subset-progress`, { counts }),
+    });
+    await save();
+    const counts = {};
+    for (const [name, ids] of Object.entries(cp.state.subset))
+      counts[name] = ids.length;
+    job.emit(`${prefix}-subset-done`, { counts });
+  }
+
+  // Compare `source` with `target` (sides, see lib/compare) for a compare job
+  // or a dry run, emitting `${prefix}-compare-*` events; the full report is
+  // kept for download from /api/jobs/<id>/report for a while
+  async function runComparison(job, prefix, source, target, options) {
+    job.emit(`${prefix}-compare-start`, {
+      source: source.label,
+      target: target.label,
+    });
+    const report = await compareSides(source, target, {
+      ...options,
+      check: () => job.checkCancelled(),
+      onProgress: (p) => job.emit(`${prefix}-compare-progress`, p),
+      onCollection: (r) => job.emit(`${prefix}-compare-collection`, r),
+    });
+    const file = reportFile(job.id);
+    await fs.outputJson(file, report, { spaces: 2 });
+    scheduleCleanup(file);
+    const result = {
+      summary: report.summary,
+      report: `/api/jobs/${job.id}/report`,
+    };
+    job.emit(`${prefix}-compare-done`, result);
+    return result;
+  }
+
+  // `value` from a request is a mongodb:// URI or a connection profile name
+  function resolveUri(value) {
+    try {
+      return profiles.resolve(value);
+    } catch (e) {
+      throw httpError(400, e.message);
+    }
+  }
+
+  // The masking rule set named `name` (with its salt) for a job to keep in its
+  // checkpoint, so a resumed job masks exactly as it started; null for none
+  function resolveMasking(name) {
+    try {
+      return masking.resolve(name);
+    } catch (e) {
+      throw httpError(400, e.message);
+    }
+  }
+
+  // Backup job -> creates folder with collection JSON files and zips them.
+  // Shared by the backup route and scheduled backups; throws httpError()s for
+  // bad input and returns the started job. `user` becomes the job's owner
+  // (null when the server itself starts it). With `stream`, a function
+  // returning the Writable for zip `name`, the zip is written there as the
+  // collections are read instead, with nothing staged, stored or
+  // checkpointed; such a backup cannot be resumed or incremental. A failed
+  // job leaves it to the caller to break that Writable off.
+  async function startBackup(body, user = null, { stream = null } = {}) {
+    const { socketId, resumeId } = body;
+    const uri = resolveUri(body.uri);
+    if (stream && resumeId)
+      throw httpError(400, "Streamed backups cannot be resumed");
+    let cp = null;
+    if (resumeId) {
+      cp = await loadCheckpoint(resumeId, "backup", user);
+      if (!cp) throw httpError(404, "Checkpoint not found");
+    }
+    const params = cp ? { ...cp.params, uri } : body;
+    const { dbName } = params;
+    const selectDatabase = parseDatabaseSelection(params);
+    if (!uri || !(dbName || selectDatabase))
+      throw httpError(400, "Missing uri or dbName");
+    if (dbName && selectDatabase)
+      throw httpError(400, "Give either dbName or databases, not both");
+    const usersAndRoles =
+      params.usersAndRoles === true || params.usersAndRoles === "true";
+    const target = stream ? null : targets.get(params.target);
+    if (!stream && !target)
+      throw httpError(400, `Unknown storage target ${params.target}`);
+    let selection, subset, compression, parallel;
+    // the passphrase is not saved, so resuming an encrypted backup needs it again
+    let encryption = null;
+    let key = null;
+    try {
+      selection = readSelection(params);
+      subset = readSubset(params, selection);
+      compression = parseCompression(params.compression);
+      parallel = parseParallelism(params);
+      if (stream && (params.incrementalFrom || parseTracking(params)))
+        throw new Error("Streamed backups cannot be incremental");
+      if (cp && cp.state.manifest.encryption)
+        key = await unlockEncryption(
+          cp.state.manifest.encryption,
+          body.passphrase
+        );
+      else if (!cp && body.passphrase) {
+        encryption = await createEncryption(body.passphrase);
+        key = encryption.key;
+      }
+    } catch (e) {
+      throw httpError(400, e.message);
+    }
+    // several databases are backed up whole
+    if (
+      selectDatabase &&
+      (subset ||
+        Object.keys(selection.filters).length ||
+        params.incrementalFrom ||
+        (params.tracking && params.tracking !== "none"))
+    )
+      throw httpError(
+        400,
+        "A backup of several databases cannot have a subset, filters or change tracking"
+      );
+
+    if (!cp) {
+      const timestamp = Date.now();
+      const manifest = createManifest(dbName || null);
+      if (user) manifest.createdBy = user.name;
+      if (compression !== "none") manifest.compression = compression;
+      if (encryption) manifest.encryption = encryption.meta;
+      const chain = await incrementalChain(body, target, dbName, user);
+      // an incremental has to be masked like the backups it builds on
+      const maskingName = chain ? chain.masking : body.masking;
+      if (chain && body.masking && body.masking !== chain.masking)
+        throw httpError(
+          400,
+          `${body.incrementalFrom} was ${
+            chain.masking ? `masked with ${chain.masking}` : "not masked"
+          }; its incrementals must be too`
+        );
+      const ruleSet = resolveMasking(maskingName);
+      if (ruleSet) manifest.masking = ruleSet.name;
+      // password hashes have no place in a backup masked for sharing
+      if (ruleSet && usersAndRoles)
+        throw httpError(400, "A masked backup cannot include users and roles");
+      if (chain) {
+        manifest.tracking = chain.tracking;
+        manifest.incremental = chain.incremental;
+      } else {
+        try {
+          manifest.tracking = parseTracking(body);
+        } catch (e) {
+          throw httpError(400, e.message);
+        }
+      }
+      if (subset) {
+        if (manifest.tracking)
+          throw httpError(
+            400,
+            "Subset backups cannot be incremental or tracked"
+          );
+        manifest.subset = describeSubset(subset);
+      }
+      cp = checkpoints.create(
+        "backup",
+        checkpointParams(body),
+        {
+          outName: `${dbName || "databases"}-${timestamp}${
+            chain ? "-incr" : ""
+          }`,
+          manifest,
+          since: chain ? chain.since : null,
+          masking: ruleSet,
+        },
+        ownerOf(user)
+      );
+    }
+    const outDir = path.join(UPLOAD_DIR, cp.state.outName);
+    if (!stream) {
+      if (resumeId && !(await fs.pathExists(outDir)))
+        throw httpError(
+          409,
+          "Backup folder of this checkpoint no longer exists"
+        );
+      await fs.ensureDir(outDir);
+      await checkpoints.save(cp);
+    }
+    // a streamed backup keeps its state in memory only
+    const saveState = () => (stream ? null : checkpoints.save(cp));
+
+    const jobParams = {
+      params: stream
+        ? { ...checkpointParams(params), stream: true }
+        : checkpointParams(params),
+      socketId,
+      checkpointId: stream ? null : cp.id,
+      owner: ownerOf(user),
+    };
+    return jobs.start("backup", jobParams, async (job) => {
+      let client;
+      // a streamed zip is opened with its first entry, so a bad uri or
+      // missing privileges still fail before the first byte
+      let zip = null;
+      let output = null;
+      const streamedZip = () => {
+        if (!zip) {
+          output = stream(`${cp.state.outName}.zip`);
+          zip = createArchive();
+          zip.on("error", (e) => output.destroy(e));
+          zip.pipe(output);
+        }
+        return zip;
+      };
+      const packOpts = { compression, key };
+      // file `name` of the backup: staged in outDir, or a streamed entry
+      const writeText = (name, text) =>
+        stream
+          ? appendEntry(streamedZip(), Readable.from([text]), name, packOpts)
+          : fs.outputFile(path.join(outDir, name), text);
+      try {
+        client = new MongoClient(uri);
+        await client.connect();
+        const manifest = cp.state.manifest;
+        // the databases are listed once, so a resumed backup keeps them
+        if (selectDatabase && !manifest.databases) {
+          manifest.databases = await listDatabases(client, selectDatabase);
+          if (!manifest.databases.length)
+            throw new Error("No database matches the selection");
+          await saveState();
+        }
+        // the collections and views with their database and their key in
+        // the manifest and checkpoint: the name, or "<db>/<collection>" for
+        // several databases, each of which gets a folder
+        const inSubset = subset ? subsetCollections(subset) : null;
+        const collections = [];
+        const views = [];
+        for (const name of manifest.databases || [dbName]) {
+          const db = client.db(name);
+          for (const info of await db.listCollections().toArray())
+            if (
+              isUserCollection(info) &&
+              selection.selectCollection(info.name) &&
+              (!inSubset || inSubset.has(info.name))
+            )
+              (isView(info) ? views : collections).push({
+                info,
+                db,
+                key: manifest.databases
+                  ? namespaceKey(name, info.name)
+                  : info.name,
+              });
+        }
+        // users and roles are read before anything is written, so missing
+        // privileges fail a streamed backup before its first byte
+        const found = [];
+        if (usersAndRoles)
+          for (const name of manifest.databases || [dbName])
+            found.push([name, await readUsersAndRoles(client, name)]);
+        // views are kept as their definition, restored once the collections
+        // are loaded
+        for (const { info, db, key } of views)
+          await writeText(
+            metaFileName(key),
+            EJSON.stringify(await readCollectionMeta(db, info), null, 2, {
+              relaxed: false,
+            })
+          );
+        if (views.length) manifest.views = views.map((v) => v.key);
+        if (usersAndRoles) {
+          manifest.usersAndRoles = { users: 0, roles: 0 };
+          for (const [name, usersAndRolesOfDb] of found) {
+            for (const [file, text] of usersAndRolesFiles(usersAndRolesOfDb))
+              await writeText(
+                manifest.databases ? `${name}/${file}` : file,
+                text
+              );
+            manifest.usersAndRoles.users += usersAndRolesOfDb.users.length;
+            manifest.usersAndRoles.roles += usersAndRolesOfDb.roles.length;
+          }
+        }
+
+        // allow client to configure batch size
+        const BATCH_SIZE = parseInt(params.batchSize, 10) || 1000;
+        await ensureSubset(
+          job,
+          "backup",
+          cp,
+          client.db(dbName),
+          subset,
+          BATCH_SIZE,
+          saveState
+        );
+        const { tracking } = manifest;
+        const since = cp.state.since;
+        const mask = createMasker(cp.state.masking);
+        // oplog tracking marks the position before anything is exported
+        if (tracking && tracking.mode === "oplog" && !manifest.highWaterMark) {
+          manifest.highWaterMark = encodeMark(await currentOplogTime(client));
+          await saveState();
+        }
+        // collections in the previous backup export only what changed since;
+        // new ones are exported in full
+        const prevMark = (name) =>
+          since && name in since.collections
+            ? since.collections[name]
+            : undefined;
+        const changed =
+          since && tracking.mode === "oplog"
+            ? await changedIds(
+                client,
+                dbName,
+                decodeMark(since.oplog),
+                collections
+                  .map((c) => c.info.name)
+                  .filter((n) => prevMark(n) !== undefined)
+              )
+            : new Map();
+
+        job.emit("backup-start", {
+          totalCollections: collections.length,
+          collections: collections.map((c) => c.key),
+          views: views.map((v) => v.key),
+          batchSize: BATCH_SIZE,
+          parallelCollections: parallel.collections,
+          checkpointId: jobParams.checkpointId,
+          resumed: !!resumeId,
+          stream: !!stream,
+        });
+        const limiter = createRateLimiter(parallel);
+        // write `text` and wait until it is flushed, so the checkpoint never
+        // points past what is on disk
+        const writeOut = (ws, text) =>
+          new Promise((resolve, reject) =>
+            ws.write(text, (err) => (err ? reject(err) : resolve()))
+          );
+        const endOut = (ws) =>
+          new Promise((resolve, reject) =>
+            ws.end((err) => (err ? reject(err) : resolve()))
+          );
+        let collIndex = 0;
+        await runConcurrently(
+          collections,
+          parallel.collections,
+          async ({ info: collInfo, db, key }, checkStopped) => {
+            const check = () => {
+              job.checkCancelled();
+              checkStopped();
+            };
+            const name = collInfo.name;
+            const collState = cp.collections[key] || (cp.collections[key] = {});
+            if (collState.done) {
+              collIndex++;
+              job.emit("backup-collection-done", {
+                collection: key,
+                index: collIndex,
+                docsDone: collState.docsDone,
+                resumed: true,
+              });
+              return;
+            }
+            const coll = db.collection(name);
+            const query = queryFor(selection.filters, name);
+            let exportQuery = query;
+            if (tracking && tracking.mode === "field") {
+              // the new mark is read first: later changes land at or past it
+              if (collState.mark === undefined) {
+                const mark = await fieldHighWaterMark(
+                  coll,
+                  tracking.field,
+                  query.filter
+                );
+                collState.mark =
+                  mark == null ? prevMark(name) || null : encodeMark(mark);
+              }
+              const from = prevMark(name);
+              if (from != null)
+                exportQuery = {
+                  ...query,
+                  filter: sinceFilter(
+                    query.filter,
+                    tracking.field,
+                    decodeMark(from)
+                  ),
+                };
+            }
+            const changedOfColl = changed.get(name);
+            const subsetIds = cp.state.subset && cp.state.subset[name];
+            // get count if possible
+            let totalDocs = 0;
+            try {
+              totalDocs = subsetIds
+                ? subsetIds.length
+                : changedOfColl
+                ? changedOfColl.size
+                : await coll.countDocuments(exportQuery.filter);
+            } catch (e) {
+              totalDocs = 0;
+            }
+
+            const outFile = path.join(outDir, `${key}.ndjson`);
+            if (!stream) await fs.ensureDir(path.dirname(outFile));
+            const meta = await readCollectionMeta(db, collInfo);
+            if (meta)
+              await writeText(
+                metaFileName(key),
+                EJSON.stringify(meta, null, 2, { relaxed: false })
+              );
+
+            const type = collInfo.type || "collection";
+            // a large collection is read in _id ranges side by side, each
+            // into a part file of its own that is appended to the collection's
+            // file at the end; the ranges are kept in the checkpoint
+            if (
+              !collState.partitions &&
+              !collState.lastId &&
+              !subsetIds &&
+              !changedOfColl &&
+              type === "collection" &&
+              totalDocs >= parallel.partitions * BATCH_SIZE
+            ) {
+              const ranges = await idRanges(
+                coll,
+                exportQuery.filter,
+                parallel.partitions
+              );
+              if (ranges) {
+                collState.partitions = ranges;
+                delete collState.hash;
+              }
+            }
+            const parts = collState.partitions || [collState];
+            const fileOf = (i) =>
+              collState.partitions ? `${outFile}.part${i}` : outFile;
+
+            // continue a partially written file: cut it back to the last
+            // checkpointed batch and append from there
+            let resuming = false;
+            const streams = [];
+            for (let i = 0; i < parts.length; i++) {
+              const part = parts[i];
+              let resumingPart = false;
+              if (
+                (part.lastId || part.subsetIndex || part.done) &&
+                (await fs.pathExists(fileOf(i)))
+              ) {
+                const { size } = await fs.stat(fileOf(i));
+                if (size >= part.bytes) {
+                  await fs.truncate(fileOf(i), part.bytes);
+                  resumingPart = true;
+                }
+              }
+              if (!resumingPart) {
+                delete part.lastId;
+                delete part.subsetIndex;
+                delete part.done;
+                part.bytes = 0;
+                part.docsDone = 0;
+                delete part.hash;
+              }
+              resuming = resuming || resumingPart;
+              streams.push(
+                stream
+                  ? new PassThrough()
+                  : fs.createWriteStream(fileOf(i), {
+                      flags: resumingPart ? "a" : "w",
+                    })
+              );
+            }
+            // streamed, the collection is one zip entry with its ranges one
+            // after the other; a range waiting for its turn holds a batch
+            const entryDone =
+              stream &&
+              appendEntry(
+                streamedZip(),
+                Readable.from(
+                  (async function* () {
+                    for (const ws of streams) yield* ws;
+                  })()
+                ),
+                `${key}.ndjson`,
+                packOpts
+              );
+
+            job.emit("backup-collection-start", {
+              collection: key,
+              index: collIndex,
+              totalDocs,
+              partitions: parts.length,
+              resumed: resuming,
+            });
+
+            let deletesWs = null;
+            let deleted = 0;
+            const docsDoneOf = () =>
+              parts.reduce((n, p) => n + (p.docsDone || 0), 0);
+            const start = Date.now();
+            let sessionDocs = 0;
+            await runConcurrently(
+              parts.map((part, i) => ({ part, ws: streams[i] })),
+              parts.length,
+              async ({ part, ws }, partStopped) => {
+                if (part.done) return endOut(ws);
+                const rq = resumableQuery(
+                  part === collState
+                    ? exportQuery
+                    : {
+                        ...exportQuery,
+                        filter: rangeFilter(exportQuery.filter, part),
+                      },
+                  part,
+                  type
+                );
+                // next batch of documents to write, null when done
+                let nextBatch;
+                if (subsetIds) {
+                  // subset: the selected documents, resumed by position in the
+                  // list
+                  rq.sort = null;
+                  nextBatch = subsetReader(coll, subsetIds, part, BATCH_SIZE);
+                } else if (changedOfColl) {
+                  // oplog incremental: changed documents as they are now plus
+                  // the ids of deleted ones; restarted as a whole when resumed
+                  rq.sort = null;
+                  deletesWs = fs.createWriteStream(
+                    path.join(outDir, key + DELETES_SUFFIX)
+                  );
+                  const batches = changedDocs(
+                    coll,
+                    [...changedOfColl.values()],
+                    {
+                      filter: query.filter,
+                      projection: query.projection,
+                      batchSize: BATCH_SIZE,
+                    }
+                  );
+                  nextBatch = async () => {
+                    const { value, done } = await batches.next();
+                    if (done) return null;
+                    if (value.deleted.length) {
+                      const lines = value.deleted
+                        .map((id) => {
+                          const doc = { _id: id };
+                          return (
+                            serializeDoc(mask ? mask(name, doc) : doc) + "\n"
+                          );
+                        })
+                        .join("");
+                      await writeOut(deletesWs, lines);
+                      deleted += value.deleted.length;
+                    }
+                    return value.docs;
+                  };
+                } else {
+                  const cursor = coll.find(rq.filter, {
+                    ...FIND_OPTIONS,
+                    projection: query.projection,
+                    sort: rq.sort,
+                    batchSize: BATCH_SIZE,
+                  });
+                  nextBatch = cursorBatches(cursor, BATCH_SIZE);
+                }
+                const hasher = createHasher(part.hash);
+                try {
+                  for (let batch; (batch = await nextBatch()); ) {
+                    check();
+                    partStopped();
+                    if (!batch.length) continue;
+                    // the source _id, before masking may hash it
+                    const lastId = sourceLastId(batch);
+                    let chunk = "";
+                    for (const d of batch) {
+                      if (mask) mask(name, d);
+                      hasher.update(d);
+                      chunk += serializeDoc(d) + "\n";
+                    }
+                    const bytes = Buffer.byteLength(chunk);
+                    if (limiter) await limiter.take(batch.length, bytes, check);
+                    await writeOut(ws, chunk);
+                    sessionDocs += batch.length;
+                    if (rq.sort && lastId) part.lastId = lastId;
+                    part.bytes += bytes;
+                    part.docsDone += batch.length;
+                    part.hash = hasher.state();
+                    const docsDone = docsDoneOf();
+                    collState.docsDone = docsDone;
+                    await saveState();
+                    const elapsedSec = Math.max(1, (Date.now() - start) / 1000);
+                    const speed = Math.round(sessionDocs / elapsedSec); // docs/sec
+                    const percent = totalDocs
+                      ? Math.min(100, Math.round((docsDone / totalDocs) * 100))
+                      : null;
+                    const etaSec =
+                      totalDocs && speed
+                        ? Math.max(
+                            0,
+                            Math.round((totalDocs - docsDone) / speed)
+                          )
+                        : null;
+                    job.emit("backup-progress", {
+                      collection: key,
+                      docsDone,
+                      totalDocs,
+                      percent,
+                      speed,
+                      etaSec,
+                    });
+                  }
+                } finally {
+                  // a cancelled or failed job stops reading before the end
+                  if (nextBatch.close) await nextBatch.close();
+                }
+                await endOut(ws);
+                if (part !== collState) {
+                  part.done = true;
+                  await saveState();
+                }
+              }
+            );
+            if (deletesWs) await endOut(deletesWs);
+            if (stream) await entryDone;
+            else if (collState.partitions) {
+              const ws = fs.createWriteStream(outFile);
+              for (let i = 0; i < parts.length; i++) {
+                for await (const chunk of fs.createReadStream(fileOf(i)))
+                  await writeOut(ws, chunk);
+              }
+              await endOut(ws);
+              for (let i = 0; i < parts.length; i++) await fs.remove(fileOf(i));
+            }
+            const docsDone = docsDoneOf();
+            manifest.collections[key] = {
+              file: `${key}.ndjson`,
+              type,
+              count: docsDone,
+              checksum: isChecksummable(type)
+                ? mergeHashStates(parts.map((p) => p.hash)).sum
+                : null,
+            };
+            if (tracking)
+              manifest.collections[key].highWaterMark =
+                tracking.mode === "oplog"
+                  ? manifest.highWaterMark
+                  : collState.mark;
+            if (deletesWs) manifest.collections[key].deleted = deleted;
+            // partial backups record the query they were taken with
+            if (selection.filters[name]) {
+              manifest.collections[key].query = EJSON.serialize(query, {
+                relaxed: false,
+              });
+            }
+            collState.done = true;
+            await saveState();
+            collIndex++;
+            job.emit("backup-collection-done", {
+              collection: key,
+              index: collIndex,
+              docsDone,
+            });
+          }
+        );
+
+        // last in a streamed zip (checksums are only known now), first in
+        // a stored one
+        await writeText(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+        if (stream) {
+          await streamedZip().finalize();
+          await new Promise((resolve, reject) => {
+            if (output.writableFinished) return resolve();
+            output.on("finish", resolve);
+            output.on("close", () =>
+              reject(new Error("The stream was closed before the zip ended"))
+            );
+          });
+          const result = { streamed: true };
+          job.emit("backup-done", result);
+          return result;
+        }
+
+        // zip straight into the storage target
+        const zipName = `${cp.state.outName}.zip`;
+        const { stream: zipStream, done } = target.write(zipName);
+        try {
+          await writeArchive(outDir, zipStream, packOpts);
+          await done;
+        } catch (e) {
+          zipStream.destroy();
+          throw e;
+        }
+        await checkpoints.remove(cp.id);
+        // the zip is what gets downloaded; the loose files are only a staging
+        // copy, and a plaintext one of an encrypted backup goes right away
+        if (key) await fs.remove(outDir);
+        else scheduleCleanup(outDir);
+
+        const info = await catalog.describe(target, zipName);
+        const result = { zip: info.download, name: zipName, target: target.id };
+        job.emit("backup-done", result);
+        return result;
+      } finally {
+        if (client) await client.close();
+      }
+    });
+  }
+
+  // For an incremental backup request (body.incrementalFrom names the backup
+  // before it, in the same storage target): the tracking it inherits, its
+  // place in the chain, the masking rule set it must use and the previous
+  // marks. null for a full backup.
+  async function incrementalChain(body, target, dbName, user) {
+    const prevName = body.incrementalFrom;
+    if (!prevName) return null;
+    const prevInfo =
+      catalog.locate(target.id, prevName) &&
+      (await catalog.describe(target, prevName));
+    if (!prevInfo || !canAccess(user, prevInfo.owner))
+      throw httpError(400, `No backup ${prevName} in storage ${target.id}`);
+    const prev = await catalog.readManifest(target, prevName);
+    if (!prev || !prev.tracking)
+      throw httpError(400, `${prevName} was not taken with change tracking`);
+    if (prev.sourceDb !== dbName)
+      throw httpError(400, `${prevName} is a backup of ${prev.sourceDb}`);
+    const since = { oplog: prev.highWaterMark || null, collections: {} };
+    for (const [name, c] of Object.entries(prev.collections))
+      if (c.highWaterMark !== undefined)
+        since.collections[name] = c.highWaterMark;
+    return {
+      tracking: prev.tracking,
+      masking: prev.masking || null,
+      incremental: {
+        base: prev.incremental ? prev.incremental.base : prevName,
+        previous: prevName,
+        sequence: (prev.incremental ? prev.incremental.sequence : 0) + 1,
+      },
+      since,
+    };
+  }
+
+  // Data transfer job: copy collections from source to target. With `sync` the
+  // job then keeps replaying source changes onto the target (live sync) until
+  // it is asked to cut over.
+  async function startTransfer(body, user = null) {
+    const { socketId, resumeId } = body;
+    const srcUri = resolveUri(body.srcUri);
+    const dstUri = resolveUri(body.dstUri);
+    let cp = null;
+    if (resumeId) {
+      cp = await loadCheckpoint(resumeId, "transfer", user);
+      if (!cp) throw httpError(404, "Checkpoint not found");
+    }
+    const params = cp ? { ...cp.params, srcUri, dstUri } : body;
+    const { srcDb, dstDb } = params;
+    const selectDatabase = parseDatabaseSelection(params);
+    if (!srcUri || !dstUri || !(selectDatabase || (srcDb && dstDb)))
+      throw httpError(400, "Missing params");
+    if (selectDatabase && (srcDb || dstDb))
+      throw httpError(
+        400,
+        "Give either srcDb and dstDb or databases, not both"
+      );
+    if (!selectDatabase && params.databaseMap)
+      throw httpError(
+        400,
+        "A database map is for transfers of several databases"
+      );
+    let selection, subset, writeMode, mapper, parallel;
+    try {
+      selection = readSelection(params);
+      subset = readSubset(params, selection);
+      writeMode = parseWriteMode(params);
+      mapper = createMapper(parseMapping(params));
+      parallel = parseParallelism(params);
+    } catch (e) {
+      throw httpError(400, e.message);
+    }
+    const sync = params.sync === true || params.sync === "true";
+    if (sync && subset)
+      throw httpError(400, "Live sync cannot be combined with a subset");
+    // changes are replayed as whole documents, which a filtered or projected
+    // copy would not match
+    if (sync && Object.keys(selection.filters).length)
+      throw httpError(400, "Live sync cannot be combined with query filters");
+    if (
+      selectDatabase &&
+      (sync || subset || Object.keys(selection.filters).length)
+    )
+      throw httpError(
+        400,
+        "A transfer of several databases cannot live sync or have a subset or filters"
+      );
+    // source database -> target database pairs of a transfer of several
+    const pairs = selectDatabase
+      ? (
+          (cp && cp.state.databases) ||
+          (await selectDatabases(srcUri, selectDatabase))
+        ).map((name) => [name, mapper.database(name)])
+      : null;
+    if (pairs)
+      try {
+        checkDatabaseTargets(
+          mapper,
+          pairs.map(([name]) => name)
+        );
+      } catch (e) {
+        throw httpError(400, e.message);
+      }
+    if (params.dryRun === true || params.dryRun === "true")
+      return startTransferDryRun(body, user, {
+        srcUri,
+        dstUri,
+        selection,
+        subset,
+        mapper,
+        pairs,
+      });
+    if (!cp)
+      cp = checkpoints.create(
+        "transfer",
+        checkpointParams(body),
+        {
+          masking: resolveMasking(body.masking),
+          databases: pairs && pairs.map(([name]) => name),
+        },
+        ownerOf(user)
+      );
+    await checkpoints.save(cp);
+
+    const jobParams = {
+      params: checkpointParams(params),
+      socketId,
+      locks: pairs
+        ? pairs.map(([, to]) => targetLock(dstUri, to))
+        : [targetLock(dstUri, dstDb)],
+      checkpointId: cp.id,
+      owner: ownerOf(user),
+    };
+    return jobs.start("transfer", jobParams, async (job) => {
+      let srcClient, dstClient;
+      try {
+        srcClient = new MongoClient(srcUri);
+        dstClient = new MongoClient(dstUri);
+        await srcClient.connect();
+        await dstClient.connect();
+        const sdb = srcClient.db(srcDb);
+        const ddb = dstClient.db(dstDb);
+
+        // the collections with their databases, their key in the checkpoint
+        // and the one they are verified by: names, or "<db>/<collection>"
+        // for several databases
+        const inSubset = subset ? subsetCollections(subset) : null;
+        const collections = [];
+        const views = [];
+        for (const [from, to] of pairs || [[srcDb, dstDb]]) {
+          const source = srcClient.db(from);
+          const dest = dstClient.db(to);
+          const infos = (await source.listCollections().toArray()).filter(
+            (c) =>
+              isUserCollection(c) &&
+              selection.selectCollection(c.name) &&
+              (!inSubset || inSubset.has(c.name))
+          );
+          checkTargets(
+            mapper,
+            infos.map((c) => c.name)
+          );
+          // on resume the target already holds this job's own data
+          if (writeMode.mode === "fail-if-not-empty" && !resumeId)
+            await assertTargetsEmpty(
+              dest,
+              infos.filter((c) => !isView(c)).map((c) => mapper.target(c.name))
+            );
+          for (const info of infos) {
+            const key = pairs ? namespaceKey(from, info.name) : info.name;
+            const targetKey = pairs
+              ? namespaceKey(to, mapper.target(info.name))
+              : mapper.target(info.name);
+            // views are recreated from their definition once the
+            // collections are copied
+            if (isView(info))
+              views.push({
+                meta: await readCollectionMeta(source, info),
+                db: dest,
+                key,
+                targetKey,
+              });
+            else
+              collections.push({
+                info,
+                sdb: source,
+                ddb: dest,
+                key,
+                targetKey,
+              });
+          }
+        }
+        // the change stream starts from before the copy, so writes made while
+        // copying are replayed afterwards; a resumed job keeps its token
+        const pipeline = syncPipeline(collections.map((c) => c.info.name));
+        if (sync && !cp.state.syncToken) {
+          cp.state.syncToken = await captureResumeToken(sdb, pipeline);
+          await checkpoints.save(cp);
+        }
+        job.emit("transfer-start", {
+          totalCollections: collections.length,
+          collections: collections.map((c) => c.key),
+          targets: Object.fromEntries(
+            collections.map((c) => [c.key, c.targetKey])
+          ),
+          views: views.map((v) => v.key),
+          writeMode: writeMode.mode,
+          parallelCollections: parallel.collections,
+          checkpointId: cp.id,
+          resumed: !!resumeId,
+          sync,
+        });
+
+        const BATCH_SIZE = parseInt(params.batchSize, 10) || 1000;
+        const verify = params.verify === true || params.verify === "true";
+        const mask = createMasker(cp.state.masking);
+        const limiter = createRateLimiter(parallel);
+        await ensureSubset(job, "transfer", cp, sdb, subset, BATCH_SIZE);
+        const expected = {};
+        let migratedCollections = 0;
+        await runConcurrently(
+          collections,
+          parallel.collections,
+          async ({ info: c, sdb, ddb, key, targetKey }, checkStopped) => {
+            const check = () => {
+              job.checkCancelled();
+              checkStopped();
+            };
+            const name = c.name;
+            const target = mapper.target(name);
+            const rename = mapper.rename(name);
+            const collState = cp.collections[key] || (cp.collections[key] = {});
+            if (collState.done) {
+              expected[targetKey] = collState.expected;
+              migratedCollections++;
+              job.emit("transfer-collection-done", {
+                collection: key,
+                migratedCollections,
+                resumed: true,
+              });
+              return;
+            }
+            const srcColl = sdb.collection(name);
+            const dstColl = ddb.collection(target);
+            const query = queryFor(selection.filters, name);
+            const subsetIds = cp.state.subset && cp.state.subset[name];
+            // attempt to get document count for percent reporting
+            let totalDocs = 0;
+            try {
+              totalDocs = subsetIds
+                ? subsetIds.length
+                : await srcColl.countDocuments(query.filter);
+            } catch (e) {
+              totalDocs = 0;
+            }
+            const meta = mapper.meta(name, await readCollectionMeta(sdb, c));
+            const resuming = !!(
+              collState.lastId ||
+              collState.subsetIndex ||
+              collState.partitions
+            );
+            if (!resuming) {
+              delete collState.subsetIndex;
+              collState.transferred = 0;
+              collState.written = { inserted: 0, updated: 0, skipped: 0 };
+              delete collState.hash;
+              await prepareTargetCollection(ddb, target, meta, writeMode.mode);
+              // a large collection is copied in _id ranges side by side; the
+              // ranges are kept in the checkpoint, each with its own position
+              const ranges =
+                !subsetIds &&
+                c.type === "collection" &&
+                totalDocs >= parallel.partitions * BATCH_SIZE
+                  ? await idRanges(srcColl, query.filter, parallel.partitions)
+                  : null;
+              if (ranges)
+                collState.partitions = ranges.map((r) => ({
+                  ...r,
+                  transferred: 0,
+                }));
+            }
+            const collWriteMode = resuming
+              ? resumeWriteMode(writeMode)
+              : writeMode;
+            const parts = collState.partitions || [collState];
+
+            job.emit("transfer-collection-start", {
+              collection: key,
+              target: targetKey,
+              migratedCollections,
+              totalDocs,
+              partitions: parts.length,
+              resumed: resuming,
+            });
+
+            const written = collState.written;
+            const transferredOf = () =>
+              parts.reduce((n, p) => n + (p.transferred || 0), 0);
+            let sessionDocs = 0;
+            const tstart = Date.now();
+            await runConcurrently(
+              parts,
+              parts.length,
+              async (part, partStopped) => {
+                if (part.done) return;
+                const rq = resumableQuery(
+                  part === collState
+                    ? query
+                    : { ...query, filter: rangeFilter(query.filter, part) },
+                  part,
+                  c.type
+                );
+                // next batch of documents to copy, null when done
+                let nextBatch;
+                if (subsetIds) {
+                  rq.sort = null;
+                  nextBatch = subsetReader(
+                    srcColl,
+                    subsetIds,
+                    part,
+                    BATCH_SIZE
+                  );
+                } else {
+                  const cursor = srcColl.find(rq.filter, {
+                    ...FIND_OPTIONS,
+                    projection: query.projection,
+                    sort: rq.sort,
+                    batchSize: BATCH_SIZE,
+                  });
+                  nextBatch = cursorBatches(cursor, BATCH_SIZE);
+                }
+                const hasher = createHasher(part.hash);
+                try {
+                  for (let batch; (batch = await nextBatch()); ) {
+                    check();
+                    partStopped();
+                    // the source _id, before masking may hash it
+                    const lastId = sourceLastId(batch);
+                    // masking rules name the source's fields, so they go first
+                    if (mask) batch.forEach((d) => mask(name, d));
+                    if (rename) batch.forEach(rename);
+                    if (verify) batch.forEach((d) => hasher.update(d));
+                    if (limiter)
+                      await limiter.take(
+                        batch.length,
+                        limiter.countsBytes ? bsonSize(batch) : 0,
+                        check
+                      );
+                    const r = await writeBatch(dstColl, batch, collWriteMode);
+                    written.inserted += r.inserted;
+                    written.updated += r.updated;
+                    written.skipped += r.skipped;
+                    sessionDocs += batch.length;
+                    if (rq.sort && lastId) part.lastId = lastId;
+                    part.transferred = (part.transferred || 0) + batch.length;
+                    part.hash = hasher.state();
+                    const transferred = transferredOf();
+                    collState.transferred = transferred;
+                    await checkpoints.save(cp);
+                    const elapsedSec = Math.max(
+                      1,
+                      (Date.now() - tstart) / 1000
+                    );
+                    const speed = Math.round(sessionDocs / elapsedSec);
+                    const percent = totalDocs
+                      ? Math.min(
+                          100,
+                          Math.round((transferred / totalDocs) * 100)
+                        )
+                      : null;
+                    const etaSec =
+                      totalDocs && speed
+                        ? Math.max(
+                            0,
+                            Math.round((totalDocs - transferred) / speed)
+                          )
+                        : null;
+                    job.emit("transfer-progress", {
+                      collection: key,
+                      transferred,
+                      totalDocs,
+                      percent,
+                      speed,
+                      etaSec,
+                    });
+                  }
+                } finally {
+                  // a cancelled or failed job stops reading before the end
+                  if (nextBatch.close) await nextBatch.close();
+                }
+                if (part !== collState) {
+                  part.done = true;
+                  await checkpoints.save(cp);
+                }
+              }
+            );
+            const indexesBuilt = await rebuildIndexes(ddb, target, meta);
+            expected[targetKey] = {
+              type: c.type,
+              count: transferredOf(),
+              checksum: mergeHashStates(parts.map((p) => p.hash)).sum,
+            };
+            collState.done = true;
+            collState.expected = expected[targetKey];
+            await checkpoints.save(cp);
+            migratedCollections++;
+            job.emit("transfer-collection-done", {
+              collection: key,
+              migratedCollections,
+              indexesBuilt,
+              ...written,
+            });
+          }
+        );
+        const viewsCreated = await recreateViews(
+          job,
+          "transfer",
+          views,
+          mapper,
+          writeMode.mode
+        );
+        // verified before syncing: afterwards the target follows the source
+        const verifyResult =
+          verify && !cp.state.syncing
+            ? await verifyTarget(
+                job,
+                "transfer-verify",
+                writeMode.mode,
+                pairs ? clusterHashes(dstClient) : databaseHashes(ddb),
+                expected
+              )
+            : undefined;
+        let syncResult;
+        if (sync) {
+          cp.state.syncing = true;
+          await checkpoints.save(cp);
+          job.emit("transfer-sync-start", {});
+          syncResult = await followChanges({
+            sourceDb: sdb,
+            targetDb: ddb,
+            pipeline,
+            resumeToken: cp.state.syncToken,
+            mask,
+            mapper,
+            checkCancelled: () => job.checkCancelled(),
+            shouldCutOver: () => job.isRequested("cutover"),
+            onProgress: (p) =>
+              job.emit("transfer-sync-progress", {
+                ...p,
+                cuttingOver: job.isRequested("cutover"),
+              }),
+            onToken: (token) => {
+              cp.state.syncToken = token;
+              return checkpoints.save(cp);
+            },
+          });
+        }
+        await checkpoints.remove(cp.id);
+        const result = {
+          migratedCollections,
+          views: viewsCreated,
+          verify: verifyResult,
+          sync: syncResult && { applied: syncResult.applied },
+        };
+        job.emit("transfer-done", result);
+        return result;
+      } finally {
+        if (srcClient) await srcClient.close();
+        if (dstClient) await dstClient.close();
+      }
+    });
+  }
+
+  // Dry run of a transfer: compare the source, as the transfer would write it
+  // (selected, masked, mapped), with the target instead of copying anything.
+  // Other collections of the target are left out of the report.
+  async function startTransferDryRun(
+    body,
+    user,
+    { srcUri, dstUri, selection, subset, mapper, pairs }
+  ) {
+    if (body.resumeId) throw httpError(400, "A dry run cannot be resumed");
+    if (subset)
+      throw httpError(400, "A dry run cannot be combined with a subset");
+    const { srcDb, dstDb } = body;
+    const mask = createMasker(resolveMasking(body.masking));
+    const jobParams = {
+      params: checkpointParams(body),
+      socketId: body.socketId,
+      owner: ownerOf(user),
+    };
+    return jobs.start("transfer", jobParams, async (job) => {
+      let srcClient, dstClient;
+      try {
+        srcClient = new MongoClient(srcUri);
+        dstClient = new MongoClient(dstUri);
+        await srcClient.connect();
+        await dstClient.connect();
+        const options = dryRunOptions(
+          mapper,
+          selection.selectCollection,
+          mask,
+          !!pairs
+        );
+        if (pairs)
+          return await runComparison(
+            job,
+            "transfer",
+            clusterSide(
+              pairs.map(([from]) => [
+                from,
+                dbSide(srcClient.db(from), `database ${from}`),
+              ]),
+              `databases ${pairs.map(([from]) => from).join(", ")}`
+            ),
+            clusterSide(
+              pairs.map(([, to]) => [
+                to,
+                dbSide(dstClient.db(to), `database ${to}`),
+              ]),
+              `databases ${pairs.map(([, to]) => to).join(", ")}`
+            ),
+            options
+          );
+        return await runComparison(
+          job,
+          "transfer",
+          dbSide(srcClient.db(srcDb), `database ${srcDb}`, {
+            queryOf: (name) => queryFor(selection.filters, name),
+          }),
+          dbSide(dstClient.db(dstDb), `database ${dstDb}`),
+          options
+        );
+      } finally {
+        if (srcClient) await srcClient.close();
+        if (dstClient) await dstClient.close();
+      }
+    });
+  }
+
+  // Restore job: loads a backup zip into a database. `type` is "upload" for
+  // uploaded files, which are deleted afterwards (ownsArchive), or "restore" for
+  // archives from the backups catalog, which are left in place. `archive` is the
+  // path of a local zip, or a function opening a catalog zip (or, by name,
+  // another zip of the same storage target). Resuming reuses the copy extracted
+  // by the interrupted run, or extracts again the archive the checkpoint names
+  // when the run stopped before its extraction was done.
+  async function startRestore(
+    type,
+    body,
+    { archive = null, ownsArchive = false, fileName = null, user = null }
+  ) {
+    try {
+      return await startRestoreJob(type, body, {
+        archive,
+        filePath: ownsArchive ? archive : null,
+        fileName,
+        user,
+      });
+    } catch (err) {
+      // an upload that never became a job is of no further use
+      if (ownsArchive && archive) await fs.remove(archive).catch(() => {});
+      throw err;
+    }
+  }
+
+  // filePath is the archive again when it should be deleted after the job;
+  // fileName is an upload's original name, which tells its format. An upload
+  // is kept as long as its checkpoint may resume the restore.
+  async function startRestoreJob(
+    type,
+    body,
+    { archive, filePath, fileName, user }
+  ) {
+    const { socketId, resumeId } = body;
+    const uri = resolveUri(body.uri);
+    let cp = null;
+    // a resumed run that stopped before its extraction was done starts that
+    // again from the archive
+    let extractAgain = false;
+    if (resumeId) {
+      cp = await loadCheckpoint(resumeId, type, user);
+      if (!cp) throw httpError(404, "Checkpoint not found");
+      extractAgain = cp.state.extracted === false;
+      if (filePath) {
+        const kept = cp.state.archiveFile;
+        if (extractAgain && !(kept && (await fs.pathExists(kept)))) {
+          // the archive kept for the checkpoint is gone; the file sent with
+          // the resume takes its place
+          Object.assign(cp.state, {
+            archiveFile: path.resolve(filePath),
+            fileName,
+            ownsArchive: true,
+          });
+        } else {
+          // the checkpoint's own archive or extracted copy is used instead
+          await fs.remove(filePath).catch(() => {});
+        }
+        archive = null;
+      }
+      filePath = cp.state.ownsArchive ? cp.state.archiveFile : null;
+      if (extractAgain) {
+        archive = archive || cp.state.archiveFile;
+        fileName = cp.state.fileName;
+        if (
+          !archive ||
+          (typeof archive === "string" && !(await fs.pathExists(archive)))
+        )
+          throw httpError(
+            409,
+            "The archive of this checkpoint no longer exists"
+          );
+      }
+    } else if (!archive) {
+      throw httpError(400, "Missing file");
+    }
+    const params = cp ? { ...cp.params, uri } : body;
+    const { dbName } = params;
+    const selectDatabase = parseDatabaseSelection(params);
+    // archives carry no query to re-run, so only include/exclude apply here
+    const selectCollection = createCollectionSelector(params);
+    const verify = params.verify === true || params.verify === "true";
+    const usersAndRoles =
+      params.usersAndRoles === true || params.usersAndRoles === "true";
+    // a dry run compares what would be restored with the target instead
+    const dryRun = params.dryRun === true || params.dryRun === "true";
+    if (dryRun && resumeId) throw httpError(400, "A dry run cannot be resumed");
+    let writeMode;
+    let onError;
+    let mapper;
+    let parallel;
+    try {
+      writeMode = parseWriteMode(params);
+      onError = parseOnError(params);
+      mapper = createMapper(parseMapping(params));
+      parallel = parseParallelism(params);
+    } catch (e) {
+      throw httpError(400, e.message);
+    }
+
+    // a resumed restore reuses the archives extracted by the interrupted run;
+    // new ones are opened here so a missing or wrong passphrase fails early.
+    // Uploads in other formats are converted once the job runs.
+    let steps = null;
+    let source = null;
+    if (!resumeId || extractAgain) {
+      try {
+        const detected = fileName ? detectFormat(fileName, params) : null;
+        if (detected && detected.format !== "zip") source = detected;
+        else steps = await openRestoreChain(archive, body.passphrase);
+        if (steps && steps.length > 1 && verify)
+          throw new Error("Verify is not available for incremental backups");
+        if (steps && steps.length > 1 && dryRun)
+          throw new Error("A dry run is not available for incremental backups");
+      } catch (e) {
+        throw httpError(400, e.message);
+      }
+    }
+    // a backup of several databases restores the selected ones (all by
+    // default), each into the database databaseMap names
+    const backupManifest = steps && steps[0].manifest;
+    let databases = cp ? cp.state.databases : null;
+    if (!cp && backupManifest && backupManifest.databases) {
+      if (dbName)
+        throw httpError(
+          400,
+          "This backup holds several databases; pick them with databases and rename them with databaseMap"
+        );
+      databases = backupManifest.databases.filter(
+        selectDatabase || (() => true)
+      );
+      if (!databases.length)
+        throw httpError(
+          400,
+          "No database of this backup matches the selection"
+        );
+    } else if (!cp && (selectDatabase || params.databaseMap)) {
+      throw httpError(400, "This backup holds a single database");
+    }
+    if (!uri || !(dbName || databases))
+      throw httpError(400, "Missing uri or dbName");
+    if (
+      !cp &&
+      usersAndRoles &&
+      !(steps && steps.some((s) => s.manifest && s.manifest.usersAndRoles))
+    )
+      throw httpError(400, "This backup holds no users or roles");
+    // source database -> target database
+    const pairs = databases
+      ? databases.map((name) => [name, mapper.database(name)])
+      : null;
+    if (databases)
+      try {
+        checkDatabaseTargets(mapper, databases);
+      } catch (e) {
+        throw httpError(400, e.message);
+      }
+    if (!cp) {
+      cp = checkpoints.create(
+        type,
+        checkpointParams(body),
+        {
+          steps: steps ? steps.length : 1,
+          step: 0,
+          databases,
+          extracted: false,
+          // what to extract again if the job stops before that is done
+          archiveFile:
+            typeof archive === "string" ? path.resolve(archive) : null,
+          fileName,
+          ownsArchive: !!filePath,
+        },
+        ownerOf(user)
+      );
+      // named after the checkpoint, so restores started together never share
+      // a folder
+      cp.state.extractName = `extract-${cp.id}`;
+    }
+    const extractDir = path.join(UPLOAD_DIR, cp.state.extractName);
+    const stepCount = cp.state.steps || 1;
+    const stepDir = (i) =>
+      stepCount > 1 ? path.join(extractDir, `step-${i}`) : extractDir;
+    if (resumeId && !extractAgain && !(await fs.pathExists(extractDir)))
+      throw httpError(
+        409,
+        "Extracted archive of this checkpoint no longer exists"
+      );
+    await fs.ensureDir(extractDir);
+
+    const jobParams = {
+      params: checkpointParams(params),
+      socketId,
+      locks: dryRun
+        ? []
+        : pairs
+        ? pairs.map(([, to]) => targetLock(uri, to))
+        : [targetLock(uri, dbName)],
+      checkpointId: dryRun ? null : cp.id,
+      owner: ownerOf(user),
+    };
+    const deadLetter =
+      onError === "dead-letter" ? createDeadLetter(deadLetterDir(cp.id)) : null;
+    if (!cp.state.rejected) cp.state.rejected = {};
+    const rejected = cp.state.rejected;
+    // counts and keeps rejected records; "stop" never gets here
+    const reject = async (collection, entries) => {
+      if (!entries.length) return;
+      rejected[collection] = (rejected[collection] || 0) + entries.length;
+      if (deadLetter) await deadLetter.add(collection, entries);
+    };
+    // records a conversion cannot read
+    const convertOpts =
+      onError === "stop"
+        ? {}
+        : {
+            onError: ({ collection, line, error, text }) =>
+              reject(collection, [
+                { line, stage: "convert", reason: error, record: text },
+              ]),
+          };
+
+    return jobs.start(type, jobParams, async (job) => {
+      try {
+        // saved before the extraction, so a restore stopped during it can
+        // be resumed too
+        if (steps)
+          cp.state.encrypted = steps.some(
+            (s) => s.manifest && s.manifest.encryption
+          );
+        if (!dryRun) await checkpoints.save(cp);
+        if (steps || source) await fs.emptyDir(extractDir);
+        if (steps)
+          for (let i = 0; i < steps.length; i++) {
+            await extractArchive(steps[i], stepDir(i));
+            // a zip made elsewhere: JSON, CSV or a mongodump directory
+            if (!steps[i].manifest) await normalizeDir(stepDir(i), convertOpts);
+          }
+        else if (source) {
+          const converted = await importFile(
+            archive,
+            source,
+            extractDir,
+            convertOpts
+          );
+          job.emit(`${type}-converted`, {
+            format: source.format,
+            collections: converted,
+          });
+        }
+        if (dryRun) {
+          let client;
+          try {
+            client = new MongoClient(uri);
+            await client.connect();
+            const label = fileName || params.archive;
+            const options = dryRunOptions(
+              mapper,
+              selectCollection,
+              null,
+              !!pairs
+            );
+            if (pairs) {
+              const sources = [];
+              for (const [from] of pairs)
+                sources.push([
+                  from,
+                  await dirSide(
+                    path.join(extractDir, from),
+                    `${label} ${from}`
+                  ),
+                ]);
+              return await runComparison(
+                job,
+                type,
+                clusterSide(sources, label),
+                clusterSide(
+                  pairs.map(([, to]) => [
+                    to,
+                    dbSide(client.db(to), `database ${to}`),
+                  ]),
+                  `databases ${pairs.map(([, to]) => to).join(", ")}`
+                ),
+                options
+              );
+            }
+            return await runComparison(
+              job,
+              type,
+              await dirSide(extractDir, label),
+              dbSide(client.db(dbName), `database ${dbName}`),
+              options
+            );
+          } finally {
+            if (client) await client.close();
+            await fs.remove(extractDir);
+          }
+        }
+        cp.state.extracted = true;
+        await checkpoints.save(cp);
+
+        let client;
+        try {
+          client = new MongoClient(uri);
+          await client.connect();
+          const db = client.db(dbName);
+          const BATCH_SIZE = parseInt(params.batchSize, 10) || 1000;
+          const limiter = createRateLimiter(parallel);
+          let importedCollections = 0;
+          let encrypted = false;
+          let expected = {};
+
+          // Load the collections of one extracted backup. The full backup
+          // (step 0) is written with the chosen write mode; the incrementals
+          // after it upsert what changed and delete what was deleted.
+          async function restoreDir(dir, step) {
+            const incremental = step > 0;
+            const stepWriteMode = incremental
+              ? { mode: "upsert", key: "_id" }
+              : writeMode;
+            // older backups have no manifest; verify then checks the target
+            // against what was read from the archive
+            const manifestPath = path.join(dir, MANIFEST_FILE);
+            const manifest = (await fs.pathExists(manifestPath))
+              ? await fs.readJson(manifestPath)
+              : null;
+            if (manifest && manifest.encryption) encrypted = true;
+            expected = {};
+            // the collection files with the folder they are in, the database
+            // they go to and their key in the checkpoint: the name, or
+            // "<db>/<collection>" for a backup of several databases
+            const files = [];
+            for (const [from, to] of pairs || [[null, dbName]]) {
+              const folder = from === null ? dir : path.join(dir, from);
+              const names = (await fs.pathExists(folder))
+                ? collectionFiles(await fs.readdir(folder))
+                    .map((f) => [f, f.replace(/\.(ndjson|json)$/, "")])
+                    .filter(([, name]) => selectCollection(name))
+                : [];
+              const toDb = client.db(to);
+              checkTargets(
+                mapper,
+                names.map(([, name]) => name)
+              );
+              // on resume the target already holds this job's own data
+              if (
+                stepWriteMode.mode === "fail-if-not-empty" &&
+                !resumeId &&
+                !incremental
+              )
+                await assertTargetsEmpty(
+                  toDb,
+                  names.map(([, name]) => mapper.target(name))
+                );
+              for (const [f, collName] of names)
+                files.push({
+                  file: path.join(folder, f),
+                  folder,
+                  collName,
+                  db: toDb,
+                  key: pairs ? namespaceKey(from, collName) : collName,
+                  targetKey: pairs
+                    ? namespaceKey(to, mapper.target(collName))
+                    : mapper.target(collName),
+                });
+            }
+            job.emit(`${type}-start`, {
+              totalFiles: files.length,
+              collections: files.map((f) => f.key),
+              parallelCollections: parallel.collections,
+              checkpointId: cp.id,
+              resumed: !!resumeId,
+              step: step + 1,
+              totalSteps: stepCount,
+            });
+
+            await runConcurrently(
+              files,
+              parallel.collections,
+              async (
+                { file, folder, collName, db, key, targetKey },
+                checkStopped
+              ) => {
+                const check = () => {
+                  job.checkCancelled();
+                  checkStopped();
+                };
+                const target = mapper.target(collName);
+                const rename = mapper.rename(collName);
+                const collState =
+                  cp.collections[key] || (cp.collections[key] = {});
+                if (collState.done) {
+                  expected[targetKey] = collState.expected;
+                  importedCollections++;
+                  job.emit(`${type}-collection-done`, {
+                    collection: key,
+                    importedCount: collState.importedCount,
+                    resumed: true,
+                  });
+                  return;
+                }
+                const dst = db.collection(target);
+                const meta = mapper.meta(
+                  collName,
+                  await readMetaFile(folder, collName)
+                );
+                // lines are read from a byte offset, so an interrupted file
+                // resumes right after the last batch that was written
+                const resuming = collState.offset > 0;
+                if (!resuming) {
+                  collState.offset = 0;
+                  collState.line = 0;
+                  collState.importedCount = 0;
+                  collState.written = { inserted: 0, updated: 0, skipped: 0 };
+                  delete collState.hash;
+                  await prepareTargetCollection(
+                    db,
+                    target,
+                    meta,
+                    stepWriteMode.mode
+                  );
+                }
+                const collWriteMode = resuming
+                  ? resumeWriteMode(stepWriteMode)
+                  : stepWriteMode;
+                const rs = fs.createReadStream(file, {
+                  encoding: "utf8",
+                  start: collState.offset,
+                });
+                let buffer = "";
+                let consumed = collState.offset;
+                let lineNo = collState.line || 0;
+                let docsBatch = [];
+                let batchLines = [];
+                // rejected records are kept with the batch they came in, so a
+                // resumed job neither loses nor repeats them
+                let rejects = [];
+                let importedCount = collState.importedCount;
+                let sessionDocs = 0;
+                const written = collState.written;
+                const hasher = createHasher(collState.hash);
+                const flush = async () => {
+                  if (limiter)
+                    await limiter.take(
+                      docsBatch.length,
+                      consumed - collState.offset,
+                      check
+                    );
+                  if (docsBatch.length) {
+                    const r = await writeBatch(dst, docsBatch, collWriteMode, {
+                      keepGoing: onError !== "stop",
+                    });
+                    written.inserted += r.inserted;
+                    written.updated += r.updated;
+                    written.skipped += r.skipped;
+                    for (const x of r.rejected)
+                      rejects.push({
+                        line: batchLines[x.index],
+                        stage: "write",
+                        reason: x.reason,
+                        record: docsBatch[x.index],
+                      });
+                    importedCount += docsBatch.length - r.rejected.length;
+                    sessionDocs += docsBatch.length;
+                  }
+                  await reject(key, rejects);
+                  docsBatch = [];
+                  batchLines = [];
+                  rejects = [];
+                  collState.offset = consumed;
+                  collState.line = lineNo;
+                  collState.importedCount = importedCount;
+                  collState.hash = hasher.state();
+                  await checkpoints.save(cp);
+                };
+
+                // estimate totalDocs by streaming newline count (memory friendly)
+                let totalDocs = null;
+                try {
+                  totalDocs = await countLinesStream(file);
+                } catch (e) {
+                  totalDocs = null;
+                }
+
+                job.emit(`${type}-collection-start`, {
+                  collection: key,
+                  target: targetKey,
+                  importedCollections,
+                  totalDocs,
+                  resumed: resuming,
+                });
+
+                const ustart = Date.now();
+                const emitProgress = () => {
+                  const elapsedSec = Math.max(1, (Date.now() - ustart) / 1000);
+                  const speed = Math.round(sessionDocs / elapsedSec);
+                  const percent = totalDocs
+                    ? Math.min(
+                        100,
+                        Math.round((importedCount / totalDocs) * 100)
+                      )
+                    : null;
+                  const etaSec =
+                    totalDocs && speed
+                      ? Math.max(
+                          0,
+                          Math.round((totalDocs - importedCount) / speed)
+                        )
+                      : null;
+                  job.emit(`${type}-progress`, {
+                    collection: key,
+                    importedCount,
+                    totalDocs,
+                    percent,
+                    speed,
+                    etaSec,
+                    rejected: rejected[key] || 0,
+                  });
+                };
+                for await (const chunk of rs) {
+                  check();
+                  buffer += chunk;
+                  let idx;
+                  while ((idx = buffer.indexOf("\n")) >= 0) {
+                    const raw = buffer.slice(0, idx);
+                    const line = raw.trim();
+                    buffer = buffer.slice(idx + 1);
+                    consumed += Buffer.byteLength(raw) + 1;
+                    lineNo++;
+                    if (!line) continue;
+                    try {
+                      const obj = parseDocLine(line);
+                      if (rename) rename(obj);
+                      if (verify) hasher.update(obj);
+                      docsBatch.push(obj);
+                      batchLines.push(lineNo);
+                    } catch (e) {
+                      if (onError === "stop")
+                        throw new Error(`${key} line ${lineNo}: ${e.message}`);
+                      rejects.push({
+                        line: lineNo,
+                        stage: "parse",
+                        reason: e.message,
+                        record: line,
+                      });
+                    }
+                    if (
+                      docsBatch.length >= BATCH_SIZE ||
+                      rejects.length >= BATCH_SIZE
+                    ) {
+                      await flush();
+                      emitProgress();
+                    }
+                  }
+                }
+                if (docsBatch.length || rejects.length) {
+                  await flush();
+                  emitProgress();
+                }
+                // deletions recorded by an oplog incremental; replaying them
+                // again after a resume is harmless
+                const deleted = incremental
+                  ? await applyDeletes(
+                      dst,
+                      path.join(folder, collName + DELETES_SUFFIX),
+                      BATCH_SIZE
+                    )
+                  : 0;
+                const indexesBuilt = await rebuildIndexes(db, target, meta);
+                // the manifest's checksums are of the documents before renaming
+                expected[targetKey] = (!rename &&
+                  manifest &&
+                  manifest.collections[key]) || {
+                  type: meta && meta.type,
+                  count: importedCount,
+                  checksum: hasher.digest(),
+                };
+                collState.done = true;
+                collState.expected = expected[targetKey];
+                await checkpoints.save(cp);
+                importedCollections++;
+                job.emit(`${type}-collection-done`, {
+                  collection: key,
+                  importedCount,
+                  indexesBuilt,
+                  deleted,
+                  ...written,
+                  rejected: rejected[key] || 0,
+                });
+              }
+            );
+          }
+
+          for (let step = cp.state.step || 0; step < stepCount; step++) {
+            await restoreDir(stepDir(step), step);
+            if (step + 1 < stepCount) {
+              cp.state.step = step + 1;
+              cp.collections = {};
+              await checkpoints.save(cp);
+            }
+          }
+
+          // views, and users and roles when asked for, as the most recent
+          // backup of the chain has them
+          const manifestOf = async (step) => {
+            const file = path.join(stepDir(step), MANIFEST_FILE);
+            return (await fs.pathExists(file)) ? fs.readJson(file) : null;
+          };
+          const lastManifest = await manifestOf(stepCount - 1);
+          const views = [];
+          for (const [from, to] of pairs || [[null, dbName]]) {
+            const folder =
+              from === null
+                ? stepDir(stepCount - 1)
+                : path.join(stepDir(stepCount - 1), from);
+            for (const key of (lastManifest && lastManifest.views) || []) {
+              const [db, name] = from === null ? [null, key] : splitKey(key);
+              if (db !== from || !selectCollection(name)) continue;
+              views.push({
+                meta: await readMetaFile(folder, name),
+                db: client.db(to),
+                key,
+                targetKey:
+                  from === null
+                    ? mapper.target(name)
+                    : namespaceKey(to, mapper.target(name)),
+              });
+            }
+          }
+          const viewsCreated = await recreateViews(
+            job,
+            type,
+            views,
+            mapper,
+            writeMode.mode
+          );
+          let usersRestored;
+          if (usersAndRoles) {
+            usersRestored = { users: 0, roles: 0 };
+            for (const [from, to] of pairs || [[null, dbName]])
+              for (let step = stepCount - 1; step >= 0; step--) {
+                const found = await readUsersAndRolesFiles(
+                  from === null ? stepDir(step) : path.join(stepDir(step), from)
+                );
+                if (!found) continue;
+                const restored = await restoreUsersAndRoles(
+                  client,
+                  found,
+                  from === null ? (await manifestOf(step)).sourceDb : from,
+                  to
+                );
+                usersRestored.users += restored.users;
+                usersRestored.roles += restored.roles;
+                break;
+              }
+            job.emit(`${type}-users-and-roles`, usersRestored);
+          }
+
+          // schedule cleanup of extracted dir and zip file (if exists); the
+          // decrypted copy of an encrypted backup is not kept around
+          if (encrypted) await fs.remove(extractDir);
+          else scheduleCleanup(extractDir);
+          if (filePath) scheduleCleanup(filePath);
+
+          const verifyResult = verify
+            ? await verifyTarget(
+                job,
+                `${type}-verify`,
+                writeMode.mode,
+                pairs ? clusterHashes(client) : databaseHashes(db),
+                expected
+              )
+            : undefined;
+          await checkpoints.remove(cp.id);
+          const rejectedCount = Object.values(rejected).reduce(
+            (a, b) => a + b,
+            0
+          );
+          if (deadLetter) scheduleCleanup(deadLetter.dir);
+          const result = {
+            importedCollections,
+            views: viewsCreated,
+            usersAndRoles: usersRestored,
+            steps: stepCount,
+            verify: verifyResult,
+            rejected: rejectedCount,
+            rejectedByCollection: rejected,
+            // dead-letter downloads, per collection
+            deadLetter:
+              deadLetter && rejectedCount
+                ? Object.fromEntries(
+                    Object.keys(rejected).map((c) => [
+                      c,
+                      `/api/jobs/${job.id}/dead-letter/${encodeURIComponent(
+                        c
+                      )}`,
+                    ])
+                  )
+                : undefined,
+          };
+          job.emit(`${type}-done`, result);
+          return result;
+        } finally {
+          if (client) await client.close();
+        }
+      } catch (err) {
+        // no decrypted copy outlives a failed run; resuming it extracts the
+        // kept archive again
+        if (cp.state.encrypted) {
+          await fs.remove(extractDir).catch(() => {});
+          cp.state.extracted = false;
+          if (!dryRun) await checkpoints.save(cp).catch(() => {});
+        }
+        throw err;
+      } finally {
+        // a failed run keeps the upload for its checkpoint; a dry run has none
+        if (filePath && dryRun) await fs.remove(filePath).catch(() => {});
+        // don't immediately remove extractDir so user can inspect; could remove later
+      }
+    });
+  }
+
+  // One side of a comparison from a request: a database { uri, dbName } or a
+  // stored backup { backup, storage, passphrase }, as { open() -> side,
+  // close() }. Backups are opened right away, so a wrong passphrase fails
+  // before the job starts.
+  async function openCompareSide(spec, user) {
+    if (!spec || typeof spec !== "object")
+      throw httpError(400, "Missing source or target");
+    if (spec.backup) {
+      const { target, info } = await findBackup(
+        spec.storage,
+        spec.backup,
+        user
+      );
+      if (info.incremental)
+        throw httpError(
+          400,
+          "An incremental backup only holds changes; compare the full backup instead"
+        );
+      let opened;
+      try {
+        opened = await openArchive(
+          await target.openZip(info.name),
+          spec.passphrase
+        );
+      } catch (e) {
+        throw httpError(400, e.message);
+      }
+      const side = fileSide({
+        label: `backup ${info.name}`,
+        ...exportSource(opened, info.name),
+      });
+      return { open: async () => side, close: async () => {} };
+    }
+    const uri = resolveUri(spec.uri);
+    if (!uri || !spec.dbName)
+      throw httpError(400, "A database to compare needs a URI and a DB name");
+    let client = null;
+    return {
+      async open() {
+        client = new MongoClient(uri);
+        await client.connect();
+        return dbSide(client.db(spec.dbName), `database ${spec.dbName}`);
+      },
+      async close() {
+        if (client) await client.close();
+      },
+    };
+  }
+
+  // Compare job: body { source, target, include, exclude } with sides as
+  // above; nothing is written to either side
+  async function startCompare(body, user = null) {
+    const selectCollection = createCollectionSelector(body);
+    const source = await openCompareSide(body.source, user);
+    const target = await openCompareSide(body.target, user);
+    const jobParams = {
+      params: {
+        ...checkpointParams(body),
+        source: checkpointParams(body.source),
+        target: checkpointParams(body.target),
+      },
+      socketId: body.socketId,
+      owner: ownerOf(user),
+    };
+    return jobs.start("compare", jobParams, async (job) => {
+      try {
+        return await runComparison(
+          job,
+          "compare",
+          await source.open(),
+          await target.open(),
+          { select: selectCollection }
+        );
+      } finally {
+        await source.close();
+        await target.close();
+      }
+    });
+  }
+
+  // Catalog backup `name` in storage target `storage` (default local) as
+  // { target, info } if `user` may use it
+  async function findBackup(storage, name, user) {
+    const target = catalog.locate(storage, name);
+    const info = target && (await catalog.describe(target, name));
+    if (!info) throw httpError(404, `Backup ${name} not found`);
+    if (!canAccess(user, info.owner))
+      throw httpError(403, "This backup belongs to another user");
+    return { target, info };
+  }
+
+  // Restore catalog backup `name` of storage target `storage`; the archive
+  // stays in the catalog afterwards
+  async function restoreBackup(storage, name, body, user = null) {
+    const { target, info } = await findBackup(storage, name, user);
+    return startRestore(
+      "restore",
+      { ...body, archive: info.name, target: target.id },
+      {
+        // later names are the backups an incremental builds on
+        archive: (prev = info.name) => {
+          if (!catalog.locate(target.id, prev))
+            throw new Error(`Invalid backup name ${prev}`);
+          return target.openZip(prev);
+        },
+        user,
+      }
+    );
+  }
+
+  // Verify job: checks catalog backup body.archive (in storage body.target)
+  // against the checksums of its manifest. With uri and dbName that database
+  // is re-hashed, e.g. after a restore made by other means; without them the
+  // backup's own files are, to catch a damaged archive. include/exclude pick
+  // the collections, and databases/excludeDatabases the databases of a backup
+  // of several.
+  async function startVerify(body, user = null) {
+    const { target, info } = await findBackup(body.target, body.archive, user);
+    if (info.incremental)
+      throw httpError(
+        400,
+        "An incremental backup only holds changes; verify the full backup instead"
+      );
+    const uri = body.uri ? resolveUri(body.uri) : null;
+    const selectCollection = createCollectionSelector(body);
+    const selectDatabase = parseDatabaseSelection(body) || (() => true);
+    let mapper;
+    try {
+      mapper = createMapper(parseMapping({ databaseMap: body.databaseMap }));
+    } catch (e) {
+      throw httpError(400, e.message);
+    }
+    let opened;
+    try {
+      opened = await openArchive(
+        await target.openZip(info.name),
+        body.passphrase
+      );
+    } catch (e) {
+      throw httpError(400, e.message);
+    }
+    if (!opened.manifest)
+      throw httpError(400, `${info.name} has no manifest to verify against`);
+    // a backup of several databases is checked against databases of the
+    // same names, or the ones databaseMap names
+    const clustered = !!opened.manifest.databases;
+    if (uri && !clustered && !body.dbName)
+      throw httpError(400, "Missing dbName");
+    if (clustered && body.dbName)
+      throw httpError(
+        400,
+        "This backup holds several databases; rename them with databaseMap instead"
+      );
+    const expected = {};
+    for (const [name, c] of Object.entries(opened.manifest.collections)) {
+      const [db, coll] = clustered ? splitKey(name) : [null, name];
+      if (selectCollection(coll) && (!clustered || selectDatabase(db)))
+        expected[name] = c;
+    }
+
+    const jobParams = {
+      params: checkpointParams(body),
+      socketId: body.socketId,
+      owner: ownerOf(user),
+    };
+    return jobs.start("verify", jobParams, async (job) => {
+      let client;
+      try {
+        let hashOf;
+        if (uri) {
+          client = new MongoClient(uri);
+          await client.connect();
+          hashOf = clustered
+            ? clusterHashes(client, (name) => mapper.database(name))
+            : databaseHashes(client.db(body.dbName));
+        } else {
+          const side = fileSide({
+            label: info.name,
+            ...exportSource(opened, info.name),
+          });
+          hashOf = (name) => hashDocs(side.docs(name));
+        }
+        const verify = await runVerify(job, "verify", hashOf, expected);
+        return {
+          backup: info.name,
+          dbName: uri ? body.dbName : null,
+          ...verify,
+        };
+      } finally {
+        if (client) await client.close();
+      }
+    });
+  }
+
+  return {
+    uploadDir: UPLOAD_DIR,
+    checkpoints,
+    jobs,
+    targets,
+    catalog,
+    profiles,
+    masking,
+    resolveUri,
+    resolveMasking,
+    scheduleCleanup,
+    flushCleanups,
+    expireCheckpoints,
+    reportFile,
+    deadLetterDir,
+    findBackup,
+    startBackup,
+    startTransfer,
+    startRestore,
+    restoreBackup,
+    startVerify,
+    startCompare,
+  };
+}
+
+module.exports = {
+  createEngine,
+  httpError,
+  readSelection,
+  exportSource,
+};
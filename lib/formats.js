@@ -0,0 +1,563 @@
+const path = require("path");
+const zlib = require("zlib");
+const { once } = require("events");
+const { pipeline, Readable } = require("stream");
+const { finished } = require("stream/promises");
+const fs = require("fs-extra");
+const { BSON } = require("mongodb");
+const { EJSON, serializeDoc, parseDocLine } = require("./ejson");
+const { metaFileName } = require("./collections");
+const { MANIFEST_FILE } = require("./manifest");
+const { createArchive, appendEntry } = require("./packing");
+const csv = require("./csv");
+const dump = require("./mongodump");
+
+// Formats other than this tool's own backup zips. Uploads in any of them are
+// converted into the layout a backup extracts to (<coll>.ndjson plus
+// <coll>.metadata.json), so restore handles them like any backup:
+//   ndjson    one Extended JSON document per line (.ndjson, .jsonl)
+//   json      a JSON array, or mongoexport output (one document per line)
+//   csv/tsv   a header row, optionally with type hints (see csv.js)
+//   bson      a mongodump .bson file
+//   archive   a mongodump --archive file
+// Any of them may be gzipped. Zips without a manifest may hold the same
+// files, or a mongodump directory. Backups can be exported the other way.
+
+const IMPORT_FORMATS = [
+  "zip",
+  "ndjson",
+  "json",
+  "csv",
+  "tsv",
+  "bson",
+  "archive",
+];
+const EXTENSIONS = {
+  ".zip": "zip",
+  ".ndjson": "ndjson",
+  ".jsonl": "ndjson",
+  ".json": "json",
+  ".csv": "csv",
+  ".tsv": "tsv",
+  ".bson": "bson",
+  ".archive": "archive",
+};
+const EXPORT_FORMATS = [
+  "ndjson",
+  "ndjson.gz",
+  "mongoexport",
+  "json",
+  "csv",
+  "tsv",
+  "bson",
+  "archive",
+  "archive.gz",
+];
+
+function checkCollectionName(name) {
+  if (!name || name.startsWith("system.") || /[$/\\\0]/.test(name))
+    throw new Error(`Invalid collection name "${name}"`);
+  return name;
+}
+
+// { format, collection } of an uploaded file, from its name unless
+// `format` (and, for single-collection formats, `collection`) say otherwise
+function detectFormat(fileName, { format, collection } = {}) {
+  const name = path.basename(String(fileName || "")).replace(/\.gz$/i, "");
+  const ext = path.extname(name).toLowerCase();
+  const chosen = !format || format === "auto" ? EXTENSIONS[ext] : format;
+  if (!chosen)
+    throw new Error(`Cannot tell the format of ${fileName}; choose one`);
+  if (!IMPORT_FORMATS.includes(chosen))
+    throw new Error(`Unknown import format "${chosen}"`);
+  if (chosen === "zip" || chosen === "archive") return { format: chosen };
+  const coll =
+    String(collection || "").trim() ||
+    (EXTENSIONS[ext] ? name.slice(0, -ext.length) : name);
+  return { format: chosen, collection: checkCollectionName(coll) };
+}
+
+// read stream of `file`, gunzipped if it is gzip data
+async function openInput(file) {
+  const head = Buffer.alloc(2);
+  const fd = await fs.open(file, "r");
+  try {
+    await fs.read(fd, head, 0, 2, 0);
+  } finally {
+    await fs.close(fd);
+  }
+  const rs = fs.createReadStream(file);
+  if (head[0] !== 0x1f || head[1] !== 0x8b) return rs;
+  return pipeline(rs, zlib.createGunzip(), () => {});
+}
+
+// appends documents to `file` as canonical Extended JSON lines
+function createDocWriter(file) {
+  const out = fs.createWriteStream(file);
+  let error = null;
+  let ended = null;
+  out.on("error", (e) => (error = e));
+  return {
+    count: 0,
+    async write(doc) {
+      if (error) throw error;
+      this.count++;
+      if (!out.write(serializeDoc(doc) + "\n")) await once(out, "drain");
+    },
+    end() {
+      if (!ended) {
+        out.end();
+        ended = finished(out);
+      }
+      return ended;
+    },
+  };
+}
+
+// non-blank lines of a text stream as { text, line }
+async function* textLines(stream) {
+  let buffer = "";
+  let line = 0;
+  for await (const chunk of stream) {
+    buffer += chunk;
+    let start = 0;
+    for (let idx; (idx = buffer.indexOf("\n", start)) >= 0; start = idx + 1) {
+      line++;
+      const text = buffer
+        .slice(start, idx)
+        .replace(/^\uFEFF/, "")
+        .trim();
+      if (text) yield { text, line };
+    }
+    buffer = buffer.slice(start);
+  }
+  if (buffer.trim()) yield { text: buffer.trim(), line: line + 1 };
+}
+
+// Top-level values of a JSON text stream as { text, line }: the elements
+// of an array if the text starts with "[", otherwise the values one after
+// the other (one per line as mongoexport writes them, or pretty-printed)
+async function* jsonValues(stream) {
+  let array = null;
+  let base = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let scalar = false;
+  let inValue = false;
+  let closed = false;
+  let text = "";
+  let line = 1;
+  let startLine = 1;
+  for await (const chunk of stream) {
+    let from = 0;
+    for (let i = 0; i < chunk.length; i++) {
+      const c = chunk[i];
+      if (c === "\n") line++;
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (c === "\\") escaped = true;
+        else if (c === '"') {
+          inString = false;
+          if (depth === base) {
+            yield { text: text + chunk.slice(from, i + 1), line: startLine };
+            inValue = false;
+          }
+        }
+        continue;
+      }
+      if (scalar) {
+        if (!/[\s,[\]{}]/.test(c)) continue;
+        yield { text: text + chunk.slice(from, i), line: startLine };
+        inValue = scalar = false;
+      } else if (inValue) {
+        if (c === '"') inString = true;
+        else if (c === "{" || c === "[") depth++;
+        else if ((c === "}" || c === "]") && --depth === base) {
+          yield { text: text + chunk.slice(from, i + 1), line: startLine };
+          inValue = false;
+        }
+        continue;
+      }
+      // between values
+      if (/\s/.test(c) || c === "\uFEFF") continue;
+      if (array === null) {
+        array = c === "[";
+        if (array) {
+          base = depth = 1;
+          continue;
+        }
+      }
+      if (closed)
+        throw new Error(`Unexpected ${c} after the JSON array on line ${line}`);
+      if (array && c === ",") continue;
+      if (array && c === "]") {
+        closed = true;
+        continue;
+      }
+      inValue = true;
+      startLine = line;
+      from = i;
+      text = "";
+      if (c === '"') inString = true;
+      else if (c === "{" || c === "[") depth++;
+      else scalar = true;
+    }
+    if (inValue) text += chunk.slice(from);
+  }
+  if (inValue && scalar) yield { text, line: startLine };
+  else if (inValue)
+    throw new Error(`JSON ends inside the value starting on line ${startLine}`);
+  if (array && !closed) throw new Error("The JSON array is not closed");
+}
+
+function isDocument(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !value._bsontype &&
+    !(value instanceof Date)
+  );
+}
+
+// { doc, line } for Extended JSON `text`, or { error, line, text }
+function parseItem({ text, line }) {
+  try {
+    const doc = parseDocLine(text);
+    if (!isDocument(doc)) throw new Error("Not a document");
+    return { doc, line };
+  } catch (e) {
+    return { error: e.message, line, text };
+  }
+}
+
+async function* delimitedItems(stream, delimiter) {
+  let columns = null;
+  for await (const record of csv.delimitedRecords(stream, delimiter)) {
+    if (!columns) {
+      columns = csv.parseHeader(record.fields);
+      continue;
+    }
+    try {
+      yield { doc: csv.recordToDoc(columns, record.fields), line: record.line };
+    } catch (e) {
+      yield {
+        error: e.message,
+        line: record.line,
+        text: record.fields.join(delimiter),
+      };
+    }
+  }
+}
+
+// for BSON, `line` is the number of the document in the file
+async function* bsonItems(stream) {
+  let line = 0;
+  for await (const buf of dump.bsonTokens(stream)) {
+    line++;
+    if (buf === dump.TERMINATOR)
+      throw new Error("Not a BSON file: found an archive terminator");
+    try {
+      yield { doc: dump.decodeDoc(buf), line };
+    } catch (e) {
+      yield { error: e.message, line, text: buf.toString("base64") };
+    }
+  }
+}
+
+// documents of a single-collection file as { doc, line } or, for the ones
+// that cannot be read, { error, line, text }
+function fileItems(format, stream) {
+  if (format === "bson") return bsonItems(stream);
+  stream.setEncoding("utf8");
+  if (format === "ndjson") return mapItems(textLines(stream));
+  if (format === "json") return mapItems(jsonValues(stream));
+  return delimitedItems(stream, format === "tsv" ? "\t" : ",");
+}
+
+async function* mapItems(values) {
+  for await (const value of values) yield parseItem(value);
+}
+
+function failOnError({ collection, line, error }) {
+  throw new Error(`${collection} line ${line}: ${error}`);
+}
+
+// Convert the documents of `stream` (in `format`) into `dir`/<collection>.ndjson;
+// documents that cannot be read go to onError({ collection, line, error,
+// text }), which fails the import unless told otherwise. Returns the count.
+async function convertFile(format, stream, dir, collection, onError) {
+  const writer = createDocWriter(path.join(dir, collection + ".ndjson"));
+  try {
+    for await (const item of fileItems(format, stream)) {
+      if (item.error) await onError({ collection, ...item });
+      else await writer.write(item.doc);
+    }
+  } finally {
+    await writer.end();
+  }
+  return writer.count;
+}
+
+async function writeMeta(dir, name, meta) {
+  await fs.writeFile(
+    path.join(dir, metaFileName(name)),
+    EJSON.stringify(meta, null, 2, { relaxed: false })
+  );
+}
+
+// Demultiplex a mongodump archive into `dir`. Views and system collections
+// are left out; an archive of several databases must not hold the same
+// collection name twice.
+async function convertArchive(stream, dir) {
+  const counts = {};
+  const dbOf = new Map();
+  const writers = [];
+  try {
+    await dump.readDumpArchive(stream, async (db, name, metadata) => {
+      if (name.startsWith("system.")) return null;
+      const meta = dump.fromDumpMeta(metadata, name);
+      if (!meta) return null;
+      checkCollectionName(name);
+      if (dbOf.has(name))
+        throw new Error(
+          `The archive holds ${name} in both ${dbOf.get(name)} and ${db}`
+        );
+      dbOf.set(name, db);
+      await writeMeta(dir, name, meta);
+      const writer = createDocWriter(path.join(dir, name + ".ndjson"));
+      writers.push(writer);
+      return {
+        write: (doc) => writer.write(doc),
+        end: async () => {
+          await writer.end();
+          counts[name] = writer.count;
+        },
+      };
+    });
+  } finally {
+    await Promise.allSettled(writers.map((w) => w.end()));
+  }
+  return counts;
+}
+
+// Convert an uploaded `file` of a detectFormat() result into `dir`.
+// Returns { collection: documents converted }.
+async function importFile(file, { format, collection }, dir, opts = {}) {
+  const { onError = failOnError } = opts;
+  const input = await openInput(file);
+  if (format === "archive") return convertArchive(input, dir);
+  return {
+    [collection]: await convertFile(format, input, dir, collection, onError),
+  };
+}
+
+// files under `dir` as relative paths, leaving out macOS resource forks
+// and hidden files
+async function listFiles(dir, rel = "") {
+  const out = [];
+  for (const entry of await fs.readdir(path.join(dir, rel), {
+    withFileTypes: true,
+  })) {
+    if (entry.name.startsWith(".") || entry.name === "__MACOSX") continue;
+    const name = path.join(rel, entry.name);
+    if (entry.isDirectory()) out.push(...(await listFiles(dir, name)));
+    else if (entry.isFile()) out.push(name);
+  }
+  return out;
+}
+
+// Bring an extracted zip that has no manifest into the layout restore
+// reads: JSON arrays, mongoexport, CSV/TSV and mongodump .bson files
+// (with their metadata) become top-level .ndjson files; .ndjson files in
+// subdirectories are moved up. Top-level .ndjson files (the layout of
+// backups from before manifests) are left as they are.
+async function normalizeDir(dir, opts = {}) {
+  const { onError = failOnError } = opts;
+  const sources = new Map();
+  for (const rel of await listFiles(dir)) {
+    const base = path.basename(rel);
+    if (rel === MANIFEST_FILE || base.endsWith(".metadata.json")) continue;
+    const ext = path.extname(base).toLowerCase();
+    const format = EXTENSIONS[ext];
+    const name = base.slice(0, -ext.length);
+    if (!format || format === "zip" || format === "archive") continue;
+    // mongodump's oplog.bson and the admin/system collections
+    if (name === "oplog" || name.startsWith("system.")) continue;
+    checkCollectionName(name);
+    if (sources.has(name))
+      throw new Error(`${rel} and ${sources.get(name)} both hold ${name}`);
+    sources.set(name, rel);
+
+    const src = path.join(dir, rel);
+    const metaSrc = path.join(path.dirname(src), metaFileName(name));
+    if (await fs.pathExists(metaSrc)) {
+      const meta = dump.fromDumpMeta(await fs.readFile(metaSrc, "utf8"), name);
+      await fs.remove(metaSrc);
+      // views hold no documents
+      if (!meta) {
+        await fs.remove(src);
+        continue;
+      }
+      await writeMeta(dir, name, meta);
+    }
+    if (rel === name + ".ndjson") continue;
+    if (format === "ndjson") {
+      await fs.move(src, path.join(dir, name + ".ndjson"));
+      continue;
+    }
+    await convertFile(format, await openInput(src), dir, name, onError);
+    await fs.remove(src);
+  }
+  for (const entry of await fs.readdir(dir, { withFileTypes: true }))
+    if (entry.isDirectory()) await fs.remove(path.join(dir, entry.name));
+}
+
+// Exports: `source` describes the backup being exported as { dbName,
+// collections, read(name), meta(name) }, read() giving a collection's
+// .ndjson stream and meta() its metadata (or null).
+
+// { format, collections, fileName } for exporting `collection` (or all of
+// `collections`) of backup `backupName` as `format`
+function planExport(backupName, { format, collection }, collections) {
+  if (!EXPORT_FORMATS.includes(format))
+    throw new Error(`Unknown export format "${format}"`);
+  let names = collections;
+  if (collection) {
+    if (!collections.includes(collection))
+      throw new Error(`${collection} is not in this backup`);
+    names = [collection];
+  }
+  if (!names.length) throw new Error("This backup holds no collections");
+  const single = format.startsWith("ndjson");
+  if (single && names.length > 1)
+    throw new Error("An ndjson export holds one collection; choose which");
+  const base = backupName.replace(/\.zip$/, "");
+  const fileName = single
+    ? `${names[0]}.${format}`
+    : format.startsWith("archive")
+    ? `${base}.${format}`
+    : `${base}-${format}.zip`;
+  return { format, collections: names, fileName };
+}
+
+async function* readDocs(source, name) {
+  const stream = source.read(name);
+  stream.setEncoding("utf8");
+  for await (const { text } of textLines(stream)) yield parseDocLine(text);
+}
+
+// the files a zip export holds for collection `name`, as [entry name,
+// async iterable of chunks]
+function exportEntries(format, source, name) {
+  const docs = () => readDocs(source, name);
+  if (format === "mongoexport")
+    return [
+      [
+        `${name}.json`,
+        (async function* () {
+          for await (const doc of docs())
+            yield EJSON.stringify(doc, { relaxed: true }) + "\n";
+        })(),
+      ],
+    ];
+  if (format === "json")
+    return [
+      [
+        `${name}.json`,
+        (async function* () {
+          let sep = "[\n";
+          for await (const doc of docs()) {
+            yield sep + EJSON.stringify(doc, { relaxed: true });
+            sep = ",\n";
+          }
+          yield sep === "[\n" ? "[]\n" : "\n]\n";
+        })(),
+      ],
+    ];
+  if (format === "csv" || format === "tsv") {
+    const delimiter = format === "tsv" ? "\t" : ",";
+    return [
+      [
+        `${name}.${format}`,
+        (async function* () {
+          // a first pass finds the columns and their types
+          const planner = csv.createColumnPlanner(delimiter);
+          for await (const doc of docs()) planner.add(doc);
+          const columns = planner.columns();
+          yield csv.headerLine(columns, delimiter);
+          for await (const doc of docs())
+            yield csv.recordLine(doc, columns, delimiter);
+        })(),
+      ],
+    ];
+  }
+  // bson: a mongodump directory
+  const dbName = source.dbName;
+  return [
+    [
+      `${dbName}/${name}.bson`,
+      (async function* () {
+        for await (const doc of docs()) yield BSON.serialize(doc);
+      })(),
+    ],
+    [
+      `${dbName}/${metaFileName(name)}`,
+      (async function* () {
+        const meta = dump.toDumpMeta(await source.meta(name), name);
+        yield EJSON.stringify(meta, { relaxed: false });
+      })(),
+    ],
+  ];
+}
+
+// Write the export `plan` of `source` into the Writable `output`; resolves
+// once all of it has been handed over
+async function exportBackup(plan, source, output) {
+  const { format, collections } = plan;
+  const gzip = format.endsWith(".gz") ? [zlib.createGzip()] : [];
+  const done = (readable) =>
+    new Promise((resolve, reject) =>
+      pipeline(readable, ...gzip, output, (err) =>
+        err ? reject(err) : resolve()
+      )
+    );
+  if (format.startsWith("ndjson")) return done(source.read(collections[0]));
+  if (format.startsWith("archive")) {
+    const parts = [];
+    for (const name of collections)
+      parts.push({
+        name,
+        meta: await source.meta(name),
+        docs: () => readDocs(source, name),
+      });
+    return done(Readable.from(dump.dumpArchiveChunks(source.dbName, parts)));
+  }
+  const archive = createArchive();
+  const failed = new Promise((resolve, reject) => archive.on("error", reject));
+  const sent = done(archive);
+  const written = (async () => {
+    for (const name of collections)
+      for (const [entry, chunks] of exportEntries(format, source, name))
+        await appendEntry(
+          archive,
+          Readable.from(chunks, { objectMode: false }),
+          entry
+        );
+    await archive.finalize();
+  })();
+  // a download closed early fails `sent` while entries are still waiting
+  await Promise.race([written, failed, sent]);
+  await sent;
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  EXPORT_FORMATS,
+  detectFormat,
+  importFile,
+  normalizeDir,
+  planExport,
+  exportBackup,
+};
@@ -0,0 +1,135 @@
+// _id values in the order the server sorts them with the simple collation,
+// so documents read with sort { _id: 1 } and documents sorted here line up.
+// Values of different types sort by type first (MinKey, null, numbers,
+// strings, objects, arrays, binary, ObjectId, booleans, dates, timestamps,
+// regular expressions, MaxKey); numbers of any BSON type compare by value,
+// strings by their UTF-8 bytes and objects field by field.
+
+// the server's canonical type order
+function typeRank(v) {
+  if (v === undefined) return 0;
+  if (v === null) return 5;
+  if (typeof v === "number") return 10;
+  if (typeof v === "string") return 15;
+  if (typeof v === "boolean") return 40;
+  if (v instanceof Date) return 45;
+  if (Array.isArray(v)) return 25;
+  switch (v._bsontype) {
+    case "MinKey":
+      return -1;
+    case "Int32":
+    case "Double":
+    case "Long":
+    case "Decimal128":
+      return 10;
+    case "BSONSymbol":
+      return 15;
+    case "Binary":
+      return 30;
+    case "ObjectId":
+    case "ObjectID":
+      return 35;
+    case "Timestamp":
+      return 47;
+    case "BSONRegExp":
+      return 50;
+    case "Code":
+      return 60;
+    case "MaxKey":
+      return 127;
+    default:
+      return 20;
+  }
+}
+
+function numberOf(v) {
+  if (typeof v === "number") return v;
+  if (v._bsontype === "Long") return v.toNumber();
+  if (v._bsontype === "Decimal128") return Number(v.toString());
+  return v.valueOf();
+}
+
+function compareNumbers(a, b) {
+  // Longs beyond 2^53 lose precision as JS numbers
+  if (a._bsontype === "Long" && b._bsontype === "Long") return a.compare(b);
+  const x = numberOf(a);
+  const y = numberOf(b);
+  // NaN sorts before every other number
+  if (Number.isNaN(x) || Number.isNaN(y))
+    return Number.isNaN(x) ? (Number.isNaN(y) ? 0 : -1) : 1;
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function compareStrings(a, b) {
+  return Buffer.compare(Buffer.from(a, "utf8"), Buffer.from(b, "utf8"));
+}
+
+const sign = (n) => (n < 0 ? -1 : n > 0 ? 1 : 0);
+
+// element by element: type, then field name, then value; a prefix first
+function compareFields(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    const [ka, va] = a[i];
+    const [kb, vb] = b[i];
+    const c =
+      sign(typeRank(va) - typeRank(vb)) ||
+      compareStrings(ka, kb) ||
+      compareIds(va, vb);
+    if (c) return c;
+  }
+  return sign(a.length - b.length);
+}
+
+function binaryBytes(v) {
+  return v.buffer.subarray(0, v.position);
+}
+
+// -1, 0 or 1 as `a` sorts before, with or after `b`
+function compareIds(a, b) {
+  const rank = typeRank(a);
+  const c = sign(rank - typeRank(b));
+  if (c) return c;
+  switch (rank) {
+    case 10:
+      return compareNumbers(a, b);
+    case 15:
+      return compareStrings(
+        typeof a === "string" ? a : a.value,
+        typeof b === "string" ? b : b.value
+      );
+    case 20:
+    case 25: {
+      const fields = (v) =>
+        Object.entries(
+          Array.isArray(v) || !v._bsontype ? v : v.toJSON ? v.toJSON() : {}
+        );
+      return compareFields(fields(a), fields(b));
+    }
+    case 30:
+      return (
+        sign(a.position - b.position) ||
+        sign(a.sub_type - b.sub_type) ||
+        Buffer.compare(binaryBytes(a), binaryBytes(b))
+      );
+    case 35:
+      return Buffer.compare(Buffer.from(a.id), Buffer.from(b.id));
+    case 40:
+      return sign(a - b);
+    case 45:
+      return sign(a.getTime() - b.getTime());
+    case 47:
+      return sign(a.t - b.t) || sign(a.i - b.i);
+    case 50:
+      return (
+        compareStrings(a.pattern, b.pattern) ||
+        compareStrings(a.options, b.options)
+      );
+    case 60:
+      return compareStrings(a.code, b.code);
+    default:
+      // MinKey, MaxKey, null and undefined equal their own kind
+      return 0;
+  }
+}
+
+module.exports = { compareIds };
@@ -0,0 +1,148 @@
+const { EJSON, FIND_OPTIONS } = require("./ejson");
+
+// Incremental backups. A full backup taken with change tracking records a
+// high-water mark per collection; an incremental backup exports only what
+// changed after the marks of the backup before it and records new marks, so
+// backups form a chain: full -> incremental 1 -> incremental 2 ... Tracking
+// modes:
+//   field  documents whose `field` (e.g. updatedAt) is at or past the mark;
+//          deletions cannot be seen this way
+//   oplog  documents touched in the oplog since the mark's cluster time,
+//          exported as they are now, or listed as deleted if gone
+// Marks are stored as canonical Extended JSON so Dates, ObjectIds and
+// Timestamps keep their types.
+
+const TRACKING_MODES = ["field", "oplog"];
+// per collection, the _ids an oplog incremental saw deleted
+const DELETES_SUFFIX = ".deletes.ndjson";
+
+// { mode, field } from a backup request, or null for an untracked backup
+function parseTracking({ tracking, trackField }) {
+  if (!tracking || tracking === "none") return null;
+  if (!TRACKING_MODES.includes(tracking))
+    throw new Error(`Unknown change tracking mode "${tracking}"`);
+  if (tracking === "oplog") return { mode: "oplog" };
+  const field = String(trackField || "").trim();
+  if (!field || field.startsWith("$"))
+    throw new Error("Field tracking needs a field name such as updatedAt");
+  return { mode: "field", field };
+}
+
+function encodeMark(value) {
+  return value == null
+    ? null
+    : EJSON.stringify({ v: value }, { relaxed: false });
+}
+function decodeMark(text) {
+  return text == null ? null : EJSON.parse(text, { relaxed: false }).v;
+}
+
+// The latest cluster time of the deployment `client` is connected to
+async function currentOplogTime(client) {
+  const hello = await client.db("admin").command({ hello: 1 });
+  const ts =
+    hello.operationTime ||
+    (hello.lastWrite && hello.lastWrite.opTime && hello.lastWrite.opTime.ts);
+  if (!ts)
+    throw new Error(
+      "Oplog tracking needs a replica set or sharded cluster as the source"
+    );
+  return ts;
+}
+
+// Largest value of `field` among the documents matching `filter`; taken
+// before the export, so anything changed while exporting is at or past it
+async function fieldHighWaterMark(coll, field, filter = {}) {
+  const [doc] = await coll
+    .find(
+      { $and: [filter, { [field]: { $exists: true } }] },
+      { ...FIND_OPTIONS, projection: { [field]: 1 } }
+    )
+    .sort({ [field]: -1 })
+    .limit(1)
+    .toArray();
+  if (!doc) return null;
+  return field.split(".").reduce((v, k) => (v == null ? v : v[k]), doc);
+}
+
+// `filter` narrowed to documents at or past `mark` in `field`
+function sinceFilter(filter, field, mark) {
+  if (mark == null) return filter;
+  const since = { [field]: { $gte: mark } };
+  return Object.keys(filter || {}).length ? { $and: [filter, since] } : since;
+}
+
+// the operations inside a transaction's applyOps entry, flattened
+function oplogEntries(entry) {
+  if (entry.op === "c" && entry.o && Array.isArray(entry.o.applyOps))
+    return entry.o.applyOps.flatMap(oplogEntries);
+  return [entry];
+}
+
+// Map of collection name -> Map(EJSON of _id -> _id) of every document of
+// `dbName` inserted, updated or deleted after cluster time `since`. Fails if
+// the oplog no longer reaches back that far.
+async function changedIds(client, dbName, since, collectionNames) {
+  const oplog = client.db("local").collection("oplog.rs");
+  const [oldest] = await oplog
+    .find({}, { projection: { ts: 1 } })
+    .sort({ $natural: 1 })
+    .limit(1)
+    .toArray();
+  if (!oldest || oldest.ts.greaterThan(since))
+    throw new Error(
+      "The oplog no longer reaches back to the previous backup; take a new full backup"
+    );
+  const wanted = new Set(collectionNames);
+  const changed = new Map(collectionNames.map((n) => [n, new Map()]));
+  const prefix = dbName + ".";
+  const cursor = oplog.find(
+    {
+      ts: { $gt: since },
+      $or: [
+        { ns: { $in: collectionNames.map((n) => prefix + n) } },
+        { op: "c", "o.applyOps": { $exists: true } },
+      ],
+    },
+    { ...FIND_OPTIONS, projection: { op: 1, ns: 1, o: 1, o2: 1 } }
+  );
+  for await (const entry of cursor) {
+    for (const e of oplogEntries(entry)) {
+      if (!["i", "u", "d"].includes(e.op) || !e.ns.startsWith(prefix)) continue;
+      const name = e.ns.slice(prefix.length);
+      if (!wanted.has(name)) continue;
+      const id = e.op === "u" ? e.o2 && e.o2._id : e.o && e.o._id;
+      if (id !== undefined) changed.get(name).set(encodeMark(id), id);
+    }
+  }
+  return changed;
+}
+
+// Current state of the changed documents `ids` of `coll`, in batches of
+// { docs, deleted }: ids that no longer match (or exist) count as deleted
+async function* changedDocs(coll, ids, { filter = {}, projection, batchSize }) {
+  for (let i = 0; i < ids.length; i += batchSize) {
+    const chunk = ids.slice(i, i + batchSize);
+    const docs = await coll
+      .find(
+        { $and: [filter, { _id: { $in: chunk } }] },
+        { ...FIND_OPTIONS, projection }
+      )
+      .toArray();
+    const found = new Set(docs.map((d) => encodeMark(d._id)));
+    const deleted = chunk.filter((id) => !found.has(encodeMark(id)));
+    yield { docs, deleted };
+  }
+}
+
+module.exports = {
+  DELETES_SUFFIX,
+  parseTracking,
+  encodeMark,
+  decodeMark,
+  currentOplogTime,
+  fieldHighWaterMark,
+  sinceFilter,
+  changedIds,
+  changedDocs,
+};
@@ -0,0 +1,233 @@
+const fs = require("fs-extra");
+const { canAccess } = require("./auth");
+
+class JobCancelledError extends Error {
+  constructor() {
+    super("Job cancelled");
+    this.name = "JobCancelledError";
+  }
+}
+
+const MAX_HISTORY = 200;
+const FINISHED = ["done", "error", "cancelled", "interrupted"];
+const ADMIN_ROOM = "admins";
+
+// socket.io rooms the sockets of signed-in `user` are in, so they get the
+// job records they may see: of their own jobs, and for admins of everyone's
+function userRooms(user) {
+  const own = `user:${user.name}`;
+  return user.role === "admin" ? [own, ADMIN_ROOM] : [own];
+}
+
+// Runs backup/transfer/upload work in the background. Every job gets an id
+// that clients subscribe to over socket.io (room `job:<id>`), a status record
+// served by the REST API, and an AbortController for cancellation. Status
+// records ("job-update") go to the job's room and to its owner's and the
+// admins' (see userRooms), never to everyone. The job
+// list (results and errors included) is persisted to `file` so history
+// survives a restart; jobs that were running when the server stopped are
+// marked "interrupted" on load.
+// Without `io` (the command line) nothing is broadcast, and without `file`
+// no history is kept; onEvent(rec, event, payload) sees every job event.
+function createJobManager({ file = null, io = null, onEvent = null }) {
+  const jobs = new Map();
+  const controllers = new Map();
+  const finished = new Map(); // job id -> promise of its final record
+  const locks = new Map(); // lock key -> job id
+
+  try {
+    for (const rec of file ? fs.readJsonSync(file) : []) {
+      if (!FINISHED.includes(rec.status)) {
+        rec.status = "interrupted";
+        rec.error = rec.error || "Server stopped while the job was running";
+        rec.finishedAt = rec.finishedAt || new Date().toISOString();
+      }
+      jobs.set(rec.id, rec);
+    }
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn("job history load failed", e.message);
+  }
+
+  let saveTimer = null;
+  let saving = Promise.resolve();
+  function persist(now = false) {
+    if (!file) return saving;
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = null;
+    const write = () => {
+      saving = saving
+        .then(() => {
+          const list = Array.from(jobs.values()).slice(-MAX_HISTORY);
+          return fs.outputJson(file + ".tmp", list, { spaces: 2 });
+        })
+        .then(() => fs.move(file + ".tmp", file, { overwrite: true }))
+        .catch((e) => console.warn("job history save failed", e.message));
+      return saving;
+    };
+    if (now) return write();
+    // progress updates are frequent; batch them into one write per second
+    saveTimer = setTimeout(write, 1000);
+  }
+
+  function trim() {
+    const ids = Array.from(jobs.keys());
+    for (const id of ids.slice(0, Math.max(0, ids.length - MAX_HISTORY))) {
+      if (FINISHED.includes(jobs.get(id).status)) jobs.delete(id);
+    }
+  }
+
+  function summary(rec) {
+    return { ...rec };
+  }
+
+  function broadcast(rec) {
+    if (!io) return;
+    let rooms = io.to(`job:${rec.id}`).to(ADMIN_ROOM);
+    if (rec.owner != null) rooms = rooms.to(`user:${rec.owner}`);
+    rooms.emit("job-update", summary(rec));
+  }
+
+  function lockHolder(keys) {
+    for (const key of keys) {
+      const holder = locks.get(key);
+      if (holder) return holder;
+    }
+    return null;
+  }
+
+  // type: "backup" | "transfer" | "upload" | "restore"; params are stored
+  // with the job (callers strip connection strings first); locks are keys no
+  // other running job may hold, e.g. the target database; checkpointId is
+  // reported so a failed job can be resumed; run(job) does the work and
+  // returns the result. owner is the user who started it.
+  function start(
+    type,
+    {
+      params = {},
+      locks: lockKeys = [],
+      socketId,
+      checkpointId = null,
+      owner = null,
+    },
+    run
+  ) {
+    const holder = lockHolder(lockKeys);
+    if (holder) {
+      const err = new Error(`Job ${holder} is already using this database`);
+      err.status = 409;
+      throw err;
+    }
+    const id = `${type}-${Date.now()}-${Math.random()
+      .toString(36)
+      .slice(2, 6)}`;
+    const rec = {
+      id,
+      type,
+      status: "running",
+      owner,
+      params,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      progress: null,
+      lastEvent: null,
+      checkpointId,
+      requests: [],
+      result: null,
+      error: null,
+    };
+    jobs.set(id, rec);
+    trim();
+    const controller = new AbortController();
+    controllers.set(id, controller);
+    lockKeys.forEach((k) => locks.set(k, id));
+
+    // the requesting browser tab follows its job without a separate subscribe
+    if (socketId && io) {
+      const socket = io.sockets.sockets.get(socketId);
+      if (socket && canAccess(socket.data.user, owner))
+        socket.join(`job:${id}`);
+    }
+
+    const job = {
+      id,
+      signal: controller.signal,
+      emit(event, payload = {}) {
+        rec.lastEvent = event;
+        if (event.endsWith("-progress")) rec.progress = payload;
+        if (io) io.to(`job:${id}`).emit(event, { jobId: id, ...payload });
+        if (onEvent) onEvent(rec, event, payload);
+        persist();
+      },
+      checkCancelled() {
+        if (controller.signal.aborted) throw new JobCancelledError();
+      },
+      // whether request(id, action) was made for this job
+      isRequested(action) {
+        return rec.requests.includes(action);
+      },
+    };
+
+    persist(true);
+    broadcast(rec);
+    let settle;
+    finished.set(id, new Promise((resolve) => (settle = resolve)));
+    setImmediate(async () => {
+      try {
+        rec.result = (await run(job)) || null;
+        rec.status = "done";
+      } catch (err) {
+        const cancelled = err instanceof JobCancelledError;
+        // an onEvent listener reports the -error event itself
+        if (!cancelled && !onEvent) console.error(err);
+        rec.status = cancelled ? "cancelled" : "error";
+        rec.error = err.message;
+        job.emit(`${type}-error`, {
+          message: err.message,
+          cancelled,
+          checkpointId: rec.checkpointId,
+        });
+      } finally {
+        rec.finishedAt = new Date().toISOString();
+        controllers.delete(id);
+        lockKeys.forEach((k) => locks.get(k) === id && locks.delete(k));
+        persist(true);
+        broadcast(rec);
+        finished.delete(id);
+        settle(summary(rec));
+      }
+    });
+    return rec;
+  }
+
+  function cancel(id) {
+    const controller = controllers.get(id);
+    if (!controller) return false;
+    controller.abort();
+    return true;
+  }
+
+  // ask a running job to do `action` (e.g. "cutover"); the job polls
+  // isRequested() and decides when to act on it
+  function request(id, action) {
+    const rec = jobs.get(id);
+    if (!rec || !controllers.has(id)) return false;
+    if (!rec.requests.includes(action)) rec.requests.push(action);
+    persist();
+    broadcast(rec);
+    return true;
+  }
+
+  return {
+    start,
+    cancel,
+    request,
+    get: (id) => (jobs.has(id) ? summary(jobs.get(id)) : null),
+    // resolves with the job record once it has finished
+    wait: (id) =>
+      finished.get(id) ||
+      Promise.resolve(jobs.has(id) ? summary(jobs.get(id)) : null),
+    list: () => Array.from(jobs.values()).reverse().map(summary),
+  };
+}
+
+module.exports = { createJobManager, userRooms, JobCancelledError };
@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const { BSON } = require("mongodb");
+const { FIND_OPTIONS } = require("./ejson");
+const pkg = require("../package.json");
+
+const MANIFEST_FILE = "manifest.json";
+const CHECKSUM_ALGORITHM = "sha256-sum";
+const MASK = (1n << 256n) - 1n;
+
+// Order-independent collection checksum: sum (mod 2^256) of the sha256 of each
+// document's BSON bytes. Restores insert in whatever order the backup had, and
+// a plain sum (unlike xor) doesn't cancel out repeated documents.
+// `initial` is a previous state() so a resumed job keeps hashing where it left.
+function createHasher(initial) {
+  let sum = initial ? BigInt("0x" + initial.sum) : 0n;
+  let count = initial ? initial.count : 0;
+  return {
+    update(doc) {
+      const h = crypto.createHash("sha256").update(BSON.serialize(doc));
+      sum = (sum + BigInt("0x" + h.digest("hex"))) & MASK;
+      count++;
+    },
+    get count() {
+      return count;
+    },
+    digest() {
+      return sum.toString(16).padStart(64, "0");
+    },
+    state() {
+      return { sum: this.digest(), count };
+    },
+  };
+}
+
+// state() of everything hashed by the hashers whose states are `states`
+// (e.g. the partitions of one collection); missing states count as empty
+function mergeHashStates(states) {
+  let sum = 0n;
+  let count = 0;
+  for (const s of states) {
+    if (!s) continue;
+    sum = (sum + BigInt("0x" + s.sum)) & MASK;
+    count += s.count;
+  }
+  return { sum: sum.toString(16).padStart(64, "0"), count };
+}
+
+// timeseries documents are rebuilt from buckets on read, so their field order
+// (and thus their bytes) is not stable; only the count is compared for them
+function isChecksummable(type) {
+  return type !== "timeseries";
+}
+
+// { count, checksum } of the documents of an async iterable
+async function hashDocs(docs) {
+  const hasher = createHasher();
+  for await (const doc of docs) hasher.update(doc);
+  return { count: hasher.count, checksum: hasher.digest() };
+}
+
+async function hashCollection(db, name) {
+  return hashDocs(db.collection(name).find({}, FIND_OPTIONS));
+}
+
+// hashOf (see verifyCollections) for the collections of `db`; only counts
+// are taken where no checksum is compared
+function databaseHashes(db) {
+  return async (name, checksummed) =>
+    checksummed
+      ? hashCollection(db, name)
+      : { count: await db.collection(name).countDocuments(), checksum: null };
+}
+
+function createManifest(dbName) {
+  return {
+    tool: pkg.name,
+    toolVersion: pkg.version,
+    format: "ejson-canonical",
+    checksumAlgorithm: CHECKSUM_ALGORITHM,
+    sourceDb: dbName,
+    createdAt: new Date().toISOString(),
+    collections: {},
+  };
+}
+
+// expected: { [collection]: { count, checksum, type } }
+// Re-hashes every expected collection with hashOf(name, checksummed), which
+// gives { count, checksum } as found now, and reports the ones that differ.
+async function verifyCollections(expected, hashOf, onResult) {
+  const collections = [];
+  for (const [name, exp] of Object.entries(expected)) {
+    const checkHash = !!(isChecksummable(exp.type) && exp.checksum);
+    const actual = await hashOf(name, checkHash);
+    const ok =
+      actual.count === exp.count &&
+      (!checkHash || actual.checksum === exp.checksum);
+    const result = {
+      collection: name,
+      ok,
+      expectedCount: exp.count,
+      actualCount: actual.count,
+      expectedChecksum: checkHash ? exp.checksum : null,
+      actualChecksum: checkHash ? actual.checksum : null,
+    };
+    collections.push(result);
+    if (onResult) onResult(result);
+  }
+  const mismatched = collections.filter((c) => !c.ok).map((c) => c.collection);
+  return { ok: mismatched.length === 0, mismatched, collections };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  createHasher,
+  mergeHashStates,
+  isChecksummable,
+  hashDocs,
+  hashCollection,
+  databaseHashes,
+  createManifest,
+  verifyCollections,
+};
@@ -0,0 +1,260 @@
+// Mapping of a transfer or restore: which collection each source collection
+// is written to, and fields renamed on the way.
+//   collectionMap     { users: "users_restored" } or lines "users -> users_restored"
+//   collectionPrefix  added to every collection the map does not name
+//   collectionSuffix  likewise, e.g. "_2026_10"
+//   fieldRenames      { users: { email: "contact.email" } } or lines
+//                     "users.email -> contact.email"; "*" as the collection
+//                     renames in every collection
+//   databaseMap       { tenant_a: "tenant_a_copy" } or lines
+//                     "tenant_a -> tenant_a_copy", for requests over several
+//                     databases (see lib/cluster)
+// Collections and fields are named as in the source. Field paths go through
+// embedded documents only (not arrays); a document without the field is left
+// alone. Index keys on a renamed field follow the rename. A view is defined
+// on the collection its source collection is written to; the pipeline itself
+// is kept as it is.
+
+const RENAME_RE = /^([^.\s]+)\.(\S+)\s*->\s*(\S+)$/;
+const MAP_RE = /^(\S+)\s*->\s*(\S+)$/;
+
+// accepts an object or "a -> b" lines (comma or newline separated)
+function parsePairs(value, re, example) {
+  if (!value) return [];
+  if (typeof value === "object") return Object.entries(value);
+  return String(value)
+    .split(/[,\n]/)
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const m = re.exec(line);
+      if (!m) throw new Error(`"${line}" must look like ${example}`);
+      return m.slice(1);
+    });
+}
+
+function checkCollectionName(name) {
+  if (
+    typeof name !== "string" ||
+    !name ||
+    name.length > 120 ||
+    /[$\0]/.test(name) ||
+    name.startsWith("system.")
+  )
+    throw new Error(`"${name}" is not a valid collection name`);
+  return name;
+}
+
+function checkFieldPath(path) {
+  if (
+    typeof path !== "string" ||
+    path.split(".").some((p) => !p || p.startsWith("$")) ||
+    path === "_id" ||
+    path.startsWith("_id.")
+  )
+    throw new Error(`"${path}" cannot be renamed or renamed to`);
+  return path;
+}
+
+function checkDatabaseName(name) {
+  if (
+    typeof name !== "string" ||
+    !name ||
+    name.length > 63 ||
+    /[/\\. "$*<>:|?\0]/.test(name)
+  )
+    throw new Error(`"${name}" is not a valid database name`);
+  return name;
+}
+
+const overlaps = (a, b) =>
+  a === b || a.startsWith(b + ".") || b.startsWith(a + ".");
+
+// the mapping asked for in a request body, or null when there is none
+function parseMapping({
+  collectionMap,
+  collectionPrefix,
+  collectionSuffix,
+  fieldRenames,
+  databaseMap,
+}) {
+  const collections = {};
+  for (const [from, to] of parsePairs(
+    collectionMap,
+    MAP_RE,
+    "users -> users_restored"
+  ))
+    collections[checkCollectionName(from)] = checkCollectionName(to);
+  const databases = {};
+  for (const [from, to] of parsePairs(
+    databaseMap,
+    MAP_RE,
+    "tenant_a -> tenant_a_copy"
+  ))
+    databases[checkDatabaseName(from)] = checkDatabaseName(to);
+  const prefix = String(collectionPrefix || "").trim();
+  const suffix = String(collectionSuffix || "").trim();
+  if (/[$\0]/.test(prefix + suffix))
+    throw new Error("Collection prefix and suffix may not contain $");
+
+  let renamePairs;
+  if (fieldRenames && typeof fieldRenames === "object") {
+    renamePairs = [];
+    for (const [coll, fields] of Object.entries(fieldRenames))
+      for (const [from, to] of Object.entries(fields || {}))
+        renamePairs.push([coll, from, to]);
+  } else
+    renamePairs = parsePairs(
+      fieldRenames,
+      RENAME_RE,
+      "users.email -> contact.email"
+    );
+  const fields = {};
+  for (const [coll, from, to] of renamePairs) {
+    checkFieldPath(from);
+    checkFieldPath(to);
+    const list = fields[coll] || (fields[coll] = []);
+    if (
+      overlaps(from, to) ||
+      list.some((r) => overlaps(r.from, from) || overlaps(r.to, to))
+    )
+      throw new Error(`Field renames of ${coll}.${from} overlap`);
+    list.push({ from, to });
+  }
+
+  if (
+    !Object.keys(collections).length &&
+    !prefix &&
+    !suffix &&
+    !Object.keys(fields).length &&
+    !Object.keys(databases).length
+  )
+    return null;
+  return { collections, prefix, suffix, fields, databases };
+}
+
+// move the value at `from` to `to` in `doc` (in place)
+function renameField(doc, from, to) {
+  const src = from.split(".");
+  let parent = doc;
+  for (const p of src.slice(0, -1)) {
+    parent = parent[p];
+    if (!parent || typeof parent !== "object" || Array.isArray(parent)) return;
+    if (parent._bsontype) return;
+  }
+  const last = src[src.length - 1];
+  if (!Object.prototype.hasOwnProperty.call(parent, last)) return;
+  const value = parent[last];
+  delete parent[last];
+  const dst = to.split(".");
+  let node = doc;
+  for (const p of dst.slice(0, -1)) {
+    if (node[p] === undefined) node[p] = {};
+    node = node[p];
+    if (
+      !node ||
+      typeof node !== "object" ||
+      Array.isArray(node) ||
+      node._bsontype
+    )
+      throw new Error(`Cannot rename ${from} to ${to}: ${p} is not a document`);
+  }
+  node[dst[dst.length - 1]] = value;
+}
+
+// Mapper for `mapping` (null maps nothing):
+//   database(name)   database that source database `name` is written to
+//   target(name)     collection that source collection `name` is written to
+//   rename(name)     (doc) -> doc renaming fields in place, or null for none
+//   meta(name, meta) collection metadata with index keys renamed, or a
+//                    view's metadata defined on the mapped collection
+function createMapper(mapping) {
+  const m = mapping || {
+    collections: {},
+    prefix: "",
+    suffix: "",
+    fields: {},
+    databases: {},
+  };
+  const targetOf = (name) => m.collections[name] || m.prefix + name + m.suffix;
+  const renamesOf = (name) => [
+    ...(m.fields["*"] || []),
+    ...(name !== "*" ? m.fields[name] || [] : []),
+  ];
+  const renameKey = (renames, key) => {
+    for (const { from, to } of renames) {
+      if (key === from) return to;
+      if (key.startsWith(from + ".")) return to + key.slice(from.length);
+    }
+    return key;
+  };
+  return {
+    database(name) {
+      return m.databases[name] || name;
+    },
+    target: targetOf,
+    rename(name) {
+      const renames = renamesOf(name);
+      if (!renames.length) return null;
+      return (doc) => {
+        for (const { from, to } of renames) renameField(doc, from, to);
+        return doc;
+      };
+    },
+    meta(name, meta) {
+      if (meta && meta.type === "view")
+        return {
+          ...meta,
+          options: { ...meta.options, viewOn: targetOf(meta.options.viewOn) },
+        };
+      const renames = renamesOf(name);
+      if (!meta || !renames.length) return meta;
+      return {
+        ...meta,
+        indexes: meta.indexes.map((ix) => ({
+          ...ix,
+          key: Object.fromEntries(
+            Object.entries(ix.key).map(([k, v]) => [renameKey(renames, k), v])
+          ),
+        })),
+      };
+    },
+  };
+}
+
+// fails when two of the source collections `names` would be written to the
+// same target collection
+function checkTargets(mapper, names) {
+  const seen = new Map();
+  for (const name of names) {
+    const target = checkCollectionName(mapper.target(name));
+    if (seen.has(target))
+      throw new Error(
+        `${seen.get(target)} and ${name} would both be written to ${target}`
+      );
+    seen.set(target, name);
+  }
+}
+
+// fails when two of the source databases `names` would be written to the
+// same target database
+function checkDatabaseTargets(mapper, names) {
+  const seen = new Map();
+  for (const name of names) {
+    const target = mapper.database(name);
+    if (seen.has(target))
+      throw new Error(
+        `Databases ${seen.get(
+          target
+        )} and ${name} would both be written to ${target}`
+      );
+    seen.set(target, name);
+  }
+}
+
+module.exports = {
+  parseMapping,
+  createMapper,
+  checkTargets,
+  checkDatabaseTargets,
+};
@@ -0,0 +1,377 @@
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const { BSON } = require("mongodb");
+const { EJSON } = require("./ejson");
+
+const { ObjectId, Int32, Long } = BSON;
+const NAME_RE = /^[\w.-]{1,64}$/;
+
+// Masking rule sets anonymize documents on their way out of the source
+// (backups and transfers, including live sync). A rule set holds, per
+// collection ("*" applies to every collection), rules such as
+//   { "field": "email", "action": "fake", "kind": "email" }
+// on dotted field paths; arrays on the way are walked element by element.
+// Actions:
+//   redact  replace the value with `replacement` (default "***")
+//   hash    salted HMAC of the value: the same input always gives the same
+//           output within a rule set, so references between collections
+//           still match. ObjectIds stay ObjectIds and integers integers
+//   fake    deterministic fake value of a `kind` (guessed from the field
+//           name if not given) in a valid format, e.g. name@example.com
+//   null    set the value to null
+//   drop    remove the field
+// Fields a document does not have are left alone.
+const ACTIONS = ["redact", "hash", "fake", "null", "drop"];
+const DROP = Symbol("drop");
+
+const FIRST_NAMES = (
+  "Alex Sam Jordan Taylor Morgan Casey Riley Jamie Robin Avery Quinn Charlie " +
+  "Emery Finley Harper Kai Logan Noa Parker Rowan Sage Skyler Toni Wren"
+).split(" ");
+const LAST_NAMES = (
+  "Smith Miller Garcia Novak Jensen Kowalski Rossi Dubois Santos Berg " +
+  "Fischer Horvat Ivanova Keller Larsen Moreau Nagy Okafor Petrov Silva " +
+  "Tanaka Weber"
+).split(" ");
+const STREETS = [
+  "Maple Street",
+  "Oak Avenue",
+  "Station Road",
+  "Mill Lane",
+  "Park Road",
+  "Church Street",
+  "High Street",
+  "River Road",
+];
+const CITIES = (
+  "Springfield Riverton Fairview Lakewood Greenville Kingston Milton " +
+  "Ashford Bridgeport Clifton"
+).split(" ");
+
+// digits and letters of the original replaced, everything else kept
+function reshape(d, value, { letters }) {
+  let i = 0;
+  const next = () => d[i++ % d.length];
+  return String(value).replace(/[0-9A-Za-z]/g, (c) => {
+    if (/[0-9]/.test(c)) return String(next() % 10);
+    if (!letters) return c;
+    const l = String.fromCharCode(97 + (next() % 26));
+    return c === c.toUpperCase() ? l.toUpperCase() : l;
+  });
+}
+
+function luhnDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let n = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) n = n * 2 > 9 ? n * 2 - 9 : n * 2;
+    sum += n;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+// generators of fake values from a digest `d` of the original value
+const FAKERS = {
+  firstName: (d) => FIRST_NAMES[d.readUInt16BE(0) % FIRST_NAMES.length],
+  lastName: (d) => LAST_NAMES[d.readUInt16BE(2) % LAST_NAMES.length],
+  name: (d) => `${FAKERS.firstName(d)} ${FAKERS.lastName(d)}`,
+  // the hex part keeps fake addresses unique enough for unique indexes
+  email: (d) =>
+    `${FAKERS.firstName(d)}.${FAKERS.lastName(d)}.${d
+      .subarray(4, 9)
+      .toString("hex")}@example.com`.toLowerCase(),
+  // same layout as the original; a leading "+1" style country code stays
+  phone: (d, value) => {
+    const text = String(value);
+    const m = /^\+\d/.exec(text);
+    return m
+      ? m[0] + reshape(d, text.slice(2), { letters: false })
+      : reshape(d, text, { letters: false });
+  },
+  street: (d) =>
+    `${(d.readUInt16BE(4) % 999) + 1} ${STREETS[d[6] % STREETS.length]}`,
+  city: (d) => CITIES[d[7] % CITIES.length],
+  ipv4: (d) => `10.${d[8]}.${d[9]}.${(d[10] % 254) + 1}`,
+  uuid: (d) => {
+    const b = Buffer.from(d.subarray(0, 16));
+    b[6] = (b[6] & 0x0f) | 0x40;
+    b[8] = (b[8] & 0x3f) | 0x80;
+    const h = b.toString("hex");
+    return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(
+      16,
+      20
+    )}-${h.slice(20)}`;
+  },
+  creditCard: (d) => {
+    const digits = "4" + reshape(d, "0".repeat(14), { letters: false });
+    return digits + luhnDigit(digits);
+  },
+  // any other text: letters and digits replaced, length and layout kept
+  string: (d, value) => reshape(d, value, { letters: true }),
+};
+
+// fake kind for a field by its name, e.g. "contact.mobilePhone" -> phone
+function guessKind(field) {
+  const name = field.split(".").pop().toLowerCase();
+  if (/e-?mail/.test(name)) return "email";
+  if (/phone|mobile|^tel|fax/.test(name)) return "phone";
+  if (/^(first|given)_?name$/.test(name)) return "firstName";
+  if (/^(last|family|sur)_?name$|^surname$/.test(name)) return "lastName";
+  if (/name$/.test(name)) return "name";
+  if (/street|address/.test(name)) return "street";
+  if (/city|town/.test(name)) return "city";
+  if (/^ip(v4)?(_?addr(ess)?)?$/.test(name)) return "ipv4";
+  if (/uuid|guid/.test(name)) return "uuid";
+  if (/card/.test(name)) return "creditCard";
+  return "string";
+}
+
+// rules for one collection, checked and with defaults filled in
+function normalizeRuleList(coll, list) {
+  if (!Array.isArray(list))
+    throw new Error(`Rules for ${coll} must be an array`);
+  return list.map((r) => {
+    const field = String((r && r.field) || "").trim();
+    if (!field || field.startsWith("$") || field.split(".").includes(""))
+      throw new Error(`${coll}: every rule needs a field path`);
+    if (!ACTIONS.includes(r.action))
+      throw new Error(
+        `${coll}.${field}: action must be one of ${ACTIONS.join(", ")}`
+      );
+    // documents must keep an _id, and a usable one
+    if ((field === "_id" || field.startsWith("_id.")) && r.action !== "hash")
+      throw new Error(`${coll}.${field}: _id can only be hashed`);
+    const rule = { field, action: r.action };
+    if (r.action === "fake") {
+      rule.kind = r.kind || guessKind(field);
+      if (!FAKERS[rule.kind])
+        throw new Error(
+          `${coll}.${field}: unknown fake kind ${
+            rule.kind
+          } (one of ${Object.keys(FAKERS).join(", ")})`
+        );
+    }
+    if (r.action === "redact")
+      rule.replacement = r.replacement == null ? "***" : r.replacement;
+    return rule;
+  });
+}
+
+// { collection: [rule] } from an object or its JSON text (form input)
+function normalizeRules(input) {
+  let rules = input;
+  if (typeof rules === "string") {
+    try {
+      rules = JSON.parse(rules || "{}");
+    } catch (e) {
+      throw new Error("Rules must be valid JSON: " + e.message);
+    }
+  }
+  if (!rules || typeof rules !== "object" || Array.isArray(rules))
+    throw new Error('Rules must map collection names (or "*") to rule lists');
+  const out = {};
+  for (const [coll, list] of Object.entries(rules))
+    out[coll] = normalizeRuleList(coll, list);
+  if (!Object.values(out).some((l) => l.length))
+    throw new Error("A rule set needs at least one rule");
+  return out;
+}
+
+function isSubDocument(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !value._bsontype &&
+    !(value instanceof Date) &&
+    !Buffer.isBuffer(value)
+  );
+}
+
+// Replace (or drop) the value at `parts` below `node` with fn(value).
+// `elementwise` rules transform values: they map over arrays and leave
+// null alone, there being nothing to hide in it.
+function applyAt(node, parts, fn, elementwise) {
+  if (Array.isArray(node)) {
+    for (const el of node) applyAt(el, parts, fn, elementwise);
+    return;
+  }
+  if (!isSubDocument(node)) return;
+  const [head, ...rest] = parts;
+  if (!Object.prototype.hasOwnProperty.call(node, head)) return;
+  if (rest.length) return applyAt(node[head], rest, fn, elementwise);
+  const value = node[head];
+  if (elementwise && value == null) return;
+  if (elementwise && Array.isArray(value)) {
+    node[head] = value.map((v) => (v == null ? v : fn(v)));
+    return;
+  }
+  const masked = fn(value);
+  if (masked === DROP) delete node[head];
+  else node[head] = masked;
+}
+
+// Masking function (collectionName, doc) -> doc for `ruleSet`; documents are
+// changed in place. Returns null when the rule set is empty.
+function createMasker(ruleSet) {
+  if (!ruleSet) return null;
+  const salt = Buffer.from(ruleSet.salt, "hex");
+  const digest = (purpose, value) =>
+    crypto
+      .createHmac("sha256", salt)
+      .update(purpose + "\0")
+      .update(EJSON.stringify({ v: value }, { relaxed: false }))
+      .digest();
+
+  function hash(value) {
+    const d = digest("hash", value);
+    switch (value._bsontype) {
+      case "ObjectId":
+      case "ObjectID":
+        return new ObjectId(d.subarray(0, 12));
+      case "Int32":
+        return new Int32(d.readInt32BE(0) & 0x7fffffff);
+      case "Long":
+        return Long.fromBigInt(d.readBigInt64BE(0) & 0x7fffffffffffffffn);
+      default:
+        return d.subarray(0, 16).toString("hex");
+    }
+  }
+
+  const compile = ({ field, action, kind, replacement }) => {
+    const parts = field.split(".");
+    switch (action) {
+      case "redact":
+        return (doc) => applyAt(doc, parts, () => replacement, true);
+      case "hash":
+        return (doc) => applyAt(doc, parts, hash, true);
+      case "fake":
+        return (doc) =>
+          applyAt(
+            doc,
+            parts,
+            (v) => FAKERS[kind](digest("fake:" + kind, v), v),
+            true
+          );
+      case "null":
+        return (doc) => applyAt(doc, parts, () => null, false);
+      case "drop":
+        return (doc) => applyAt(doc, parts, () => DROP, false);
+    }
+  };
+  const compiled = new Map();
+  const rulesFor = (name) => {
+    if (!compiled.has(name))
+      compiled.set(
+        name,
+        [
+          ...(ruleSet.collections["*"] || []),
+          ...(ruleSet.collections[name] || []),
+        ].map(compile)
+      );
+    return compiled.get(name);
+  };
+
+  return (name, doc) => {
+    for (const apply of rulesFor(name)) apply(doc);
+    return doc;
+  };
+}
+
+// Saved rule sets, reusable across jobs, kept in `file`. Each has its own
+// random salt unless one is given (to get the same hashes as elsewhere); the
+// salt never leaves the server, since hashes of e.g. emails could otherwise
+// be brute-forced.
+function createMaskingStore({ file }) {
+  let ruleSets = [];
+  try {
+    ruleSets = fs.readJsonSync(file);
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn("rule sets load failed", e.message);
+  }
+
+  async function save() {
+    await fs.outputJson(file + ".tmp", ruleSets, { spaces: 2, mode: 0o600 });
+    await fs.move(file + ".tmp", file, { overwrite: true });
+  }
+
+  function find(name) {
+    return ruleSets.find((r) => r.name === name) || null;
+  }
+
+  function view(r) {
+    return {
+      name: r.name,
+      description: r.description || "",
+      collections: r.collections,
+      createdBy: r.createdBy,
+      createdAt: r.createdAt,
+      updatedAt: r.updatedAt,
+    };
+  }
+
+  function checkSalt(salt) {
+    if (!/^([0-9a-f]{2}){16,64}$/i.test(salt))
+      throw new Error("Salt must be 32 to 128 hex digits");
+    return salt.toLowerCase();
+  }
+
+  async function create({ name, description, collections, salt }, createdBy) {
+    if (!NAME_RE.test(name || ""))
+      throw new Error("Rule set name may only use letters, digits and . _ -");
+    if (find(name)) throw new Error(`Rule set ${name} already exists`);
+    const r = {
+      name,
+      description: description || "",
+      collections: normalizeRules(collections),
+      salt: salt ? checkSalt(salt) : crypto.randomBytes(16).toString("hex"),
+      createdBy: createdBy || null,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+    };
+    ruleSets.push(r);
+    await save();
+    return view(r);
+  }
+
+  // the salt stays unless a new one is given, so hashes stay comparable
+  async function update(name, { description, collections, salt }) {
+    const r = find(name);
+    if (!r) return null;
+    if (collections !== undefined) r.collections = normalizeRules(collections);
+    if (description !== undefined) r.description = description;
+    if (salt) r.salt = checkSalt(salt);
+    r.updatedAt = new Date().toISOString();
+    await save();
+    return view(r);
+  }
+
+  async function remove(name) {
+    const before = ruleSets.length;
+    ruleSets = ruleSets.filter((r) => r.name !== name);
+    if (ruleSets.length === before) return false;
+    await save();
+    return true;
+  }
+
+  // rule set `name` with its salt, for a job to snapshot; null for none
+  function resolve(name) {
+    if (!name) return null;
+    const r = find(name);
+    if (!r) throw new Error(`Unknown masking rule set "${name}"`);
+    return { name: r.name, collections: r.collections, salt: r.salt };
+  }
+
+  return {
+    list: () => ruleSets.map(view),
+    get: (name) => {
+      const r = find(name);
+      return r ? view(r) : null;
+    },
+    create,
+    update,
+    remove,
+    resolve,
+  };
+}
+
+module.exports = { createMaskingStore, createMasker, normalizeRules };
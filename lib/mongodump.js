@@ -0,0 +1,238 @@
+const { BSON, Long } = require("mongodb");
+const { EJSON, FIND_OPTIONS } = require("./ejson");
+const pkg = require("../package.json");
+
+// mongodump's formats. A dump directory holds <db>/<coll>.bson (documents
+// back to back, each prefixed by its int32 length) and
+// <coll>.metadata.json. An --archive file is one stream:
+//   magic, header document,
+//   prelude: one { db, collection, metadata, size, type } per collection,
+//            then a terminator (int32 -1),
+//   blocks:  { db, collection, EOF: false, CRC } + documents + terminator,
+//            repeated (blocks of several collections may interleave), and
+//            per collection a final { ..., EOF: true, CRC } + terminator
+//            where CRC is the CRC-64/ECMA of all its documents' bytes.
+
+const ARCHIVE_MAGIC = 0x8199e26d;
+const TERMINATOR = Symbol("terminator");
+const MAX_DOC_BYTES = 48 * 1024 * 1024;
+const HEADER_OPTIONS = { promoteLongs: false };
+
+// CRC-64 as Go's crc64.ECMA computes it (reflected, inverted in and out),
+// in 32-bit halves so it needs no BigInt per byte
+const CRC_HI = new Uint32Array(256);
+const CRC_LO = new Uint32Array(256);
+for (let i = 0; i < 256; i++) {
+  let hi = 0;
+  let lo = i;
+  for (let k = 0; k < 8; k++) {
+    const odd = lo & 1;
+    lo = ((lo >>> 1) | ((hi & 1) << 31)) >>> 0;
+    hi = hi >>> 1;
+    if (odd) {
+      hi = (hi ^ 0xc96c5795) >>> 0;
+      lo = (lo ^ 0xd7870f42) >>> 0;
+    }
+  }
+  CRC_HI[i] = hi;
+  CRC_LO[i] = lo;
+}
+
+function createCrc64() {
+  let hi = 0xffffffff;
+  let lo = 0xffffffff;
+  return {
+    update(buf) {
+      for (let i = 0; i < buf.length; i++) {
+        const idx = (lo ^ buf[i]) & 0xff;
+        lo = (((lo >>> 8) | (hi << 24)) ^ CRC_LO[idx]) >>> 0;
+        hi = ((hi >>> 8) ^ CRC_HI[idx]) >>> 0;
+      }
+    },
+    // as the signed int64 the archive stores
+    value() {
+      return Long.fromBits(~lo | 0, ~hi | 0, false);
+    },
+  };
+}
+
+// Raw BSON documents (Buffers) from a stream of length-prefixed documents;
+// terminators are yielded as TERMINATOR. With `archive` the stream must
+// start with the archive magic number.
+async function* bsonTokens(stream, { archive = false } = {}) {
+  let pending = Buffer.alloc(0);
+  let magic = !archive;
+  for await (const chunk of stream) {
+    pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+    let offset = 0;
+    if (!magic) {
+      if (pending.length < 4) continue;
+      if (pending.readUInt32LE(0) !== ARCHIVE_MAGIC)
+        throw new Error("Not a mongodump archive");
+      magic = true;
+      offset = 4;
+    }
+    while (pending.length - offset >= 4) {
+      const size = pending.readInt32LE(offset);
+      if (size === -1) {
+        offset += 4;
+        yield TERMINATOR;
+        continue;
+      }
+      if (size < 5 || size > MAX_DOC_BYTES)
+        throw new Error("Corrupt BSON data: bad document length");
+      if (pending.length - offset < size) break;
+      yield pending.subarray(offset, offset + size);
+      offset += size;
+    }
+    pending = pending.subarray(offset);
+  }
+  if (pending.length || !magic)
+    throw new Error("BSON data ends in the middle of a document");
+}
+
+// documents keep their exact BSON types, as read from a server
+function decodeDoc(buf) {
+  return BSON.deserialize(buf, FIND_OPTIONS);
+}
+
+// mongodump's metadata ({ options, indexes, collectionName, type, uuid })
+// as this tool's (see readCollectionMeta); null for views, which carry no
+// data of their own
+function fromDumpMeta(text, name) {
+  const meta =
+    typeof text === "string" ? EJSON.parse(text, { relaxed: false }) : text;
+  if (meta.type === "view") return null;
+  return {
+    name: meta.collectionName || name,
+    type: meta.type || "collection",
+    options: meta.options || {},
+    indexes: (meta.indexes || [])
+      .filter((ix) => ix.name !== "_id_")
+      .map(({ v, ns, ...spec }) => spec),
+  };
+}
+
+// this tool's metadata as mongodump writes it; `meta` may be null when a
+// backup has none for the collection
+function toDumpMeta(meta, name) {
+  return {
+    indexes: [
+      { v: 2, key: { _id: 1 }, name: "_id_" },
+      ...((meta && meta.indexes) || []).map((ix) => ({ v: 2, ...ix })),
+    ],
+    collectionName: name,
+    type: (meta && meta.type) || "collection",
+    options: (meta && meta.options) || {},
+  };
+}
+
+// Split an archive stream into its collections. `open(db, collection, meta)`
+// is called once per collection from the prelude and returns a sink with
+// write(doc) and end(); a sink of null skips that collection. Fails on a
+// CRC mismatch or a truncated archive.
+async function readDumpArchive(stream, open) {
+  const tokens = bsonTokens(stream, { archive: true });
+  const next = async () => {
+    const { value, done } = await tokens.next();
+    return done ? null : value;
+  };
+  const header = await next();
+  if (!header || header === TERMINATOR)
+    throw new Error("mongodump archive has no header");
+  const sinks = new Map();
+  for (let tok; (tok = await next()) !== TERMINATOR; ) {
+    if (!tok) throw new Error("mongodump archive ends in its prelude");
+    const { db, collection, metadata } = BSON.deserialize(tok);
+    const sink = await open(db, collection, metadata || "{}");
+    sinks.set(`${db}.${collection}`, sink && { sink, crc: createCrc64() });
+  }
+  for (let tok; (tok = await next()); ) {
+    if (tok === TERMINATOR)
+      throw new Error("Corrupt mongodump archive: unexpected terminator");
+    const block = BSON.deserialize(tok, HEADER_OPTIONS);
+    const ns = `${block.db}.${block.collection}`;
+    if (!sinks.has(ns))
+      throw new Error(`mongodump archive has data for unknown ${ns}`);
+    const entry = sinks.get(ns);
+    if (block.EOF) {
+      const crc = Long.isLong(block.CRC)
+        ? block.CRC
+        : Long.fromValue(block.CRC);
+      if (entry && !crc.isZero() && !crc.equals(entry.crc.value()))
+        throw new Error(`Checksum mismatch for ${ns} in mongodump archive`);
+      if ((await next()) !== TERMINATOR)
+        throw new Error(`Corrupt mongodump archive after ${ns}`);
+      if (entry) await entry.sink.end();
+      sinks.delete(ns);
+      continue;
+    }
+    for (let doc; (doc = await next()) !== TERMINATOR; ) {
+      if (!doc) throw new Error(`mongodump archive ends inside ${ns}`);
+      if (!entry) continue;
+      entry.crc.update(doc);
+      await entry.sink.write(decodeDoc(doc));
+    }
+  }
+  if (sinks.size)
+    throw new Error(
+      `mongodump archive ends before ${[...sinks.keys()][0]} is complete`
+    );
+}
+
+function int32(n) {
+  const buf = Buffer.alloc(4);
+  buf.writeInt32LE(n);
+  return buf;
+}
+
+// The chunks of an archive of `collections`, { name, meta, docs } with
+// docs() returning an async iterable of documents
+async function* dumpArchiveChunks(dbName, collections) {
+  const magic = Buffer.alloc(4);
+  magic.writeUInt32LE(ARCHIVE_MAGIC);
+  yield magic;
+  yield BSON.serialize({
+    concurrent_collections: 1,
+    version: "0.1",
+    server_version: "",
+    tool_version: `${pkg.name} ${pkg.version}`,
+  });
+  for (const { name, meta } of collections)
+    yield BSON.serialize({
+      db: dbName,
+      collection: name,
+      metadata: EJSON.stringify(toDumpMeta(meta, name), { relaxed: false }),
+      size: 0,
+      type: (meta && meta.type) || "collection",
+    });
+  yield int32(-1);
+  for (const { name, docs } of collections) {
+    const ns = { db: dbName, collection: name };
+    const crc = createCrc64();
+    let started = false;
+    for await (const doc of docs()) {
+      if (!started) {
+        yield BSON.serialize({ ...ns, EOF: false, CRC: Long.ZERO });
+        started = true;
+      }
+      const buf = BSON.serialize(doc);
+      crc.update(buf);
+      yield buf;
+    }
+    if (started) yield int32(-1);
+    yield BSON.serialize({ ...ns, EOF: true, CRC: crc.value() });
+    yield int32(-1);
+  }
+}
+
+module.exports = {
+  TERMINATOR,
+  createCrc64,
+  bsonTokens,
+  decodeDoc,
+  fromDumpMeta,
+  toDumpMeta,
+  readDumpArchive,
+  dumpArchiveChunks,
+};
@@ -0,0 +1,378 @@
+const crypto = require("crypto");
+const path = require("path");
+const zlib = require("zlib");
+const { Transform, pipeline } = require("stream");
+const fs = require("fs-extra");
+const archiver = require("archiver");
+const unzip = require("unzipper");
+const { MANIFEST_FILE } = require("./manifest");
+
+// Backup entries can be compressed and/or encrypted before they go into the
+// zip. Each packed entry says so by suffix ("users.ndjson.gz.enc"), the
+// manifest records the settings and stays readable so the catalog can still
+// list the archive: collection names and counts are visible, documents and
+// index definitions are not.
+
+const COMPRESSIONS = {
+  gzip: {
+    suffix: ".gz",
+    compress: () => zlib.createGzip(),
+    decompress: () => zlib.createGunzip(),
+  },
+  zstd: {
+    suffix: ".zst",
+    compress: () => zlib.createZstdCompress(),
+    decompress: () => zlib.createZstdDecompress(),
+  },
+};
+
+function checkCompression(name) {
+  if (name === "zstd" && typeof zlib.createZstdCompress !== "function")
+    throw new Error(
+      `zstd needs Node.js 22.15 or later (running ${process.version})`
+    );
+}
+
+// "none" (default), "gzip" or "zstd"
+function parseCompression(value) {
+  const name = value || "none";
+  if (name !== "none" && !COMPRESSIONS[name])
+    throw new Error(`Unknown compression: ${name}`);
+  if (name !== "none") checkCompression(name);
+  return name;
+}
+
+// Encryption is AES-256-GCM over 64 KiB chunks with a key derived from the
+// passphrase by scrypt. Every chunk is authenticated on its own, so a restore
+// never reads unverified data, and its nonce marks the last chunk so a
+// truncated entry fails too. The entry's name is bound in as associated
+// data. Entry layout: magic, 7-byte nonce prefix, then chunks + 16-byte tags.
+const ENC_SUFFIX = ".enc";
+const MAGIC = Buffer.from("MMTE1");
+const CHUNK = 64 * 1024;
+const TAG = 16;
+const SCRYPT = { N: 1 << 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const MIN_PASSPHRASE = 8;
+
+function deriveKey(passphrase, salt, { N, r, p }) {
+  return new Promise((resolve, reject) =>
+    crypto.scrypt(
+      String(passphrase),
+      salt,
+      32,
+      { N, r, p, maxmem: SCRYPT.maxmem },
+      (err, key) => (err ? reject(err) : resolve(key))
+    )
+  );
+}
+
+function keyCheck(key) {
+  return crypto
+    .createHmac("sha256", key)
+    .update("mongo-mini-toolz key check")
+    .digest("base64");
+}
+
+// new key for a backup; `meta` goes into the manifest
+async function createEncryption(passphrase) {
+  if (String(passphrase || "").length < MIN_PASSPHRASE)
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE} characters`);
+  const salt = crypto.randomBytes(16);
+  const key = await deriveKey(passphrase, salt, SCRYPT);
+  return {
+    key,
+    meta: {
+      algorithm: "aes-256-gcm-chunked",
+      chunkSize: CHUNK,
+      kdf: "scrypt",
+      salt: salt.toString("base64"),
+      N: SCRYPT.N,
+      r: SCRYPT.r,
+      p: SCRYPT.p,
+      keyCheck: keyCheck(key),
+    },
+  };
+}
+
+// key of an encrypted backup; a wrong passphrase fails here, before any data
+async function unlockEncryption(meta, passphrase) {
+  if (!passphrase)
+    throw new Error("This backup is encrypted; a passphrase is required");
+  const key = await deriveKey(
+    passphrase,
+    Buffer.from(meta.salt, "base64"),
+    meta
+  );
+  if (keyCheck(key) !== meta.keyCheck) throw new Error("Wrong passphrase");
+  return key;
+}
+
+function chunkNonce(prefix, index, last) {
+  const nonce = Buffer.alloc(12);
+  prefix.copy(nonce, 0);
+  nonce.writeUInt32BE(index, 7);
+  nonce[11] = last ? 1 : 0;
+  return nonce;
+}
+
+function createEncryptStream(key, aad) {
+  const prefix = crypto.randomBytes(7);
+  let index = 0;
+  let pending = Buffer.alloc(0);
+  function seal(plain, last) {
+    const cipher = crypto.createCipheriv(
+      "aes-256-gcm",
+      key,
+      chunkNonce(prefix, index++, last)
+    );
+    cipher.setAAD(aad);
+    return Buffer.concat([
+      cipher.update(plain),
+      cipher.final(),
+      cipher.getAuthTag(),
+    ]);
+  }
+  return new Transform({
+    construct(cb) {
+      this.push(Buffer.concat([MAGIC, prefix]));
+      cb();
+    },
+    transform(data, enc, cb) {
+      pending = Buffer.concat([pending, data]);
+      // hold back the final chunk until we know it is the last one
+      while (pending.length > CHUNK) {
+        this.push(seal(pending.subarray(0, CHUNK), false));
+        pending = pending.subarray(CHUNK);
+      }
+      cb();
+    },
+    flush(cb) {
+      this.push(seal(pending, true));
+      cb();
+    },
+  });
+}
+
+function createDecryptStream(key, aad) {
+  let prefix = null;
+  let index = 0;
+  let pending = Buffer.alloc(0);
+  function open(sealed, last) {
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      key,
+      chunkNonce(prefix, index++, last)
+    );
+    decipher.setAAD(aad);
+    decipher.setAuthTag(sealed.subarray(sealed.length - TAG));
+    try {
+      return Buffer.concat([
+        decipher.update(sealed.subarray(0, sealed.length - TAG)),
+        decipher.final(),
+      ]);
+    } catch (e) {
+      throw new Error("Encrypted entry is corrupted or was tampered with");
+    }
+  }
+  return new Transform({
+    transform(data, enc, cb) {
+      pending = Buffer.concat([pending, data]);
+      try {
+        if (!prefix) {
+          if (pending.length < MAGIC.length + 7) return cb();
+          if (!pending.subarray(0, MAGIC.length).equals(MAGIC))
+            throw new Error("Not an encrypted backup entry");
+          prefix = pending.subarray(MAGIC.length, MAGIC.length + 7);
+          pending = pending.subarray(MAGIC.length + 7);
+        }
+        while (pending.length > CHUNK + TAG) {
+          this.push(open(pending.subarray(0, CHUNK + TAG), false));
+          pending = pending.subarray(CHUNK + TAG);
+        }
+        cb();
+      } catch (e) {
+        cb(e);
+      }
+    },
+    flush(cb) {
+      try {
+        if (!prefix || pending.length < TAG)
+          throw new Error("Encrypted entry is truncated");
+        this.push(open(pending, true));
+        cb();
+      } catch (e) {
+        cb(e);
+      }
+    },
+  });
+}
+
+// errors anywhere in the chain are passed on to (and destroy) its last stream
+function chain(source, transforms) {
+  if (!transforms.length) return source;
+  return pipeline(source, ...transforms, () => {});
+}
+
+// `source` packed for the zip under entry name `name` (plus suffixes);
+// compression "none" and no key leave it unchanged
+function packStream(source, name, { compression = "none", key = null } = {}) {
+  const transforms = [];
+  let packed = name;
+  if (compression !== "none") {
+    transforms.push(COMPRESSIONS[compression].compress());
+    packed += COMPRESSIONS[compression].suffix;
+  }
+  if (key) {
+    transforms.push(createEncryptStream(key, Buffer.from(packed)));
+    packed += ENC_SUFFIX;
+  }
+  return { name: packed, stream: chain(source, transforms) };
+}
+
+function isPacked({ compression = "none", key = null }) {
+  return compression !== "none" || !!key;
+}
+
+function createArchive() {
+  return archiver("zip");
+}
+
+// Add `source` to `archive` as entry `name`, packed with `opts`; resolves
+// once the entry is written. Packed entries are stored rather than deflated
+// again. The manifest is never packed.
+function appendEntry(archive, source, name, opts = {}) {
+  const packed = name !== MANIFEST_FILE && isPacked(opts);
+  const entry = packed
+    ? packStream(source, name, opts)
+    : { name, stream: source };
+  return new Promise((resolve, reject) => {
+    const onEntry = (data) => {
+      if (data.name !== entry.name) return;
+      archive.off("entry", onEntry);
+      resolve();
+    };
+    archive.on("entry", onEntry);
+    entry.stream.on("error", reject);
+    archive.append(entry.stream, { name: entry.name, store: packed });
+  });
+}
+
+// paths of the files under `dir`, relative to it and "/"-separated
+async function listFiles(dir, prefix = "") {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const name = prefix + entry.name;
+    if (entry.isDirectory())
+      files.push(...(await listFiles(path.join(dir, entry.name), name + "/")));
+    else files.push(name);
+  }
+  return files;
+}
+
+// Zip the files of a staged backup `dir` (and of its folders, one per
+// database of a multi-database backup) into the Writable `output`, manifest
+// first; resolves when all of the zip has been handed to `output`.
+async function writeArchive(dir, output, opts = {}) {
+  const names = (await listFiles(dir)).sort((a, b) =>
+    a === MANIFEST_FILE ? -1 : b === MANIFEST_FILE ? 1 : a.localeCompare(b)
+  );
+  const archive = createArchive();
+  const failed = new Promise((resolve, reject) => archive.on("error", reject));
+  archive.pipe(output);
+  const written = (async () => {
+    for (const name of names)
+      await appendEntry(
+        archive,
+        fs.createReadStream(path.join(dir, name)),
+        name,
+        opts
+      );
+    await archive.finalize();
+  })();
+  await Promise.race([written, failed]);
+}
+
+// entry name -> original name and the transforms that restore its content
+function unpackSteps(entryName, key) {
+  let name = entryName;
+  const transforms = [];
+  if (name.endsWith(ENC_SUFFIX)) {
+    name = name.slice(0, -ENC_SUFFIX.length);
+    if (!key) throw new Error(`${entryName} is encrypted but no key is set`);
+    transforms.push(createDecryptStream(key, Buffer.from(name)));
+  }
+  for (const [algo, c] of Object.entries(COMPRESSIONS)) {
+    if (name.endsWith(c.suffix)) {
+      checkCompression(algo);
+      name = name.slice(0, -c.suffix.length);
+      transforms.push(c.decompress());
+      break;
+    }
+  }
+  return { name, transforms };
+}
+
+// Manifest of a backup zip (null for archives without one) and, if the
+// backup is encrypted, the key for `passphrase`. `zip` is an unzipper
+// directory or the path of a local zip. Throws for a missing or wrong
+// passphrase, so callers can refuse before starting a job.
+async function openArchive(zip, passphrase) {
+  if (typeof zip === "string") zip = await unzip.Open.file(zip);
+  const entry = zip.files.find((f) => f.path === MANIFEST_FILE);
+  const manifest = entry
+    ? JSON.parse((await entry.buffer()).toString("utf8"))
+    : null;
+  const key =
+    manifest && manifest.encryption
+      ? await unlockEncryption(manifest.encryption, passphrase)
+      : null;
+  return { zip, manifest, key };
+}
+
+// Content of entry `name` (its name before packing) of a backup opened by
+// openArchive() as a stream, decrypted and decompressed; null if missing
+function readEntry({ zip, key }, name) {
+  for (const entry of zip.files) {
+    if (entry.type !== "File") continue;
+    const unpacked = unpackSteps(entry.path, key);
+    if (unpacked.name === name)
+      return chain(entry.stream(), unpacked.transforms);
+  }
+  return null;
+}
+
+// Extract a backup zip opened by openArchive() into `dir`, decrypting and
+// decompressing packed entries back to their original names.
+async function extractArchive({ zip, key }, dir) {
+  const root = path.resolve(dir);
+  for (const entry of zip.files) {
+    if (entry.type !== "File") continue;
+    const { name, transforms } = unpackSteps(entry.path, key);
+    const target = path.resolve(root, name);
+    if (!target.startsWith(root + path.sep))
+      throw new Error(`Unsafe path in archive: ${entry.path}`);
+    await fs.ensureDir(path.dirname(target));
+    await new Promise((resolve, reject) =>
+      pipeline(
+        entry.stream(),
+        ...transforms,
+        fs.createWriteStream(target),
+        (err) => (err ? reject(err) : resolve())
+      )
+    );
+  }
+}
+
+module.exports = {
+  COMPRESSIONS,
+  parseCompression,
+  createEncryption,
+  unlockEncryption,
+  packStream,
+  createArchive,
+  appendEntry,
+  writeArchive,
+  openArchive,
+  readEntry,
+  extractArchive,
+};
@@ -0,0 +1,220 @@
+const { BSON } = require("mongodb");
+const { FIND_OPTIONS } = require("./ejson");
+const { encodeId, decodeId } = require("./checkpoints");
+
+// How much of a backup, transfer or restore runs at once, and how fast:
+//   parallelCollections  collections processed at the same time (default 1)
+//   partitions           _id ranges of one large collection read and written
+//                        at the same time (backups and transfers; default 1)
+//   maxDocsPerSec        documents per second, over the whole job
+//   maxMBPerSec          megabytes per second, over the whole job
+// The rate limits are shared by everything the job runs in parallel, so a
+// daytime transfer stays under them however many collections it copies.
+
+const MAX_PARALLEL = 16;
+const MB = 1024 * 1024;
+// a job may run a second ahead of its rate limit before it waits
+const BURST_MS = 1000;
+// sampled _ids per partition when splitting a collection
+const SAMPLES_PER_RANGE = 32;
+
+function parseParallelism({
+  parallelCollections,
+  partitions,
+  maxDocsPerSec,
+  maxMBPerSec,
+}) {
+  const whole = (value, what) => {
+    if (value == null || value === "") return 1;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_PARALLEL)
+      throw new Error(
+        `${what} must be a whole number from 1 to ${MAX_PARALLEL}`
+      );
+    return n;
+  };
+  const rate = (value, what) => {
+    if (value == null || value === "") return null;
+    const n = Number(value);
+    if (!(n > 0)) throw new Error(`${what} must be a positive number`);
+    return n;
+  };
+  const mbPerSec = rate(maxMBPerSec, "MB per second");
+  return {
+    collections: whole(parallelCollections, "Parallel collections"),
+    partitions: whole(partitions, "Partitions"),
+    docsPerSec: rate(maxDocsPerSec, "Documents per second"),
+    bytesPerSec: mbPerSec && mbPerSec * MB,
+  };
+}
+
+// Run fn(item, checkStopped) for each of `items`, at most `limit` at a time.
+// After the first failure no new item is started, and checkStopped() throws
+// in the ones still running so they stop at their next batch; the first
+// error is rethrown once all have stopped.
+async function runConcurrently(items, limit, fn) {
+  let next = 0;
+  let failure = null;
+  const checkStopped = () => {
+    if (failure) throw failure;
+  };
+  const worker = async () => {
+    while (!failure && next < items.length) {
+      const item = items[next++];
+      try {
+        await fn(item, checkStopped);
+      } catch (e) {
+        if (!failure) failure = e;
+      }
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  if (failure) throw failure;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Rate limiter for `docsPerSec` and `bytesPerSec` (either may be null), or
+// null when neither is set. take(docs, bytes, check) waits until a batch of
+// that size fits the budget, calling check() (which may throw to cancel)
+// while it waits.
+function createRateLimiter({ docsPerSec, bytesPerSec }) {
+  if (!docsPerSec && !bytesPerSec) return null;
+  // when the budget spent so far runs out
+  let spentUntil = 0;
+  return {
+    countsBytes: !!bytesPerSec,
+    async take(docs, bytes, check = () => {}) {
+      const cost =
+        Math.max(
+          docsPerSec ? docs / docsPerSec : 0,
+          bytesPerSec ? bytes / bytesPerSec : 0
+        ) * 1000;
+      spentUntil = Math.max(spentUntil, Date.now()) + cost;
+      for (let wait; (wait = spentUntil - BURST_MS - Date.now()) > 0; ) {
+        check();
+        await sleep(Math.min(wait, 500));
+      }
+    },
+  };
+}
+
+// BSON size of `docs`, for the MB/s limit
+function bsonSize(docs) {
+  return docs.reduce((n, d) => n + BSON.calculateObjectSize(d), 0);
+}
+
+// Reader of batches of up to `size` documents from `cursor` (null at the
+// end). The next batch is fetched while the caller writes the current one.
+// The caller calls close() once it stops reading, at the end or not.
+function cursorBatches(cursor, size) {
+  const read = async () => {
+    const batch = [];
+    while (
+      batch.length < size &&
+      (cursor.bufferedCount() || (await cursor.hasNext()))
+    )
+      batch.push(...cursor.readBufferedDocuments(size - batch.length));
+    return batch.length ? batch : null;
+  };
+  let ahead = null;
+  const next = () => {
+    const current = ahead || read();
+    ahead = current.then((batch) => (batch ? read() : null));
+    // a failed read-ahead is reported by the call that gets it
+    ahead.catch(() => {});
+    return current;
+  };
+  // a read-ahead cut short by the close fails unseen
+  next.close = () => cursor.close().catch(() => {});
+  return next;
+}
+
+// kinds of _id that compare with each other in $gte/$lt
+function idKind(id) {
+  if (typeof id === "number") return "number";
+  if (typeof id === "string") return "string";
+  if (id instanceof Date) return "date";
+  switch (id && id._bsontype) {
+    case "Int32":
+    case "Long":
+    case "Double":
+    case "Decimal128":
+      return "number";
+    case "ObjectId":
+    case "ObjectID":
+      return "objectId";
+    case "Timestamp":
+      return "timestamp";
+    default:
+      return null;
+  }
+}
+
+// Up to `count` _id ranges splitting the documents of `coll` that match
+// `filter` into parts of about the same size, as [{ lo, hi }] of encoded
+// _ids (null for an open end), or null when it cannot be split. Query
+// operators only compare values of the same kind, so a collection whose
+// _ids are of different kinds is read in one piece.
+async function idRanges(coll, filter, count) {
+  if (count < 2) return null;
+  const end = async (dir) => {
+    const [doc] = await coll
+      .find(filter, {
+        ...FIND_OPTIONS,
+        projection: { _id: 1 },
+        sort: { _id: dir },
+        limit: 1,
+      })
+      .toArray();
+    return doc;
+  };
+  const first = await end(1);
+  const last = first && (await end(-1));
+  if (!first || !idKind(first._id) || idKind(first._id) !== idKind(last._id))
+    return null;
+  const sample = await coll
+    .aggregate(
+      [
+        { $match: filter },
+        { $sample: { size: count * SAMPLES_PER_RANGE } },
+        { $project: { _id: 1 } },
+        { $sort: { _id: 1 } },
+      ],
+      FIND_OPTIONS
+    )
+    .toArray();
+  const bounds = [];
+  const firstId = encodeId(first._id);
+  for (let i = 1; i < count; i++) {
+    const doc = sample[Math.floor((i * sample.length) / count)];
+    const bound = doc && encodeId(doc._id);
+    if (bound && bound !== firstId && bound !== bounds[bounds.length - 1])
+      bounds.push(bound);
+  }
+  if (!bounds.length) return null;
+  return [null, ...bounds].map((lo, i) => ({
+    lo,
+    hi: i < bounds.length ? bounds[i] : null,
+  }));
+}
+
+// `filter` narrowed to the _id range { lo, hi } from idRanges
+function rangeFilter(filter, { lo, hi }) {
+  const range = {};
+  if (lo) range.$gte = decodeId(lo);
+  if (hi) range.$lt = decodeId(hi);
+  return { $and: [filter, { _id: range }] };
+}
+
+module.exports = {
+  parseParallelism,
+  runConcurrently,
+  createRateLimiter,
+  bsonSize,
+  cursorBatches,
+  idRanges,
+  rangeFilter,
+};
@@ -0,0 +1,315 @@
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const { Readable, Writable } = require("stream");
+
+// Minimal S3 client (AWS Signature V4, path-style URLs) for the handful of
+// calls backups need, so S3-compatible stores such as MinIO work without an
+// SDK. Objects are uploaded in parts and read back in ranges.
+
+const EMPTY_HASH = crypto.createHash("sha256").update("").digest("hex");
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+// RFC 3986 encoding as SigV4 wants it
+function encode(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase()
+  );
+}
+
+// Authorization header for a request; headers must already hold host,
+// x-amz-date and x-amz-content-sha256
+function signRequest({
+  method,
+  path,
+  query = {},
+  headers,
+  region,
+  accessKeyId,
+  secretAccessKey,
+}) {
+  const amzDate = headers["x-amz-date"];
+  const date = amzDate.slice(0, 8);
+  const names = Object.keys(headers)
+    .map((h) => h.toLowerCase())
+    .sort();
+  const lower = {};
+  for (const [k, v] of Object.entries(headers))
+    lower[k.toLowerCase()] = String(v).trim();
+  const canonical = [
+    method,
+    path.split("/").map(encode).join("/"),
+    Object.keys(query)
+      .sort()
+      .map((k) => `${encode(k)}=${encode(query[k])}`)
+      .join("&"),
+    names.map((h) => `${h}:${lower[h]}\n`).join(""),
+    names.join(";"),
+    lower["x-amz-content-sha256"],
+  ].join("\n");
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const toSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonical)].join(
+    "\n"
+  );
+  let key = hmac("AWS4" + secretAccessKey, date);
+  key = hmac(key, region);
+  key = hmac(key, "s3");
+  key = hmac(key, "aws4_request");
+  const signature = crypto
+    .createHmac("sha256", key)
+    .update(toSign)
+    .digest("hex");
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(
+    ";"
+  )}, Signature=${signature}`;
+}
+
+function xmlValues(xml, tag) {
+  const re = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "g");
+  const out = [];
+  let m;
+  while ((m = re.exec(xml))) out.push(m[1]);
+  return out;
+}
+
+function xmlText(value) {
+  return String(value)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function createS3Client({
+  endpoint,
+  bucket,
+  region = "us-east-1",
+  accessKeyId = process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY,
+  partSize = 8 * 1024 * 1024,
+}) {
+  const base = new URL(endpoint);
+  const transport = base.protocol === "https:" ? https : http;
+  const basePath = base.pathname.replace(/\/$/, "");
+
+  // raw response (a stream) of one signed call
+  function send(method, key, { query = {}, headers = {}, body = null } = {}) {
+    const path = `${basePath}/${bucket}${key != null ? "/" + key : ""}`;
+    const signed = {
+      ...headers,
+      host: base.host,
+      "x-amz-date": new Date().toISOString().replace(/[-:]|\.\d+/g, ""),
+      "x-amz-content-sha256": body ? sha256(body) : EMPTY_HASH,
+    };
+    if (body) signed["content-length"] = body.length;
+    signed.authorization = signRequest({
+      method,
+      path,
+      query,
+      headers: signed,
+      region,
+      accessKeyId,
+      secretAccessKey,
+    });
+    const qs = Object.keys(query)
+      .map((k) => `${encode(k)}=${encode(query[k])}`)
+      .join("&");
+    return new Promise((resolve, reject) => {
+      const req = transport.request(
+        {
+          protocol: base.protocol,
+          hostname: base.hostname,
+          port: base.port,
+          method,
+          path: path.split("/").map(encode).join("/") + (qs ? "?" + qs : ""),
+          headers: signed,
+        },
+        resolve
+      );
+      req.on("error", reject);
+      req.end(body || undefined);
+    });
+  }
+
+  async function readBody(res) {
+    const chunks = [];
+    for await (const c of res) chunks.push(c);
+    return Buffer.concat(chunks).toString("utf8");
+  }
+
+  // call that must succeed; resolves with { res, text }
+  async function call(method, key, opts) {
+    const res = await send(method, key, opts);
+    const text = await readBody(res);
+    if (res.statusCode >= 300) {
+      const code = xmlValues(text, "Code")[0] || res.statusCode;
+      const message = xmlValues(text, "Message")[0] || "";
+      const err = new Error(`S3 ${method} failed: ${code} ${message}`.trim());
+      err.statusCode = res.statusCode;
+      throw err;
+    }
+    return { res, text };
+  }
+
+  async function list(prefix = "") {
+    const items = [];
+    let token = null;
+    do {
+      const query = { "list-type": "2", prefix };
+      if (token) query["continuation-token"] = token;
+      const { text } = await call("GET", null, { query });
+      for (const entry of xmlValues(text, "Contents")) {
+        items.push({
+          key: xmlText(xmlValues(entry, "Key")[0]),
+          size: Number(xmlValues(entry, "Size")[0]),
+          modifiedAt: new Date(xmlValues(entry, "LastModified")[0]),
+        });
+      }
+      token =
+        xmlValues(text, "IsTruncated")[0] === "true"
+          ? xmlText(xmlValues(text, "NextContinuationToken")[0])
+          : null;
+    } while (token);
+    return items;
+  }
+
+  // { size, modifiedAt }, or null if the object does not exist
+  async function head(key) {
+    const res = await send("HEAD", key);
+    res.resume();
+    if (res.statusCode === 404) return null;
+    if (res.statusCode >= 300)
+      throw new Error(`S3 HEAD failed: ${res.statusCode}`);
+    return {
+      size: Number(res.headers["content-length"]),
+      modifiedAt: new Date(res.headers["last-modified"]),
+    };
+  }
+
+  async function remove(key) {
+    await call("DELETE", key);
+  }
+
+  // Readable of the object from byte `start`, fetched one window at a time
+  // so a reader that stops early (e.g. unzip reading one entry) does not
+  // pull the rest of a large object. Windows start small and double up to
+  // `windowSize`, as most readers only want a header.
+  function read(key, { start = 0, windowSize = 4 * 1024 * 1024 } = {}) {
+    let pos = start;
+    let size = null;
+    let window = Math.min(64 * 1024, windowSize);
+    return new Readable({
+      async read() {
+        try {
+          if (size !== null && pos >= size) return this.push(null);
+          const res = await send("GET", key, {
+            headers: { range: `bytes=${pos}-${pos + window - 1}` },
+          });
+          window = Math.min(window * 2, windowSize);
+          if (res.statusCode === 416) {
+            res.resume();
+            return this.push(null);
+          }
+          if (res.statusCode >= 300) {
+            const text = await readBody(res);
+            throw new Error(
+              `S3 GET failed: ${xmlValues(text, "Code")[0] || res.statusCode}`
+            );
+          }
+          const range = /\/(\d+)$/.exec(res.headers["content-range"] || "");
+          if (range) size = Number(range[1]);
+          const chunks = [];
+          for await (const c of res) chunks.push(c);
+          const data = Buffer.concat(chunks);
+          pos += data.length;
+          if (!range || !data.length) size = pos; // server ignored the range
+          this.push(data);
+        } catch (e) {
+          this.destroy(e);
+        }
+      },
+    });
+  }
+
+  // Writable that uploads `key` in parts; the object only appears once the
+  // stream finishes, and a destroyed stream aborts the upload
+  function write(key) {
+    let buffered = [];
+    let length = 0;
+    let uploadId = null;
+    let completed = false;
+    const parts = [];
+
+    async function flushPart() {
+      const body = Buffer.concat(buffered);
+      buffered = [];
+      length = 0;
+      if (!uploadId) {
+        const { text } = await call("POST", key, { query: { uploads: "" } });
+        uploadId = xmlValues(text, "UploadId")[0];
+      }
+      const partNumber = parts.length + 1;
+      const { res } = await call("PUT", key, {
+        query: { partNumber: String(partNumber), uploadId },
+        body,
+      });
+      parts.push({ partNumber, etag: res.headers.etag });
+    }
+
+    return new Writable({
+      write(chunk, enc, cb) {
+        buffered.push(chunk);
+        length += chunk.length;
+        if (length < partSize) return cb();
+        flushPart().then(() => cb(), cb);
+      },
+      final(cb) {
+        (async () => {
+          // small objects go up in one request
+          if (!uploadId) {
+            await call("PUT", key, { body: Buffer.concat(buffered) });
+            return;
+          }
+          if (length) await flushPart();
+          const xml =
+            "<CompleteMultipartUpload>" +
+            parts
+              .map(
+                (p) =>
+                  `<Part><PartNumber>${p.partNumber}</PartNumber><ETag>${p.etag}</ETag></Part>`
+              )
+              .join("") +
+            "</CompleteMultipartUpload>";
+          const { text } = await call("POST", key, {
+            query: { uploadId },
+            body: Buffer.from(xml),
+          });
+          // S3 may report a failed completion with status 200
+          if (/<Error>/.test(text))
+            throw new Error(`S3 upload failed: ${xmlValues(text, "Code")[0]}`);
+        })().then(() => {
+          completed = true;
+          cb();
+        }, cb);
+      },
+      destroy(err, cb) {
+        if (!uploadId || completed) return cb(err);
+        call("DELETE", key, { query: { uploadId } })
+          .catch(() => {})
+          .then(() => cb(err));
+      },
+    });
+  }
+
+  return { list, head, read, write, remove };
+}
+
+module.exports = { createS3Client };
@@ -0,0 +1,323 @@
+const fs = require("fs-extra");
+const { parseCron, cronMatches, nextRun } = require("./cron");
+
+// Retention keeps, out of a schedule's backups (newest first):
+//   keepLast  the N most recent
+//   daily     the newest backup of each of the last N days that have one
+//   weekly    ... of each of the last N ISO weeks
+//   monthly   ... of each of the last N months
+// A backup kept by any rule survives. With no rule set nothing is pruned.
+function dayKey(d) {
+  return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+}
+function weekKey(d) {
+  // ISO week: the week's Thursday decides the year
+  const t = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  t.setDate(t.getDate() + 3 - ((t.getDay() + 6) % 7));
+  const jan4 = new Date(t.getFullYear(), 0, 4);
+  const week =
+    1 + Math.round(((t - jan4) / 86400000 - 3 + ((jan4.getDay() + 6) % 7)) / 7);
+  return `${t.getFullYear()}-W${week}`;
+}
+function monthKey(d) {
+  return `${d.getFullYear()}-${d.getMonth() + 1}`;
+}
+
+function applyRetention(backups, retention = {}) {
+  const rules = [
+    [retention.daily, dayKey],
+    [retention.weekly, weekKey],
+    [retention.monthly, monthKey],
+  ];
+  const keepLast = parseInt(retention.keepLast, 10) || 0;
+  if (!keepLast && !rules.some(([n]) => parseInt(n, 10) > 0))
+    return { keep: backups.slice(), remove: [] };
+
+  const sorted = backups
+    .slice()
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  const keep = new Set(sorted.slice(0, keepLast));
+  for (const [n, keyOf] of rules) {
+    const limit = parseInt(n, 10) || 0;
+    const seen = new Set();
+    for (const b of sorted) {
+      if (seen.size >= limit) break;
+      const key = keyOf(new Date(b.createdAt));
+      if (seen.has(key)) continue;
+      seen.add(key);
+      keep.add(b);
+    }
+  }
+  return {
+    keep: sorted.filter((b) => keep.has(b)),
+    remove: sorted.filter((b) => !keep.has(b)),
+  };
+}
+
+// backup options that are secrets: kept sealed on disk, never shown
+const SECRET_OPTIONS = ["passphrase"];
+// what the API shows of a schedule
+const VIEW_FIELDS = [
+  "id",
+  "owner",
+  "name",
+  "cron",
+  "dbName",
+  "enabled",
+  "retention",
+  "lastRunAt",
+  "lastJobId",
+  "lastStatus",
+  "lastError",
+  "backups",
+];
+
+// Named, cron-driven backups. Schedules live in `file`, written owner-only;
+// their connection string and secret options are kept there sealed with
+// secrets.seal() (the connection profiles' master key, see lib/profiles).
+// Every minute the matching ones are started through runBackup(schedule),
+// which returns a job, and once that job is done its zip is recorded and
+// retention is applied; removeBackup({ file, target }) deletes a pruned zip
+// from its storage target and resolves false when it has to stay.
+function createScheduler({
+  file,
+  runBackup,
+  removeBackup,
+  waitForJob,
+  secrets,
+}) {
+  // a schedule as written: uri and secret options in one sealed `secrets`
+  function sealed(s) {
+    const { uri, options = {}, ...rest } = s;
+    // one that could not be unsealed keeps what it had
+    if (uri === undefined && rest.secrets) return s;
+    const plain = {};
+    const secret = {};
+    for (const [k, v] of Object.entries(options))
+      (SECRET_OPTIONS.includes(k) ? secret : plain)[k] = v;
+    return {
+      ...rest,
+      options: plain,
+      secrets: secrets.seal(JSON.stringify({ uri, options: secret })),
+    };
+  }
+  function unsealed(s) {
+    // written before secrets were sealed; sealed at the next save
+    if (!s.secrets) return s;
+    try {
+      const { uri, options } = JSON.parse(secrets.unseal(s.secrets));
+      const rest = { ...s };
+      delete rest.secrets;
+      return { ...rest, uri, options: { ...rest.options, ...options } };
+    } catch (e) {
+      console.warn(
+        `Cannot decrypt schedule ${s.name} (was MASTER_KEY changed?)`
+      );
+      return s;
+    }
+  }
+
+  let schedules = [];
+  try {
+    schedules = fs.readJsonSync(file).map(unsealed);
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn("schedules load failed", e.message);
+  }
+  // a run cut short by a restart never reports back
+  for (const s of schedules) {
+    if (s.lastStatus === "running") s.lastStatus = "interrupted";
+  }
+
+  async function save() {
+    await fs.outputJson(file + ".tmp", schedules.map(sealed), {
+      spaces: 2,
+      mode: 0o600,
+    });
+    await fs.move(file + ".tmp", file, { overwrite: true });
+  }
+  // a file from before sealing still holds plaintext secrets
+  if (schedules.some((s) => !s.secrets))
+    save().catch((e) => console.warn("schedules save failed", e.message));
+
+  function validate(input) {
+    if (!input.name) throw new Error("Missing schedule name");
+    // options.databases backs up several databases instead (see lib/cluster)
+    if (!input.uri || !(input.dbName || (input.options || {}).databases))
+      throw new Error("Missing uri or dbName");
+    parseCron(input.cron);
+  }
+
+  // public view: no connection string or secret options
+  function view(s) {
+    const out = {};
+    for (const k of VIEW_FIELDS) if (s[k] !== undefined) out[k] = s[k];
+    out.options = {};
+    for (const [k, v] of Object.entries(s.options || {}))
+      if (!SECRET_OPTIONS.includes(k)) out.options[k] = v;
+    let next = null;
+    try {
+      if (s.enabled) next = nextRun(parseCron(s.cron));
+    } catch (e) {
+      next = null;
+    }
+    return { ...out, nextRunAt: next && next.toISOString() };
+  }
+
+  const FIELDS = [
+    "name",
+    "cron",
+    "uri",
+    "dbName",
+    "enabled",
+    "retention",
+    "options",
+  ];
+  function pick(input) {
+    const out = {};
+    for (const k of FIELDS) if (input[k] !== undefined) out[k] = input[k];
+    return out;
+  }
+
+  async function create(input, owner = null) {
+    const s = {
+      id: `sched-${Date.now()}`,
+      owner,
+      enabled: true,
+      retention: {},
+      options: {},
+      ...pick(input),
+      lastRunAt: null,
+      lastJobId: null,
+      lastStatus: null,
+      backups: [],
+    };
+    validate(s);
+    schedules.push(s);
+    await save();
+    return view(s);
+  }
+
+  async function update(id, input) {
+    const s = schedules.find((x) => x.id === id);
+    if (!s) return null;
+    const next = { ...s, ...pick(input) };
+    // the UI never sees the stored uri or secret options; leaving them blank
+    // keeps them
+    if (!input.uri) next.uri = s.uri;
+    if (input.options)
+      for (const k of SECRET_OPTIONS)
+        if (!input.options[k] && s.options[k] !== undefined)
+          next.options = { ...next.options, [k]: s.options[k] };
+    validate(next);
+    Object.assign(s, next);
+    await save();
+    return view(s);
+  }
+
+  async function remove(id) {
+    const before = schedules.length;
+    schedules = schedules.filter((x) => x.id !== id);
+    if (schedules.length === before) return false;
+    await save();
+    return true;
+  }
+
+  // newest first, so a chain of incrementals goes from its end; a backup
+  // still built on stays, and is tried again after the next run
+  async function prune(s) {
+    const { keep, remove: old } = applyRetention(s.backups, s.retention);
+    let pruned = 0;
+    for (const b of old) {
+      try {
+        if (await removeBackup(b)) pruned++;
+        else keep.push(b);
+      } catch (e) {
+        console.warn("retention remove failed", b.file, e.message);
+      }
+    }
+    s.backups = keep.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return pruned;
+  }
+
+  async function run(s) {
+    s.lastRunAt = new Date().toISOString();
+    // running from here, so a second call meanwhile is turned away
+    s.lastStatus = "running";
+    let job;
+    try {
+      job = await runBackup(s);
+    } catch (e) {
+      s.lastStatus = "error";
+      s.lastError = e.message;
+      await save();
+      throw e;
+    }
+    s.lastJobId = job.id;
+    await save();
+    waitForJob(job.id).then(async (final) => {
+      s.lastStatus = final ? final.status : "error";
+      s.lastError = final && final.error;
+      if (final && final.status === "done" && final.result) {
+        s.backups.push({
+          file: final.result.name,
+          target: final.result.target,
+          jobId: job.id,
+          createdAt: final.finishedAt,
+        });
+      }
+      const pruned = await prune(s);
+      if (pruned) console.log(`schedule ${s.name}: pruned ${pruned} backups`);
+      await save();
+    });
+    return job;
+  }
+
+  // a run still going is not started twice, as on the timer
+  async function runNow(id) {
+    const s = schedules.find((x) => x.id === id);
+    if (!s) return null;
+    if (s.lastStatus === "running") {
+      const err = new Error(`Schedule ${s.name} is still running`);
+      err.status = 409;
+      throw err;
+    }
+    return run(s);
+  }
+
+  // fire once per minute, just after the minute turns
+  let timer = null;
+  function tick() {
+    const now = new Date();
+    for (const s of schedules) {
+      if (!s.enabled) continue;
+      let cron;
+      try {
+        cron = parseCron(s.cron);
+      } catch (e) {
+        continue;
+      }
+      if (s.lastStatus === "running") continue;
+      if (cronMatches(cron, now))
+        run(s).catch((e) => console.warn("schedule run failed", e.message));
+    }
+    timer = setTimeout(tick, 60000 - (Date.now() % 60000) + 500);
+  }
+  function start() {
+    if (!timer) timer = setTimeout(tick, 60000 - (Date.now() % 60000) + 500);
+  }
+
+  return {
+    start,
+    list: () => schedules.map(view),
+    get: (id) => {
+      const s = schedules.find((x) => x.id === id);
+      return s ? view(s) : null;
+    },
+    create,
+    update,
+    remove,
+    runNow,
+  };
+}
+
+module.exports = { createScheduler, applyRetention };
@@ -0,0 +1,66 @@
+const { EJSON } = require("./ejson");
+
+// "logs_*" -> /^logs_.*$/ ; only * and ? are special
+function globToRegExp(glob) {
+  const src = glob
+    .split("")
+    .map((ch) => {
+      if (ch === "*") return ".*";
+      if (ch === "?") return ".";
+      return ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${src}$`);
+}
+
+// accepts an array or a comma/newline separated string
+function parseList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(/[,\n]/);
+  return items.map((s) => String(s).trim()).filter(Boolean);
+}
+
+// Returns name => boolean. An empty include list means "everything";
+// exclude always wins over include.
+function createCollectionSelector({ include, exclude } = {}) {
+  const inc = parseList(include).map(globToRegExp);
+  const exc = parseList(exclude).map(globToRegExp);
+  return (name) =>
+    (!inc.length || inc.some((re) => re.test(name))) &&
+    !exc.some((re) => re.test(name));
+}
+
+// filters: { [collection]: { filter, projection } } as an object or JSON text.
+// Values are Extended JSON, so dates/ObjectIds can be written as
+// {"$date": "..."} / {"$oid": "..."}.
+function parseQueryFilters(filters) {
+  if (!filters) return {};
+  const raw = typeof filters === "string" ? filters.trim() : filters;
+  if (!raw) return {};
+  let parsed;
+  try {
+    parsed = EJSON.parse(typeof raw === "string" ? raw : JSON.stringify(raw));
+  } catch (e) {
+    throw new Error("Invalid collection filters JSON: " + e.message);
+  }
+  const out = {};
+  for (const [name, q] of Object.entries(parsed || {})) {
+    out[name] = {
+      filter: (q && q.filter) || {},
+      projection: (q && q.projection) || undefined,
+    };
+  }
+  return out;
+}
+
+function queryFor(filters, name) {
+  return filters[name] || { filter: {}, projection: undefined };
+}
+
+module.exports = {
+  globToRegExp,
+  parseList,
+  createCollectionSelector,
+  parseQueryFilters,
+  queryFor,
+};
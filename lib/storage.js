@@ -0,0 +1,160 @@
+const path = require("path");
+const fs = require("fs-extra");
+const unzip = require("unzipper");
+const { createS3Client } = require("./s3");
+
+// Storage targets hold finished backup zips. Every target offers the same
+// calls, all by plain "<name>.zip" names:
+//   list()             [{ name, size, modifiedAt }]
+//   stat(name)         { size, modifiedAt } or null
+//   read(name, start)  Readable from byte `start`
+//   write(name)        { stream, done }: the zip is only visible once `done`
+//                      resolves; destroying `stream` abandons it
+//   remove(name)
+//   openZip(name)      unzipper directory (random access for the catalog and
+//                      restores, without copying the zip locally first)
+
+// a directory on this machine: uploads/ or e.g. an NFS mount
+function createFsTarget({ id, label, dir }) {
+  fs.ensureDirSync(dir);
+  const fileOf = (name) => path.join(dir, name);
+
+  return {
+    id,
+    type: "fs",
+    label: label || dir,
+    async list() {
+      const items = [];
+      for (const name of await fs.readdir(dir)) {
+        if (!name.endsWith(".zip")) continue;
+        const st = await this.stat(name);
+        if (st) items.push({ name, ...st });
+      }
+      return items;
+    },
+    async stat(name) {
+      try {
+        const st = await fs.stat(fileOf(name));
+        return { size: st.size, modifiedAt: st.mtime };
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    read(name, start = 0) {
+      return fs.createReadStream(fileOf(name), { start });
+    },
+    // written under a temporary name and renamed when complete
+    write(name) {
+      const tmp = fileOf(`.${name}.partial`);
+      const stream = fs.createWriteStream(tmp);
+      const done = new Promise((resolve, reject) => {
+        stream.on("error", reject);
+        stream.on("close", () => {
+          if (!stream.writableFinished)
+            return fs
+              .remove(tmp)
+              .then(() => reject(new Error("Write aborted")));
+          fs.move(tmp, fileOf(name), { overwrite: true }).then(resolve, reject);
+        });
+      });
+      done.catch(() => {}); // callers await it after writing
+      return { stream, done };
+    },
+    async remove(name) {
+      await fs.remove(fileOf(name));
+    },
+    openZip(name) {
+      return unzip.Open.file(fileOf(name));
+    },
+  };
+}
+
+// an S3 bucket (AWS, MinIO, ...), objects under an optional key prefix
+function createS3Target({ id, label, prefix = "", ...options }) {
+  const s3 = createS3Client(options);
+  const keyOf = (name) => prefix + name;
+
+  return {
+    id,
+    type: "s3",
+    label: label || `s3://${options.bucket}/${prefix}`,
+    async list() {
+      return (await s3.list(prefix))
+        .map((o) => ({ ...o, name: o.key.slice(prefix.length) }))
+        .filter((o) => !o.name.includes("/") && o.name.endsWith(".zip"))
+        .map(({ name, size, modifiedAt }) => ({ name, size, modifiedAt }));
+    },
+    stat(name) {
+      return s3.head(keyOf(name));
+    },
+    read(name, start = 0) {
+      return s3.read(keyOf(name), { start });
+    },
+    write(name) {
+      const stream = s3.write(keyOf(name));
+      const done = new Promise((resolve, reject) => {
+        stream.on("finish", resolve);
+        stream.on("error", reject);
+        stream.on("close", () => {
+          if (!stream.writableFinished) reject(new Error("Upload aborted"));
+        });
+      });
+      done.catch(() => {}); // callers await it after writing
+      return { stream, done };
+    },
+    remove(name) {
+      return s3.remove(keyOf(name));
+    },
+    async openZip(name) {
+      const st = await s3.head(keyOf(name));
+      if (!st) throw new Error(`${name} not found`);
+      return unzip.Open.custom({
+        size: () => Promise.resolve(st.size),
+        stream: (offset) => s3.read(keyOf(name), { start: offset }),
+      });
+    },
+  };
+}
+
+// The built-in "local" target is `uploadDir`; more come from the JSON file
+// named by STORAGE_TARGETS, an array such as
+//   [{ "id": "nfs", "type": "fs", "path": "/mnt/backups" },
+//    { "id": "minio", "type": "s3", "endpoint": "http://localhost:9000",
+//      "bucket": "backups", "prefix": "mongo/", "region": "us-east-1",
+//      "accessKeyId": "...", "secretAccessKey": "..." }]
+// S3 credentials default to AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY.
+function createStorageTargets({ uploadDir, configFile }) {
+  const targets = new Map();
+  targets.set(
+    "local",
+    createFsTarget({ id: "local", label: "Local (uploads/)", dir: uploadDir })
+  );
+  const config = configFile ? fs.readJsonSync(configFile) : [];
+  for (const t of config) {
+    if (!/^[\w-]+$/.test(t.id || ""))
+      throw new Error(`Storage target needs an id of letters, digits, - or _`);
+    if (targets.has(t.id)) throw new Error(`Duplicate storage target ${t.id}`);
+    if (t.type === "fs")
+      targets.set(t.id, createFsTarget({ ...t, dir: path.resolve(t.path) }));
+    else if (t.type === "s3") {
+      if (!t.endpoint || !t.bucket)
+        throw new Error(`Storage target ${t.id} needs an endpoint and bucket`);
+      targets.set(t.id, createS3Target(t));
+    } else throw new Error(`Storage target ${t.id}: unknown type ${t.type}`);
+  }
+
+  return {
+    // the target `id` (default "local"), or null if there is no such target
+    get: (id) => targets.get(id || "local") || null,
+    all: () => Array.from(targets.values()),
+    list: () =>
+      Array.from(targets.values()).map(({ id, type, label }) => ({
+        id,
+        type,
+        label,
+      })),
+  };
+}
+
+module.exports = { createStorageTargets };
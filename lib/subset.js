@@ -0,0 +1,261 @@
+const { EJSON, FIND_OPTIONS } = require("./ejson");
+const { encodeId, decodeId } = require("./checkpoints");
+
+// Subsets: instead of whole collections, a backup or transfer can take a
+// sample of a root collection plus what it is connected to by declared
+// references, e.g. 1% of users and all of their orders and sessions:
+//   root        users
+//   sample      { percent: 1 } | { count: 500 } | { filter: {...} }
+//               (a filter can be combined with percent or count)
+//   references  ["orders.userId -> users._id", "sessions.userId -> users._id"]
+// A reference reads "child.field -> parent.key": documents of the child
+// point at the parent document whose key equals their field (arrays of
+// references work too). Starting from the sample, every document that
+// references a selected document is selected as well (downwards), and every
+// document a selected one references is pulled in so nothing dangles
+// (upwards only: a user pulled in for an order does not bring their other
+// orders). The selection is resolved to _ids up front; the export then reads
+// those documents batch by batch.
+
+const PROGRESS_INTERVAL_MS = 1000;
+const REFERENCE_RE = /^([^.\s]+)\.(\S+)\s*->\s*([^.\s]+)\.(\S+)$/;
+
+function parseReference(text) {
+  const m = REFERENCE_RE.exec(String(text).trim());
+  if (!m || m[2].startsWith("$") || m[4].startsWith("$"))
+    throw new Error(
+      `Reference "${text}" must look like orders.userId -> users._id`
+    );
+  return { child: m[1], field: m[2], parent: m[3], key: m[4] };
+}
+
+function referenceText({ child, field, parent, key }) {
+  return `${child}.${field} -> ${parent}.${key}`;
+}
+
+// sample rule from { percent, count, filter }; the filter is Extended JSON
+function parseSample(sample) {
+  const out = {};
+  const percent = sample.percent != null && sample.percent !== "";
+  const count = sample.count != null && sample.count !== "";
+  if (percent && count)
+    throw new Error("Sample by percentage or by count, not both");
+  if (percent) {
+    out.percent = Number(sample.percent);
+    if (!(out.percent > 0 && out.percent <= 100))
+      throw new Error("Sample percentage must be above 0 and at most 100");
+  }
+  if (count) {
+    out.count = Number(sample.count);
+    if (!Number.isInteger(out.count) || out.count < 1)
+      throw new Error("Sample count must be a positive whole number");
+  }
+  if (sample.filter) {
+    try {
+      out.filter =
+        typeof sample.filter === "string"
+          ? EJSON.parse(sample.filter, { relaxed: false })
+          : EJSON.deserialize(sample.filter, { relaxed: false });
+    } catch (e) {
+      throw new Error("Invalid sample filter JSON: " + e.message);
+    }
+  }
+  if (!percent && !count && !out.filter)
+    throw new Error("A subset needs a sample: percent, count or filter");
+  return out;
+}
+
+// { root, sample, references } from body.subset (an object or its JSON
+// text), or null when no subset is asked for
+function parseSubset({ subset }) {
+  if (!subset) return null;
+  let spec = subset;
+  if (typeof spec === "string") {
+    try {
+      spec = JSON.parse(spec);
+    } catch (e) {
+      throw new Error("Invalid subset JSON: " + e.message);
+    }
+  }
+  const root = String(spec.root || "").trim();
+  if (!root) return null;
+  const list = Array.isArray(spec.references)
+    ? spec.references
+    : String(spec.references || "").split(/[,\n]/);
+  const references = list
+    .map((r) => String(r).trim())
+    .filter(Boolean)
+    .map(parseReference);
+  // every collection has to hang together with the root
+  const reached = new Set([root]);
+  for (let grew = true; grew; ) {
+    grew = false;
+    for (const r of references) {
+      if (reached.has(r.child) !== reached.has(r.parent)) {
+        reached.add(r.child).add(r.parent);
+        grew = true;
+      }
+    }
+  }
+  const loose = references.find((r) => !reached.has(r.child));
+  if (loose)
+    throw new Error(`${referenceText(loose)} is not connected to ${root}`);
+  return { root, sample: parseSample(spec.sample || {}), references };
+}
+
+// the collections a subset takes documents from
+function subsetCollections({ root, references }) {
+  const names = new Set([root]);
+  for (const r of references) names.add(r.child).add(r.parent);
+  return names;
+}
+
+// how a subset is recorded in a manifest
+function describeSubset({ root, sample, references }) {
+  return {
+    root,
+    sample: EJSON.serialize(sample, { relaxed: false }),
+    references: references.map(referenceText),
+  };
+}
+
+// projection of just `paths`; a path inside another one is covered by it
+function projectionOf(paths) {
+  const sorted = [...paths].sort();
+  const projection = {};
+  for (const p of sorted) {
+    if (!Object.keys(projection).some((q) => p.startsWith(q + ".")))
+      projection[p] = 1;
+  }
+  return projection;
+}
+
+// distinct values at dotted `path` in `docs`, array elements flattened
+function valuesOf(docs, path) {
+  const values = new Map();
+  const walk = (node, parts) => {
+    if (node == null) return;
+    if (Array.isArray(node)) return node.forEach((el) => walk(el, parts));
+    if (!parts.length) return values.set(encodeId(node), node);
+    if (typeof node === "object" && !node._bsontype)
+      walk(node[parts[0]], parts.slice(1));
+  };
+  for (const doc of docs) walk(doc, path.split("."));
+  return [...values.values()];
+}
+
+async function sampleRoot(coll, { percent, count, filter }, projection) {
+  const match = filter || {};
+  let size = count;
+  if (percent) {
+    const total = await coll.countDocuments(match);
+    size = total && Math.max(1, Math.round((total * percent) / 100));
+    if (percent === 100) size = null;
+  }
+  if (size === 0) return [];
+  if (size == null)
+    return coll.find(match, { ...FIND_OPTIONS, projection }).toArray();
+  return coll
+    .aggregate(
+      [{ $match: match }, { $sample: { size } }, { $project: projection }],
+      FIND_OPTIONS
+    )
+    .toArray();
+}
+
+// Resolve the subset on `db` to { collection: [encoded _id] }. onProgress
+// gets { collection: count } about once a second while documents are
+// selected.
+async function resolveSubset(
+  db,
+  { root, sample, references },
+  { batchSize = 1000, checkCancelled = () => {}, onProgress = () => {} } = {}
+) {
+  const names = subsetCollections({ root, references });
+  const fields = new Map([...names].map((n) => [n, new Set(["_id"])]));
+  for (const r of references) {
+    fields.get(r.child).add(r.field);
+    fields.get(r.parent).add(r.key);
+  }
+  const projections = new Map(
+    [...fields].map(([n, f]) => [n, projectionOf(f)])
+  );
+  // per collection, encoded _id -> whether documents referencing it are
+  // selected too (only for the root and what hangs below it)
+  const selected = new Map([...names].map((n) => [n, new Map()]));
+  const queue = [];
+  const select = (name, docs, down) => {
+    const fresh = [];
+    const seen = selected.get(name);
+    for (const doc of docs) {
+      const id = encodeId(doc._id);
+      if (seen.has(id) && (seen.get(id) || !down)) continue;
+      seen.set(id, down);
+      fresh.push(doc);
+    }
+    if (fresh.length) queue.push({ name, docs: fresh, down });
+  };
+  const fetchWhere = async (name, field, values, down) => {
+    for (let i = 0; i < values.length; i += batchSize) {
+      checkCancelled();
+      const docs = await db
+        .collection(name)
+        .find(
+          { [field]: { $in: values.slice(i, i + batchSize) } },
+          { ...FIND_OPTIONS, projection: projections.get(name) }
+        )
+        .toArray();
+      select(name, docs, down);
+    }
+  };
+  const counts = () =>
+    Object.fromEntries([...selected].map(([n, ids]) => [n, ids.size]));
+
+  select(
+    root,
+    await sampleRoot(db.collection(root), sample, projections.get(root)),
+    true
+  );
+  let lastReport = Date.now();
+  while (queue.length) {
+    checkCancelled();
+    const { name, docs, down } = queue.shift();
+    for (const r of references) {
+      if (r.child === name)
+        await fetchWhere(r.parent, r.key, valuesOf(docs, r.field), false);
+      if (down && r.parent === name)
+        await fetchWhere(r.child, r.field, valuesOf(docs, r.key), true);
+    }
+    if (Date.now() - lastReport >= PROGRESS_INTERVAL_MS) {
+      lastReport = Date.now();
+      onProgress(counts());
+    }
+  }
+  return Object.fromEntries(
+    [...selected].map(([n, ids]) => [n, [...ids.keys()]])
+  );
+}
+
+// Reader of the selected documents `ids` (as resolved above) of `coll`:
+// each call returns the next batch, or null when done. The position is kept
+// in collState.subsetIndex, so a checkpointed job carries on where it was.
+function subsetReader(coll, ids, collState, batchSize) {
+  return async () => {
+    const start = collState.subsetIndex || 0;
+    if (start >= ids.length) return null;
+    const chunk = ids.slice(start, start + batchSize).map(decodeId);
+    const docs = await coll
+      .find({ _id: { $in: chunk } }, FIND_OPTIONS)
+      .toArray();
+    collState.subsetIndex = start + chunk.length;
+    return docs;
+  };
+}
+
+module.exports = {
+  parseSubset,
+  subsetCollections,
+  describeSubset,
+  resolveSubset,
+  subsetReader,
+};
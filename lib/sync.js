@@ -0,0 +1,194 @@
+const { FIND_OPTIONS } = require("./ejson");
+
+// Live sync: after the initial copy of a transfer, changes made to the source
+// are replayed onto the target from a change stream until cut-over. The
+// stream resumes from a token taken before the copy started, so nothing
+// written during the copy is missed; replaying a change the copy already
+// picked up is harmless because every write is an idempotent upsert/delete.
+
+const MAX_BATCH = 500;
+const PROGRESS_INTERVAL_MS = 1000;
+
+// only the synced collections' document changes, plus the events that end
+// a sync (the collection or database going away)
+function syncPipeline(collectionNames) {
+  return [
+    {
+      $match: {
+        $or: [
+          { "ns.coll": { $in: collectionNames } },
+          { operationType: { $in: ["dropDatabase", "invalidate"] } },
+        ],
+      },
+    },
+  ];
+}
+
+function changeStreamError(e) {
+  // standalone servers have no oplog to stream from
+  if (e && (e.code === 40573 || /replica set/i.test(e.message)))
+    return new Error(
+      "Live sync needs a replica set or sharded cluster as the source"
+    );
+  return e;
+}
+
+// Resume token for "now" on `db`, taken before the copy starts
+async function captureResumeToken(db, pipeline) {
+  const stream = db.watch(pipeline, { maxAwaitTimeMS: 1 });
+  try {
+    // an empty first batch still carries a token; a change returned here
+    // happened before the copy, which will see its effect
+    await stream.tryNext();
+    if (!stream.resumeToken)
+      throw new Error("The source did not return a change stream resume token");
+    return stream.resumeToken;
+  } catch (e) {
+    throw changeStreamError(e);
+  } finally {
+    await stream.close();
+  }
+}
+
+// how long ago the change happened on the source, in ms
+function changeLagMs(change, now = Date.now()) {
+  const at = change.wallTime
+    ? new Date(change.wallTime).getTime()
+    : change.clusterTime
+    ? change.clusterTime.getHighBits() * 1000
+    : now;
+  return Math.max(0, now - at);
+}
+
+// bulkWrite operation replaying `change`, or null when there is nothing to
+// do (an update whose document has since been deleted: its delete follows).
+// With masking, documents and the _ids they are found by are masked as the
+// copy masked them; with a mapper, fields are renamed as the copy renamed
+// them.
+function changeToWrite(change, mask, mapper) {
+  const name = change.ns && change.ns.coll;
+  const idOf = (id) => (mask ? mask(name, { _id: id })._id : id);
+  const rename = mapper && name ? mapper.rename(name) : null;
+  switch (change.operationType) {
+    case "insert":
+    case "update":
+    case "replace": {
+      if (!change.fullDocument) return null;
+      let doc = change.fullDocument;
+      if (mask) doc = mask(name, doc);
+      if (rename) doc = rename(doc);
+      return {
+        replaceOne: {
+          filter: { _id: idOf(change.documentKey._id) },
+          replacement: doc,
+          upsert: true,
+        },
+      };
+    }
+    case "delete":
+      return {
+        deleteOne: {
+          filter: mask
+            ? { _id: idOf(change.documentKey._id) }
+            : change.documentKey,
+        },
+      };
+    default: {
+      const ns = change.ns ? [change.ns.db, change.ns.coll].join(".") : "";
+      throw new Error(
+        `Live sync stopped: ${change.operationType} ${ns}`.trim() +
+          " on the source"
+      );
+    }
+  }
+}
+
+// Apply a batch of changes, in order per collection; returns counts
+async function applyChanges(targetDb, changes, mask, mapper) {
+  const stats = { inserted: 0, updated: 0, deleted: 0, skipped: 0 };
+  const byColl = new Map();
+  for (const change of changes) {
+    const write = changeToWrite(change, mask, mapper);
+    if (!write) {
+      stats.skipped++;
+      continue;
+    }
+    const name = change.ns.coll;
+    if (!byColl.has(name)) byColl.set(name, []);
+    byColl.get(name).push(write);
+    if (change.operationType === "insert") stats.inserted++;
+    else if (change.operationType === "delete") stats.deleted++;
+    else stats.updated++;
+  }
+  for (const [name, ops] of byColl)
+    await targetDb
+      .collection(mapper ? mapper.target(name) : name)
+      .bulkWrite(ops, { ordered: true });
+  return stats;
+}
+
+// Tail `sourceDb` from `resumeToken` and replay onto `targetDb` until
+// shouldCutOver() is true and the stream has caught up, masking documents
+// with `mask(collection, doc)` and writing them where `mapper` (see
+// lib/mapping) says if given. onProgress gets
+// { applied, lagMs, caughtUp } about once a second; onToken(token) is called
+// after each applied batch so the caller can checkpoint it.
+async function followChanges({
+  sourceDb,
+  targetDb,
+  pipeline,
+  resumeToken,
+  mask = null,
+  mapper = null,
+  checkCancelled,
+  shouldCutOver,
+  onProgress,
+  onToken,
+}) {
+  const applied = { inserted: 0, updated: 0, deleted: 0, skipped: 0 };
+  const stream = sourceDb.watch(pipeline, {
+    ...FIND_OPTIONS,
+    resumeAfter: resumeToken,
+    fullDocument: "updateLookup",
+    maxAwaitTimeMS: 1000,
+  });
+  let lastReport = 0;
+  let wasCaughtUp = null;
+  let lagMs = 0;
+  try {
+    for (;;) {
+      checkCancelled();
+      const batch = [];
+      let change;
+      while (batch.length < MAX_BATCH && (change = await stream.tryNext()))
+        batch.push(change);
+      const caughtUp = batch.length < MAX_BATCH;
+      if (batch.length) {
+        const stats = await applyChanges(targetDb, batch, mask, mapper);
+        for (const k of Object.keys(applied)) applied[k] += stats[k];
+        lagMs = changeLagMs(batch[batch.length - 1]);
+        await onToken(stream.resumeToken);
+      } else lagMs = 0;
+      if (
+        Date.now() - lastReport >= PROGRESS_INTERVAL_MS ||
+        caughtUp !== wasCaughtUp
+      ) {
+        lastReport = Date.now();
+        wasCaughtUp = caughtUp;
+        onProgress({ applied: { ...applied }, lagMs, caughtUp });
+      }
+      if (caughtUp && shouldCutOver()) break;
+    }
+  } catch (e) {
+    throw changeStreamError(e);
+  } finally {
+    await stream.close();
+  }
+  return { applied, resumeToken: stream.resumeToken };
+}
+
+module.exports = {
+  syncPipeline,
+  captureResumeToken,
+  followChanges,
+};
@@ -0,0 +1,135 @@
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs-extra");
+const { EJSON, FIND_OPTIONS } = require("./ejson");
+
+// Database users and custom roles, taken by a backup and merged back by a
+// restore when the request asks for them (usersAndRoles). The server keeps
+// them in admin's system.users and system.roles, tagged with the database
+// they belong to. As mongodump --dumpDbUsersAndRoles does, a backup copies
+// those documents, password hashes included so restored users keep their
+// passwords, into system.users.json and system.roles.json next to the
+// collections; as mongorestore does, a restore merges them with
+// _mergeAuthzCollections. Reading them takes the backup role, merging the
+// restore role. Users and roles of the target database that the backup does
+// not name are left alone.
+
+const USERS_FILE = "system.users.json";
+const ROLES_FILE = "system.roles.json";
+
+// { users, roles } of database `dbName`
+async function readUsersAndRoles(client, dbName) {
+  const admin = client.db("admin");
+  try {
+    const [users, roles] = await Promise.all(
+      ["system.users", "system.roles"].map((name) =>
+        admin.collection(name).find({ db: dbName }, FIND_OPTIONS).toArray()
+      )
+    );
+    return { users, roles };
+  } catch (e) {
+    throw new Error(
+      `Cannot read the users and roles of ${dbName}: ${e.message}`
+    );
+  }
+}
+
+// [file name, content] of the files a backup keeps { users, roles } in
+function usersAndRolesFiles({ users, roles }) {
+  return [
+    [USERS_FILE, users],
+    [ROLES_FILE, roles],
+  ].map(([file, docs]) => [
+    file,
+    EJSON.stringify(docs, null, 2, { relaxed: false }),
+  ]);
+}
+
+// { users, roles } kept in `dir`, or null when it has none
+async function readUsersAndRolesFiles(dir) {
+  const [users, roles] = await Promise.all(
+    [USERS_FILE, ROLES_FILE].map(async (file) => {
+      const p = path.join(dir, file);
+      return (await fs.pathExists(p))
+        ? EJSON.parse(await fs.readFile(p, "utf8"), { relaxed: false })
+        : null;
+    })
+  );
+  return users || roles ? { users: users || [], roles: roles || [] } : null;
+}
+
+// Users and roles of database `from` as those of database `to`: grants on
+// `from` become grants on `to`. A moved user is a new one, so it gets a new
+// userId from the server.
+function moveUsersAndRoles({ users, roles }, from, to) {
+  if (from === to) return { users, roles };
+  const onDb = (db) => (db === from ? to : db);
+  const grants = (list) => (list || []).map((r) => ({ ...r, db: onDb(r.db) }));
+  return {
+    users: users.map(({ userId, ...user }) => ({
+      ...user,
+      _id: `${to}.${user.user}`,
+      db: to,
+      roles: grants(user.roles),
+    })),
+    roles: roles.map((role) => ({
+      ...role,
+      _id: `${to}.${role.role}`,
+      db: to,
+      roles: grants(role.roles),
+      privileges: (role.privileges || []).map((p) =>
+        p.resource && p.resource.db === from
+          ? { ...p, resource: { ...p.resource, db: to } }
+          : p
+      ),
+    })),
+  };
+}
+
+// Merge the users and roles of database `from` (as read by
+// readUsersAndRoles) into database `to`, replacing those of the same name.
+// The server merges them from two temporary collections in admin, which
+// are dropped afterwards.
+async function restoreUsersAndRoles(client, usersAndRoles, from, to) {
+  const { users, roles } = moveUsersAndRoles(usersAndRoles, from, to);
+  const admin = client.db("admin");
+  const suffix = crypto.randomBytes(6).toString("hex");
+  const tempUsers = `tempusers_${suffix}`;
+  const tempRoles = `temproles_${suffix}`;
+  try {
+    for (const [name, docs] of [
+      [tempUsers, users],
+      [tempRoles, roles],
+    ]) {
+      await admin.createCollection(name);
+      if (docs.length) await admin.collection(name).insertMany(docs);
+    }
+    await admin.command({
+      _mergeAuthzCollections: 1,
+      tempUsersCollection: `admin.${tempUsers}`,
+      tempRolesCollection: `admin.${tempRoles}`,
+      db: to,
+      drop: false,
+    });
+  } catch (e) {
+    throw new Error(
+      `Cannot restore the users and roles of ${to}: ${e.message}`
+    );
+  } finally {
+    for (const name of [tempUsers, tempRoles])
+      await admin
+        .collection(name)
+        .drop()
+        .catch(() => {});
+  }
+  return { users: users.length, roles: roles.length };
+}
+
+module.exports = {
+  USERS_FILE,
+  ROLES_FILE,
+  readUsersAndRoles,
+  usersAndRolesFiles,
+  readUsersAndRolesFiles,
+  restoreUsersAndRoles,
+};
@@ -3,6 +3,33 @@
   const socket = io();
   let socketId = null;
 
+  // the signed-in user, as rendered by the server
+  const me = {
+    name: document.body.dataset.user,
+    role: document.body.dataset.role,
+  };
+  // mirrors the server: admins manage everything, operators what they own
+  function canManage(owner) {
+    return (
+      me.role === "admin" ||
+      (me.role === "operator" && owner != null && owner === me.name)
+    );
+  }
+
+  // an ended session (logout elsewhere, removed user) goes back to sign-in
+  socket.on("connect_error", (err) => {
+    if (err && err.message === "Not signed in") window.location.href = "/login";
+  });
+
+  const logout = document.getElementById("logout");
+  if (logout) {
+    logout.addEventListener("click", () => {
+      fetch("/api/logout", { method: "POST" }).finally(
+        () => (window.location.href = "/login")
+      );
+    });
+  }
+
   socket.on("welcome", (d) => {
     socketId = d.socketId;
     appendLog("backupLog", "Connected socketId=" + socketId);
@@ -23,26 +50,387 @@
     el.scrollTop = el.scrollHeight;
   }
 
+  function appendLink(id, text, href) {
+    const el = document.getElementById(id);
+    if (!el) return;
+    const a = document.createElement("a");
+    a.href = href;
+    a.textContent = text;
+    el.append(new Date().toLocaleTimeString() + " - ", a);
+    el.appendChild(document.createElement("br"));
+    el.scrollTop = el.scrollHeight;
+  }
+
+  function markCollectionError(containerPrefix, collection) {
+    const item = document.querySelector(
+      `#${containerPrefix} [data-coll="${collection}"]`
+    );
+    if (item) {
+      item.classList.remove("state-running", "state-done");
+      item.classList.add("state-error");
+    }
+  }
+
+  // verify events are shared by transfer, upload and restore
+  function bindVerifyEvents(prefix, logId, containerPrefix) {
+    socket.on(prefix + "-verify-start", (d) =>
+      appendLog(logId, Object.assign({ event: "verify-start" }, d))
+    );
+    socket.on(prefix + "-verify-collection", (d) => {
+      appendLog(logId, Object.assign({ event: "verify" }, d));
+      if (!d.ok) markCollectionError(containerPrefix, d.collection);
+    });
+    socket.on(prefix + "-verify-done", (d) =>
+      appendLog(
+        logId,
+        d.skipped
+          ? d.skipped
+          : d.ok
+          ? "Verify OK: all collections match"
+          : "Verify FAILED for: " + d.mismatched.join(", ")
+      )
+    );
+  }
+
   function setFormsDisabled(disabled) {
-    ["backupForm", "transferForm", "uploadForm"].forEach((id) => {
+    [
+      "backupForm",
+      "transferForm",
+      "uploadForm",
+      "restoreForm",
+      "compareForm",
+    ].forEach((id) => {
       const f = document.getElementById(id);
       if (!f) return;
-      Array.from(f.querySelectorAll("input,button,select")).forEach(
+      Array.from(f.querySelectorAll("input,button,select,textarea")).forEach(
         (el) => (el.disabled = disabled)
       );
     });
   }
 
+  // "Load collections" fills the picker with a checkbox per source collection
+  function bindCollectionPicker(form, pickerId, uriField, dbField, logId) {
+    const btn = form.querySelector("[data-load-collections]");
+    const picker = document.getElementById(pickerId);
+    if (!btn || !picker) return;
+    btn.addEventListener("click", () => {
+      const uri = String(form[uriField].value || "").trim();
+      const dbName = String(form[dbField].value || "").trim();
+      if (!uri || !dbName) {
+        appendLog(logId, "Fill the URI and database name first.");
+        return;
+      }
+      btn.disabled = true;
+      fetch("/api/collections", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ uri, dbName }),
+      })
+        .then(async (r) => {
+          const j = await r.json().catch(() => null);
+          if (!r.ok) {
+            appendLog(logId, j && j.error ? j.error : "HTTP " + r.status);
+            return;
+          }
+          picker.innerHTML = "";
+          j.collections.forEach((c) => {
+            const label = document.createElement("label");
+            label.className = "pick";
+            const cb = document.createElement("input");
+            cb.type = "checkbox";
+            cb.name = "pick";
+            cb.value = c.name;
+            cb.checked = true;
+            label.appendChild(cb);
+            label.appendChild(document.createTextNode(" " + c.name + " "));
+            const meta = document.createElement("span");
+            meta.className = "small";
+            meta.textContent =
+              c.type !== "collection"
+                ? c.type
+                : c.count != null
+                ? c.count + " docs"
+                : "";
+            label.appendChild(meta);
+            picker.appendChild(label);
+          });
+          appendLog(logId, "Loaded " + j.collections.length + " collections");
+        })
+        .catch((err) => appendLog(logId, err.message || err))
+        .finally(() => (btn.disabled = false));
+    });
+  }
+
+  // include = typed names/globs plus ticked collections (if the picker was
+  // loaded); returns null when the picker is loaded but nothing is ticked
+  function readSelection(form, fd) {
+    const include = String(fd.get("include") || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const boxes = form.querySelectorAll('input[name="pick"]');
+    if (boxes.length) {
+      const picked = fd.getAll("pick");
+      if (!picked.length && !include.length) return null;
+      include.push(...picked);
+    }
+    return {
+      include,
+      exclude: String(fd.get("exclude") || "").trim(),
+      filters: String(fd.get("filters") || "").trim(),
+    };
+  }
+
+  // subset fields of a backup or transfer form, or undefined without a root;
+  // the sample size is "<n>%" or a count
+  function readSubset(fd) {
+    const root = String(fd.get("subsetRoot") || "").trim();
+    if (!root) return undefined;
+    const size = String(fd.get("subsetSize") || "").trim();
+    const sample = {};
+    if (size.endsWith("%")) sample.percent = size.slice(0, -1).trim();
+    else if (size) sample.count = size;
+    const filter = String(fd.get("subsetFilter") || "").trim();
+    if (filter) sample.filter = filter;
+    return {
+      root,
+      sample,
+      references: String(fd.get("subsetReferences") || ""),
+    };
+  }
+
+  // concurrency and rate limits of a backup or transfer form
+  function readSpeed(fd) {
+    const text = (name) => String(fd.get(name) || "").trim();
+    return {
+      parallelCollections: text("parallelCollections"),
+      partitions: text("partitions"),
+      maxDocsPerSec: text("maxDocsPerSec"),
+      maxMBPerSec: text("maxMBPerSec"),
+    };
+  }
+
+  // several databases of a backup or transfer form instead of one; null
+  // when none are named
+  function readDatabases(fd) {
+    const text = (name) => String(fd.get(name) || "").trim();
+    if (!text("databases")) return null;
+    return {
+      databases: text("databases"),
+      excludeDatabases: text("excludeDatabases"),
+      systemDatabases: fd.get("systemDatabases") === "on",
+      databaseMap: text("databaseMap") || undefined,
+    };
+  }
+
+  // target collection names and field renames of a transfer form
+  function readMapping(fd) {
+    const text = (name) => String(fd.get(name) || "").trim();
+    return {
+      collectionMap: text("collectionMap"),
+      collectionPrefix: text("collectionPrefix"),
+      collectionSuffix: text("collectionSuffix"),
+      fieldRenames: text("fieldRenames"),
+    };
+  }
+
+  // drop-and-replace wipes the target collections; make the user type the
+  // target database name (or the databases asked for) before going ahead
+  function confirmWriteMode(fd, dbName) {
+    if (fd.get("writeMode") !== "replace") return true;
+    const typed = window.prompt(
+      "Drop and replace will DELETE existing data in the target collections.\n" +
+        'Type "' +
+        dbName +
+        '" to confirm:'
+    );
+    return typed != null && typed.trim() === dbName;
+  }
+
+  // Interrupted jobs leave a server-side checkpoint; its id is remembered per
+  // form (also across page reloads) and the "Resume" button re-submits the
+  // form with it so the server continues instead of starting over.
+  function checkpointKey(op) {
+    return "mmt-checkpoint-" + op;
+  }
+
+  function setResumable(op, checkpointId) {
+    const form = document.getElementById(op + "Form");
+    const btn = form && form.querySelector("[data-resume]");
+    if (checkpointId) localStorage.setItem(checkpointKey(op), checkpointId);
+    else localStorage.removeItem(checkpointKey(op));
+    if (btn) btn.hidden = !checkpointId;
+  }
+
+  function bindResume(form, op) {
+    const btn = form.querySelector("[data-resume]");
+    if (!btn) return;
+    btn.hidden = !localStorage.getItem(checkpointKey(op));
+    btn.addEventListener("click", () => {
+      form.dataset.resumeId = localStorage.getItem(checkpointKey(op)) || "";
+      // dispatch directly: requestSubmit() would trip `required` on inputs
+      // the resumed job does not need (e.g. the upload file)
+      form.dispatchEvent(new Event("submit", { cancelable: true }));
+    });
+  }
+
+  function takeResumeId(form) {
+    const id = form.dataset.resumeId || "";
+    delete form.dataset.resumeId;
+    return id;
+  }
+
+  // Jobs run on the server; the page subscribes to a job id to get its
+  // events, so it can also pick running jobs up again after a reload
+  const jobs = new Map();
+
+  function followJob(jobId) {
+    socket.emit("subscribe", { jobId });
+  }
+
+  function renderJobs() {
+    const container = document.getElementById("jobList");
+    if (!container) return;
+    const list = Array.from(jobs.values()).sort((a, b) =>
+      b.createdAt.localeCompare(a.createdAt)
+    );
+    if (!list.length) {
+      container.innerHTML = '<p class="small">No jobs yet.</p>';
+      return;
+    }
+    const ul = document.createElement("ul");
+    list.slice(0, 50).forEach((job) => {
+      const li = document.createElement("li");
+      li.className = "job job-" + job.status;
+      const pct =
+        job.progress && job.progress.lagMs != null
+          ? " · syncing, lag " + formatLag(job.progress.lagMs)
+          : job.progress && job.progress.percent != null
+          ? " " + job.progress.percent + "% of " + job.progress.collection
+          : "";
+      const head = document.createElement("div");
+      head.innerHTML = "<strong></strong> <span class='small'></span>";
+      head.querySelector("strong").textContent = job.type + " " + job.status;
+      head.querySelector("span").textContent =
+        new Date(job.createdAt).toLocaleString() +
+        (job.owner ? " · " + job.owner : "") +
+        (job.status === "running" ? pct : "");
+      li.appendChild(head);
+      if (job.error) {
+        const err = document.createElement("div");
+        err.className = "small";
+        err.textContent = job.error;
+        li.appendChild(err);
+      }
+      if (
+        job.status === "running" &&
+        canManage(job.owner) &&
+        job.params &&
+        job.params.sync &&
+        job.progress &&
+        job.progress.lagMs != null &&
+        !(job.requests || []).includes("cutover")
+      ) {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.textContent = "Cut over";
+        btn.addEventListener("click", () => cutOver(job.id));
+        li.appendChild(btn);
+      }
+      if (job.status === "running" && canManage(job.owner)) {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "secondary";
+        btn.textContent = "Cancel";
+        btn.addEventListener("click", () => cancelJob(job.id));
+        li.appendChild(btn);
+      }
+      ul.appendChild(li);
+    });
+    container.innerHTML = "";
+    container.appendChild(ul);
+  }
+
+  function loadJobs() {
+    fetch("/api/jobs")
+      .then((r) => r.json())
+      .then((j) => {
+        jobs.clear();
+        (j.jobs || []).forEach((job) => {
+          jobs.set(job.id, job);
+          // only the user's own jobs drive the forms and logs
+          if (job.status === "running" && job.owner === me.name)
+            followJob(job.id);
+        });
+        renderJobs();
+      })
+      .catch(() => {});
+  }
+
+  function formatLag(ms) {
+    return ms < 1000 ? "< 1 s" : (ms / 1000).toFixed(1) + " s";
+  }
+
+  // finish a live sync once the target has caught up with the source
+  function cutOver(jobId) {
+    if (
+      !confirm(
+        "Cut over? Stop writes to the source first; the sync finishes once " +
+          "the target has caught up."
+      )
+    )
+      return;
+    fetch("/api/jobs/" + encodeURIComponent(jobId) + "/cutover", {
+      method: "POST",
+    })
+      .then(async (r) => {
+        const j = await r.json().catch(() => null);
+        if (!r.ok) alert(j && j.error ? j.error : "HTTP " + r.status);
+      })
+      .catch((err) => alert(err.message || err));
+  }
+
+  function cancelJob(jobId) {
+    fetch("/api/jobs/" + encodeURIComponent(jobId), { method: "DELETE" })
+      .then(async (r) => {
+        const j = await r.json().catch(() => null);
+        if (!r.ok) alert(j && j.error ? j.error : "HTTP " + r.status);
+      })
+      .catch((err) => alert(err.message || err));
+  }
+
+  socket.on("job-update", (job) => {
+    jobs.set(job.id, job);
+    renderJobs();
+  });
+  socket.onAny((event, d) => {
+    const job = d && d.jobId && jobs.get(d.jobId);
+    if (job && /-progress$/.test(event)) {
+      job.progress = d;
+      renderJobs();
+    }
+  });
+
+  const refreshJobs = document.getElementById("refreshJobs");
+  if (refreshJobs) refreshJobs.addEventListener("click", loadJobs);
+  loadJobs();
+
+  // collections of a job are listed as queued; several of them may be
+  // running at once
   function renderCollectionList(containerId, collections) {
     const container = document.getElementById(containerId);
     if (!container) return;
     container.innerHTML = "<h4>Collections</h4>";
     const ul = document.createElement("ul");
-    collections.forEach((name) => {
-      const li = document.createElement("li");
-      li.setAttribute("data-coll", name);
-      li.classList.add("state-running");
-      li.innerHTML = `
+    collections.forEach((name) => ul.appendChild(collectionItem(name)));
+    container.appendChild(ul);
+  }
+
+  function collectionItem(name) {
+    const li = document.createElement("li");
+    li.setAttribute("data-coll", name);
+    li.classList.add("state-queued");
+    li.innerHTML = `
         <div class="status">
           <svg viewBox="0 0 24 24" width="18" height="18"><circle cx="12" cy="12" r="10" stroke="#888" stroke-width="1.5" fill="none"></circle></svg>
         </div>
@@ -52,9 +440,21 @@
           <div class="progress-track"><div class="bar" style="width:0%"></div></div>
         </div>
       `;
-      ul.appendChild(li);
-    });
-    container.appendChild(ul);
+    return li;
+  }
+
+  // a collection's work has begun; one missing from the list is added
+  function markCollectionStarted(containerId, collection) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    let item = container.querySelector(`[data-coll="${collection}"]`);
+    if (!item) {
+      if (!container.querySelector("ul")) renderCollectionList(containerId, []);
+      item = collectionItem(collection);
+      container.querySelector("ul").appendChild(item);
+    }
+    item.classList.remove("state-queued", "state-error");
+    item.classList.add("state-running");
   }
 
   // helper to safely update a collection item
@@ -68,7 +468,7 @@
     const sel = `#${containerPrefix} [data-coll="${collection}"]`;
     const item = document.querySelector(sel);
     if (!item) return;
-    item.classList.remove("state-error");
+    item.classList.remove("state-queued", "state-error");
     item.classList.add("state-running");
     if (percent != null) {
       const bar = item.querySelector(".bar");
@@ -87,15 +487,364 @@
     if (m) m.textContent = meta.join(" | ");
   }
 
+  // connection profiles
+  function renderProfiles(list) {
+    const names = document.getElementById("profileNames");
+    if (names) {
+      names.innerHTML = "";
+      list.forEach((p) => {
+        const opt = document.createElement("option");
+        opt.value = p.name;
+        opt.label = p.description || p.uri || p.name;
+        names.appendChild(opt);
+      });
+    }
+    const container = document.getElementById("profileList");
+    if (!container) return;
+    container.innerHTML = "";
+    if (!list.length) {
+      container.innerHTML = '<p class="small">No profiles yet.</p>';
+      return;
+    }
+    const ul = document.createElement("ul");
+    list.forEach((p) => {
+      const li = document.createElement("li");
+      li.className = "job";
+      const head = document.createElement("div");
+      head.innerHTML = "<strong></strong> <span class='small'></span>";
+      head.querySelector("strong").textContent = p.name;
+      head.querySelector("span").textContent =
+        (p.uri || "cannot decrypt") +
+        (p.description ? " · " + p.description : "");
+      li.appendChild(head);
+      const actions = [];
+      if (me.role !== "viewer")
+        actions.push(["Test", () => testConnection(p.name)]);
+      if (me.role === "admin")
+        actions.push([
+          "Delete",
+          () => {
+            if (confirm('Delete connection profile "' + p.name + '"?'))
+              profileAction(p.name, "DELETE");
+          },
+        ]);
+      actions.forEach(([label, fn]) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "secondary";
+        btn.textContent = label;
+        btn.addEventListener("click", fn);
+        li.appendChild(btn);
+      });
+      ul.appendChild(li);
+    });
+    container.appendChild(ul);
+  }
+
+  function loadProfiles() {
+    fetch("/api/profiles")
+      .then((r) => r.json())
+      .then((j) => renderProfiles(j.profiles || []))
+      .catch(() => {});
+  }
+
+  function profileAction(name, method) {
+    fetch("/api/profiles/" + encodeURIComponent(name), { method })
+      .then(async (r) => {
+        const j = await r.json().catch(() => null);
+        if (!r.ok)
+          appendLog("profileLog", j && j.error ? j.error : "HTTP " + r.status);
+        loadProfiles();
+      })
+      .catch((err) => appendLog("profileLog", err.message || err));
+  }
+
+  function testConnection(uri) {
+    appendLog("profileLog", "Testing connection...");
+    fetch("/api/test-connection", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ uri }),
+    })
+      .then(async (r) => {
+        const j = await r.json().catch(() => null);
+        if (!r.ok) {
+          appendLog("profileLog", j && j.error ? j.error : "HTTP " + r.status);
+          return;
+        }
+        appendLog(
+          "profileLog",
+          "Connected: MongoDB " +
+            j.version +
+            " in " +
+            j.latencyMs +
+            " ms · databases: " +
+            (j.databases
+              ? j.databases.join(", ") || "none"
+              : "not listable (" + j.databasesError + ")")
+        );
+      })
+      .catch((err) => appendLog("profileLog", err.message || err));
+  }
+
+  const profileForm = document.getElementById("profileForm");
+  if (profileForm) {
+    profileForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const fd = new FormData(profileForm);
+      fetch("/api/profiles", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(Object.fromEntries(fd.entries())),
+      })
+        .then(async (r) => {
+          const j = await r.json().catch(() => null);
+          if (!r.ok) {
+            appendLog(
+              "profileLog",
+              j && j.error ? j.error : "HTTP " + r.status
+            );
+            return;
+          }
+          appendLog("profileLog", "Profile saved: " + j.profile.name);
+          profileForm.reset();
+          loadProfiles();
+        })
+        .catch((err) => appendLog("profileLog", err.message || err));
+    });
+  }
+
+  const testConnectionForm = document.getElementById("testConnectionForm");
+  if (testConnectionForm) {
+    testConnectionForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      testConnection(String(testConnectionForm.uri.value || "").trim());
+    });
+  }
+  loadProfiles();
+
+  // storage targets for the backup and schedule forms
+  function loadTargets() {
+    const selects = document.querySelectorAll("select[data-targets]");
+    if (!selects.length) return;
+    fetch("/api/targets")
+      .then((r) => r.json())
+      .then((j) =>
+        selects.forEach((select) => {
+          select.innerHTML = "";
+          (j.targets || []).forEach((t) => {
+            const opt = document.createElement("option");
+            opt.value = t.id;
+            opt.textContent = t.label;
+            select.appendChild(opt);
+          });
+        })
+      )
+      .catch(() => {});
+  }
+  loadTargets();
+
+  // masking rule sets: listed for everyone, offered in the job forms
+  function renderMasking(list) {
+    document.querySelectorAll("select[data-masking]").forEach((select) => {
+      const current = select.value;
+      select.innerHTML = '<option value="">No masking</option>';
+      list.forEach((r) => {
+        const opt = document.createElement("option");
+        opt.value = r.name;
+        opt.textContent = r.name + (r.description ? " – " + r.description : "");
+        select.appendChild(opt);
+      });
+      select.value = list.some((r) => r.name === current) ? current : "";
+    });
+    const container = document.getElementById("maskingList");
+    if (!container) return;
+    container.innerHTML = "";
+    if (!list.length) {
+      container.innerHTML = '<p class="small">No rule sets yet.</p>';
+      return;
+    }
+    const ul = document.createElement("ul");
+    list.forEach((r) => {
+      const li = document.createElement("li");
+      li.className = "job";
+      const head = document.createElement("div");
+      head.innerHTML = "<strong></strong> <span class='small'></span>";
+      head.querySelector("strong").textContent = r.name;
+      const rules = Object.entries(r.collections).map(
+        ([coll, list]) =>
+          coll +
+          ": " +
+          list.map((rule) => rule.field + " " + rule.action).join(", ")
+      );
+      head.querySelector("span").textContent =
+        rules.join(" · ") + (r.description ? " · " + r.description : "");
+      head.title = JSON.stringify(r.collections, null, 2);
+      li.appendChild(head);
+      if (me.role !== "viewer") {
+        [
+          ["Edit", () => editMasking(r)],
+          [
+            "Delete",
+            () => {
+              if (confirm('Delete masking rule set "' + r.name + '"?'))
+                maskingRequest("DELETE", r.name).then(loadMasking);
+            },
+          ],
+        ].forEach(([label, fn]) => {
+          const btn = document.createElement("button");
+          btn.type = "button";
+          btn.className = "secondary";
+          btn.textContent = label;
+          btn.addEventListener("click", fn);
+          li.appendChild(btn);
+        });
+      }
+      ul.appendChild(li);
+    });
+    container.appendChild(ul);
+  }
+
+  function loadMasking() {
+    fetch("/api/masking")
+      .then((r) => r.json())
+      .then((j) => renderMasking(j.ruleSets || []))
+      .catch(() => {});
+  }
+
+  // resolves to the response JSON, or null after logging the error
+  function maskingRequest(method, name, body) {
+    return fetch(
+      "/api/masking" + (name ? "/" + encodeURIComponent(name) : ""),
+      {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined,
+      }
+    )
+      .then(async (r) => {
+        const j = await r.json().catch(() => null);
+        if (!r.ok) {
+          appendLog("maskingLog", j && j.error ? j.error : "HTTP " + r.status);
+          return null;
+        }
+        return j;
+      })
+      .catch((err) => {
+        appendLog("maskingLog", err.message || err);
+        return null;
+      });
+  }
+
+  const maskingForm = document.getElementById("maskingForm");
+  const cancelMaskingEdit = maskingForm
+    ? maskingForm.querySelector("[data-cancel-edit]")
+    : null;
+  // the form edits an existing rule set while dataset.editing is set
+  function editMasking(r) {
+    if (!maskingForm) return;
+    maskingForm.dataset.editing = r.name;
+    maskingForm.elements.name.value = r.name;
+    maskingForm.elements.name.readOnly = true;
+    maskingForm.elements.description.value = r.description || "";
+    maskingForm.elements.collections.value = JSON.stringify(
+      r.collections,
+      null,
+      2
+    );
+    maskingForm.elements.salt.value = "";
+    cancelMaskingEdit.hidden = false;
+  }
+  function resetMaskingForm() {
+    delete maskingForm.dataset.editing;
+    maskingForm.reset();
+    maskingForm.elements.name.readOnly = false;
+    cancelMaskingEdit.hidden = true;
+  }
+  if (maskingForm) {
+    cancelMaskingEdit.addEventListener("click", resetMaskingForm);
+    maskingForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const fd = new FormData(maskingForm);
+      const editing = maskingForm.dataset.editing;
+      const body = {
+        name: String(fd.get("name") || "").trim(),
+        description: String(fd.get("description") || ""),
+        collections: String(fd.get("collections") || ""),
+        salt: String(fd.get("salt") || "").trim() || undefined,
+      };
+      maskingRequest(editing ? "PUT" : "POST", editing, body).then((j) => {
+        if (!j) return;
+        appendLog("maskingLog", "Rule set saved: " + j.ruleSet.name);
+        resetMaskingForm();
+        loadMasking();
+      });
+    });
+  }
+  loadMasking();
+
+  // A streamed backup (or an export) is a plain form POST into a hidden
+  // frame, so the browser saves the file as it arrives instead of holding
+  // it in memory. Progress comes over the socket like any other job; the
+  // frame only ever loads a page when the server answers with an error
+  // instead of a file.
+  const streamFrame = document.getElementById("streamFrame");
+  let frameLog = "backupLog";
+  if (streamFrame) {
+    streamFrame.addEventListener("load", () => {
+      let text = "";
+      try {
+        text = streamFrame.contentDocument.body.textContent;
+      } catch (e) {}
+      if (!text) return;
+      let error = text;
+      try {
+        error = JSON.parse(text).error || text;
+      } catch (e) {}
+      appendLog(frameLog, error);
+      if (frameLog === "backupLog") setFormsDisabled(false);
+    });
+  }
+  function postToFrame(action, body, logId) {
+    frameLog = logId;
+    const form = document.createElement("form");
+    form.method = "POST";
+    form.action = action;
+    form.target = "streamFrame";
+    form.hidden = true;
+    Object.entries(body).forEach(([name, value]) => {
+      if (value === undefined) return;
+      [].concat(value).forEach((v) => {
+        const input = document.createElement("input");
+        input.type = "hidden";
+        input.name = name;
+        input.value = v;
+        form.appendChild(input);
+      });
+    });
+    document.body.appendChild(form);
+    form.submit();
+    form.remove();
+  }
+
   // bind forms
   const backupForm = document.getElementById("backupForm");
   if (backupForm) {
+    bindCollectionPicker(
+      backupForm,
+      "backupPicker",
+      "uri",
+      "dbName",
+      "backupLog"
+    );
+    bindResume(backupForm, "backup");
     backupForm.addEventListener("submit", (e) => {
       e.preventDefault();
 
       const form = backupForm;
 
       const fd = new FormData(form);
+      const resumeId = takeResumeId(form);
 
       setFormsDisabled(true);
 
@@ -105,26 +854,71 @@
 
       const uriVal = String(fd.get("uri") || "").trim();
       const dbNameVal = String(fd.get("dbName") || "").trim();
+      const databases = readDatabases(fd);
       const batch = Number(fd.get("batchSize") || 1000);
 
       console.log(fd, uriVal, dbNameVal, batch);
 
-      if (!uriVal || !dbNameVal) {
+      if (!uriVal || !(dbNameVal || databases)) {
         appendLog(
           "backupLog",
-          "Missing Mongo URI or Database name. Please fill both fields."
+          "Missing Mongo URI or Database name (or databases). Please fill both fields."
         );
         setFormsDisabled(false);
         return;
       }
 
-      const body = {
-        uri: uriVal,
-        dbName: dbNameVal,
-        socketId,
-        batchSize: batch,
-      };
-      appendLog("backupLog", "Starting backup...");
+      // a subset picks its own collections, and several databases are taken
+      // whole unless include/exclude say otherwise
+      const subset = readSubset(fd);
+      const selection =
+        readSelection(form, fd) || (subset && {}) || (databases && {});
+      if (!selection) {
+        appendLog("backupLog", "Select at least one collection.");
+        setFormsDisabled(false);
+        return;
+      }
+
+      const body = Object.assign(
+        {
+          uri: uriVal,
+          dbName: dbNameVal || undefined,
+          socketId,
+          batchSize: batch,
+          resumeId,
+          compression: fd.get("compression") || "none",
+          passphrase: String(fd.get("passphrase") || "") || undefined,
+          target: fd.get("target") || undefined,
+          tracking: fd.get("tracking") || "none",
+          trackField: String(fd.get("trackField") || "").trim(),
+          masking: fd.get("masking") || undefined,
+          usersAndRoles: fd.get("usersAndRoles") === "on",
+          subset,
+        },
+        selection,
+        databases,
+        readSpeed(fd)
+      );
+      // "<target>/<name>" of the backup an incremental continues
+      const from = String(fd.get("incrementalFrom") || "");
+      if (from) {
+        const slash = from.indexOf("/");
+        body.target = from.slice(0, slash);
+        body.incrementalFrom = from.slice(slash + 1);
+        delete body.tracking;
+        delete body.masking;
+      }
+      if (fd.get("stream")) {
+        delete body.resumeId;
+        delete body.target;
+        appendLog("backupLog", "Starting streamed backup...");
+        postToFrame("/api/backup/stream", body, "backupLog");
+        return;
+      }
+      appendLog(
+        "backupLog",
+        resumeId ? "Resuming backup..." : "Starting backup..."
+      );
       fetch("/api/backup", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
@@ -137,7 +931,8 @@
             setFormsDisabled(false);
             return;
           }
-          appendLog("backupLog", j);
+          appendLog("backupLog", "Job started: " + j.jobId);
+          followJob(j.jobId);
         })
         .catch((err) => {
           appendLog("backupLog", err.message || err);
@@ -148,18 +943,29 @@
 
   const transferForm = document.getElementById("transferForm");
   if (transferForm) {
+    bindCollectionPicker(
+      transferForm,
+      "transferPicker",
+      "srcUri",
+      "srcDb",
+      "transferLog"
+    );
+    bindResume(transferForm, "transfer");
     transferForm.addEventListener("submit", (e) => {
       e.preventDefault();
 
       const fd = new FormData(e.target);
+      const resumeId = takeResumeId(e.target);
       setFormsDisabled(true);
       const srcUri = String(fd.get("srcUri") || "").trim();
       const srcDb = String(fd.get("srcDb") || "").trim();
       const dstUri = String(fd.get("dstUri") || "").trim();
       const dstDb = String(fd.get("dstDb") || "").trim();
       const batch = Number(fd.get("batchSize") || 1000);
+      const verify = fd.get("verify") === "on";
+      const databases = readDatabases(fd);
 
-      if (!srcUri || !srcDb || !dstUri || !dstDb) {
+      if (!srcUri || !dstUri || !(databases || (srcDb && dstDb))) {
         appendLog(
           "transferLog",
           "Missing source/target URI or DB. Please fill all fields."
@@ -168,8 +974,55 @@
         return;
       }
 
-      const body = { srcUri, srcDb, dstUri, dstDb, socketId, batchSize: batch };
-      appendLog("transferLog", "Starting transfer...");
+      const subset = readSubset(fd);
+      const selection =
+        readSelection(e.target, fd) || (subset && {}) || (databases && {});
+      if (!selection) {
+        appendLog("transferLog", "Select at least one collection.");
+        setFormsDisabled(false);
+        return;
+      }
+      const dryRun = fd.get("dryRun") === "on";
+      if (
+        !resumeId &&
+        !dryRun &&
+        !confirmWriteMode(fd, databases ? databases.databases : dstDb)
+      ) {
+        appendLog("transferLog", "Transfer cancelled.");
+        setFormsDisabled(false);
+        return;
+      }
+
+      const body = Object.assign(
+        {
+          srcUri,
+          srcDb: srcDb || undefined,
+          dstUri,
+          dstDb: dstDb || undefined,
+          socketId,
+          batchSize: batch,
+          verify,
+          writeMode: fd.get("writeMode"),
+          upsertKey: String(fd.get("upsertKey") || "").trim(),
+          sync: fd.get("sync") === "on",
+          dryRun,
+          masking: fd.get("masking") || undefined,
+          subset,
+          resumeId,
+        },
+        selection,
+        readMapping(fd),
+        databases,
+        readSpeed(fd)
+      );
+      appendLog(
+        "transferLog",
+        resumeId
+          ? "Resuming transfer..."
+          : dryRun
+          ? "Starting dry run..."
+          : "Starting transfer..."
+      );
       fetch("/api/transfer", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
@@ -185,7 +1038,8 @@
             setFormsDisabled(false);
             return;
           }
-          appendLog("transferLog", j);
+          appendLog("transferLog", "Job started: " + j.jobId);
+          followJob(j.jobId);
         })
         .catch((err) => {
           appendLog("transferLog", err.message || err);
@@ -196,11 +1050,18 @@
 
   const uploadForm = document.getElementById("uploadForm");
   if (uploadForm) {
+    bindResume(uploadForm, "upload");
     uploadForm.addEventListener("submit", (e) => {
       e.preventDefault();
 
       const form = e.target;
       const fd = new FormData(form);
+      // a resumed upload continues from the archive already on the server
+      const resumeId = takeResumeId(form);
+      if (resumeId) {
+        fd.delete("file");
+        fd.set("resumeId", resumeId);
+      }
 
       setFormsDisabled(true);
       const fileInput = form.querySelector('input[name="file"]');
@@ -208,22 +1069,35 @@
       const dbNameVal = String(fd.get("dbName") || "").trim();
       fd.append("socketId", socketId);
       fd.append("batchSize", form.batchSize.value || 1000);
+      fd.set("verify", form.verify.checked ? "true" : "false");
+      fd.set("dryRun", form.dryRun.checked ? "true" : "false");
+      fd.set("usersAndRoles", form.usersAndRoles.checked ? "true" : "false");
 
-      if (!fileInput || !fileInput.files || !fileInput.files.length) {
-        appendLog("uploadLog", "Please choose a zip file to upload.");
+      if (
+        !resumeId &&
+        (!fileInput || !fileInput.files || !fileInput.files.length)
+      ) {
+        appendLog("uploadLog", "Please choose a file to upload.");
         setFormsDisabled(false);
         return;
       }
-      if (!uriVal || !dbNameVal) {
-        appendLog(
-          "uploadLog",
-          "Missing target Mongo URI or DB name. Please fill both fields."
-        );
+      // a backup zip of several databases needs no DB name
+      if (!uriVal) {
+        appendLog("uploadLog", "Missing target Mongo URI.");
+        setFormsDisabled(false);
+        return;
+      }
+      if (
+        !resumeId &&
+        !form.dryRun.checked &&
+        !confirmWriteMode(fd, dbNameVal || "all databases")
+      ) {
+        appendLog("uploadLog", "Upload cancelled.");
         setFormsDisabled(false);
         return;
       }
 
-      appendLog("uploadLog", "Uploading...");
+      appendLog("uploadLog", resumeId ? "Resuming upload..." : "Uploading...");
       fetch("/api/upload", { method: "POST", body: fd })
         .then(async (r) => {
           const j = await r.json().catch(() => null);
@@ -232,7 +1106,8 @@
             setFormsDisabled(false);
             return;
           }
-          appendLog("uploadLog", j);
+          appendLog("uploadLog", "Job started: " + j.jobId);
+          followJob(j.jobId);
         })
         .catch((err) => {
           appendLog("uploadLog", err.message || err);
@@ -241,12 +1116,642 @@
     });
   }
 
+  // backups catalog
+  function formatSize(bytes) {
+    if (bytes >= 1 << 30) return (bytes / (1 << 30)).toFixed(1) + " GB";
+    if (bytes >= 1 << 20) return (bytes / (1 << 20)).toFixed(1) + " MB";
+    return Math.ceil(bytes / 1024) + " KB";
+  }
+
+  function renderBackups(list) {
+    const container = document.getElementById("backupList");
+    if (!container) return;
+    container.innerHTML = "";
+    if (!list.length) {
+      container.innerHTML = '<p class="small">No backups yet.</p>';
+      return;
+    }
+    const ul = document.createElement("ul");
+    list.forEach((b) => {
+      const li = document.createElement("li");
+      li.className = "job";
+      const head = document.createElement("div");
+      head.innerHTML = "<strong></strong> <span class='small'></span>";
+      head.querySelector("strong").textContent = b.name;
+      const colls = Object.keys(b.collections);
+      head.querySelector("span").textContent =
+        (b.databases
+          ? b.databases.length + " databases"
+          : b.sourceDb || "unknown db") +
+        " · " +
+        new Date(b.createdAt).toLocaleString() +
+        " · " +
+        formatSize(b.size) +
+        " · " +
+        colls.length +
+        " collections" +
+        (b.totalDocs != null ? ", " + b.totalDocs + " docs" : "") +
+        (b.views && b.views.length ? ", " + b.views.length + " views" : "") +
+        (b.usersAndRoles
+          ? " · " +
+            b.usersAndRoles.users +
+            " users, " +
+            b.usersAndRoles.roles +
+            " roles"
+          : "") +
+        (b.target !== "local" ? " · " + b.target : "") +
+        (b.incremental
+          ? " · incremental #" +
+            b.incremental.sequence +
+            " after " +
+            b.incremental.previous
+          : b.tracking
+          ? " · tracked (" + b.tracking.mode + ")"
+          : "") +
+        (b.subset ? " · subset of " + b.subset.root : "") +
+        (b.masking ? " · masked (" + b.masking + ")" : "") +
+        (b.compression ? " · " + b.compression : "") +
+        (b.encrypted ? " · encrypted" : "") +
+        (b.owner ? " · " + b.owner : "") +
+        (b.error ? " · " + b.error : "");
+      head.title = colls
+        .map(
+          (c) => c + (b.collections[c] != null ? ": " + b.collections[c] : "")
+        )
+        .join("\n");
+      li.appendChild(head);
+      if (!canManage(b.owner)) {
+        ul.appendChild(li);
+        return;
+      }
+      [
+        ["Download", () => (window.location.href = b.download)],
+        ["Restore", () => openRestore(b)],
+        ["Export", () => openExport(b)],
+        [
+          "Delete",
+          () => {
+            if (confirm('Delete backup "' + b.name + '"?')) deleteBackup(b);
+          },
+        ],
+      ].forEach(([label, fn]) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "secondary";
+        btn.textContent = label;
+        btn.addEventListener("click", fn);
+        li.appendChild(btn);
+      });
+      ul.appendChild(li);
+    });
+    container.appendChild(ul);
+  }
+
+  function loadBackups() {
+    fetch("/api/backups")
+      .then((r) => r.json())
+      .then((j) => {
+        renderBackups(j.backups || []);
+        renderIncrementalChoices(j.backups || []);
+        renderCompareChoices(j.backups || []);
+        (j.errors || []).forEach((e) =>
+          appendLog("restoreLog", "Storage " + e.target + ": " + e.error)
+        );
+      })
+      .catch(() => {});
+  }
+
+  // full backups the user manages, as sides of a comparison
+  function renderCompareChoices(list) {
+    document.querySelectorAll("select[data-backups]").forEach((select) => {
+      const current = select.value;
+      select.length = 0;
+      list
+        .filter((b) => !b.incremental && canManage(b.owner))
+        .forEach((b) => {
+          const opt = document.createElement("option");
+          opt.value = b.target + "/" + b.name;
+          opt.textContent =
+            b.name + (b.target !== "local" ? " (" + b.target + ")" : "");
+          select.appendChild(opt);
+        });
+      select.value = current;
+    });
+  }
+
+  // backups an incremental backup can continue: tracked ones the user manages
+  function renderIncrementalChoices(list) {
+    const select = document.getElementById("incrementalFrom");
+    if (!select) return;
+    const current = select.value;
+    select.length = 1;
+    list
+      .filter((b) => b.tracking && canManage(b.owner))
+      .forEach((b) => {
+        const opt = document.createElement("option");
+        opt.value = b.target + "/" + b.name;
+        opt.textContent =
+          "Changes since " +
+          b.name +
+          (b.target !== "local" ? " (" + b.target + ")" : "");
+        select.appendChild(opt);
+      });
+    select.value = current;
+    if (select.selectedIndex < 0) select.selectedIndex = 0;
+  }
+
+  // API path of a catalog backup, with its storage target
+  function backupPath(name, target, suffix) {
+    return (
+      "/api/backups/" +
+      encodeURIComponent(name) +
+      (suffix || "") +
+      "?target=" +
+      encodeURIComponent(target || "local")
+    );
+  }
+
+  function deleteBackup(b) {
+    const name = b.name;
+    fetch(backupPath(name, b.target), { method: "DELETE" })
+      .then(async (r) => {
+        const j = await r.json().catch(() => null);
+        if (!r.ok) {
+          appendLog("restoreLog", j && j.error ? j.error : "HTTP " + r.status);
+          return;
+        }
+        appendLog("restoreLog", "Deleted " + name);
+        loadBackups();
+      })
+      .catch((err) => appendLog("restoreLog", err.message || err));
+  }
+
+  const restoreForm = document.getElementById("restoreForm");
+  function openRestore(b) {
+    if (!restoreForm) return;
+    restoreForm.archive.value = b.name;
+    restoreForm.storage.value = b.target;
+    // a backup of several databases restores into databases of their own
+    restoreForm.querySelector("[data-single-db]").hidden = !!b.databases;
+    restoreForm.querySelector("[data-databases]").hidden = !b.databases;
+    restoreForm.dataset.databases = b.databases ? "true" : "";
+    // users and roles are offered when the backup took them
+    restoreForm.querySelector("[data-users-and-roles]").hidden =
+      !b.usersAndRoles;
+    restoreForm.usersAndRoles.checked = false;
+    document.getElementById("restoreName").textContent = b.name;
+    restoreForm.hidden = false;
+  }
+
+  // exports download through the stream frame; errors land in the log
+  const exportForm = document.getElementById("exportForm");
+  function openExport(b) {
+    if (!exportForm) return;
+    exportForm.archive.value = b.name;
+    exportForm.storage.value = b.target;
+    document.getElementById("exportName").textContent = b.name;
+    const select = exportForm.elements.collection;
+    select.length = 0;
+    ["", ...Object.keys(b.collections || {})].forEach((c) => {
+      const opt = document.createElement("option");
+      opt.value = c;
+      opt.textContent = c || "All collections";
+      select.appendChild(opt);
+    });
+    exportForm.hidden = false;
+  }
+
+  if (exportForm) {
+    exportForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const fd = new FormData(exportForm);
+      const name = String(fd.get("archive") || "");
+      if (!name) return;
+      const body = Object.fromEntries(fd.entries());
+      delete body.archive;
+      delete body.storage;
+      appendLog("restoreLog", "Exporting " + name + " as " + body.format);
+      postToFrame(
+        backupPath(name, String(fd.get("storage") || ""), "/export"),
+        body,
+        "restoreLog"
+      );
+    });
+  }
+
+  if (restoreForm) {
+    bindResume(restoreForm, "restore");
+    restoreForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const fd = new FormData(restoreForm);
+      const name = String(fd.get("archive") || "");
+      const dbNameVal = String(fd.get("dbName") || "").trim();
+      const resumeId = takeResumeId(restoreForm);
+      if (!name) return;
+      const several = !!restoreForm.dataset.databases;
+      if (several) fd.delete("dbName");
+      else
+        ["databases", "excludeDatabases", "databaseMap"].forEach((k) =>
+          fd.delete(k)
+        );
+      if (!String(fd.get("uri") || "").trim() || !(dbNameVal || several)) {
+        appendLog(
+          "restoreLog",
+          "Missing target Mongo URI or DB name. Please fill both fields."
+        );
+        return;
+      }
+      const dryRun = restoreForm.dryRun.checked;
+      if (
+        !resumeId &&
+        !dryRun &&
+        !confirmWriteMode(fd, several ? "all databases" : dbNameVal)
+      ) {
+        appendLog("restoreLog", "Restore cancelled.");
+        return;
+      }
+      const target = String(fd.get("storage") || "");
+      const body = Object.fromEntries(fd.entries());
+      delete body.archive;
+      delete body.storage;
+      body.verify = restoreForm.verify.checked;
+      body.dryRun = dryRun;
+      body.usersAndRoles = restoreForm.usersAndRoles.checked;
+      body.socketId = socketId;
+      if (resumeId) body.resumeId = resumeId;
+
+      setFormsDisabled(true);
+      appendLog(
+        "restoreLog",
+        (resumeId
+          ? "Resuming restore of "
+          : dryRun
+          ? "Comparing "
+          : "Restoring ") +
+          name +
+          "..."
+      );
+      fetch(backupPath(name, target, "/restore"), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      })
+        .then(async (r) => {
+          const j = await r.json().catch(() => null);
+          if (!r.ok) {
+            appendLog(
+              "restoreLog",
+              j && j.error ? j.error : "HTTP " + r.status
+            );
+            setFormsDisabled(false);
+            return;
+          }
+          appendLog("restoreLog", "Job started: " + j.jobId);
+          followJob(j.jobId);
+        })
+        .catch((err) => {
+          appendLog("restoreLog", err.message || err);
+          setFormsDisabled(false);
+        });
+    });
+  }
+
+  // a compare side from the form: a database or "<target>/<name>" of a backup
+  function readCompareSide(fd, key) {
+    if (fd.get(key + "Kind") === "backup") {
+      const value = String(fd.get(key + "Backup") || "");
+      const slash = value.indexOf("/");
+      if (slash < 0) return null;
+      return {
+        storage: value.slice(0, slash),
+        backup: value.slice(slash + 1),
+        passphrase: String(fd.get(key + "Passphrase") || "") || undefined,
+      };
+    }
+    const uri = String(fd.get(key + "Uri") || "").trim();
+    const dbName = String(fd.get(key + "Db") || "").trim();
+    return uri && dbName ? { uri, dbName } : null;
+  }
+
+  const compareForm = document.getElementById("compareForm");
+  if (compareForm) {
+    // only the fields of the chosen kind of each side are shown
+    compareForm.querySelectorAll("[data-side]").forEach((fieldset) => {
+      const kind = fieldset.querySelector("select");
+      const show = () =>
+        fieldset
+          .querySelectorAll("[data-kind]")
+          .forEach((el) => (el.hidden = el.dataset.kind !== kind.value));
+      kind.addEventListener("change", show);
+      show();
+    });
+    compareForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const fd = new FormData(compareForm);
+      const source = readCompareSide(fd, "source");
+      const target = readCompareSide(fd, "target");
+      if (!source || !target) {
+        appendLog(
+          "compareLog",
+          "Choose a backup or fill in the URI and DB name of both sides."
+        );
+        return;
+      }
+      const body = {
+        source,
+        target,
+        include: String(fd.get("include") || "").trim(),
+        exclude: String(fd.get("exclude") || "").trim(),
+        socketId,
+      };
+      setFormsDisabled(true);
+      appendLog("compareLog", "Starting comparison...");
+      fetch("/api/compare", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      })
+        .then(async (r) => {
+          const j = await r.json().catch(() => null);
+          if (!r.ok) {
+            appendLog(
+              "compareLog",
+              j && j.error ? j.error : "HTTP " + r.status
+            );
+            setFormsDisabled(false);
+            return;
+          }
+          appendLog("compareLog", "Job started: " + j.jobId);
+          followJob(j.jobId);
+        })
+        .catch((err) => {
+          appendLog("compareLog", err.message || err);
+          setFormsDisabled(false);
+        });
+    });
+  }
+
+  const refreshBackups = document.getElementById("refreshBackups");
+  if (refreshBackups) {
+    refreshBackups.addEventListener("click", loadBackups);
+    loadBackups();
+  }
+  // new zips appear when a backup finishes; a restore may free one for delete
+  socket.on("job-update", (job) => {
+    if (job.type === "backup" && job.status === "done") loadBackups();
+  });
+
+  // user accounts (admins only)
+  function renderUsers(list) {
+    const container = document.getElementById("userList");
+    if (!container) return;
+    container.innerHTML = "";
+    const ul = document.createElement("ul");
+    list.forEach((u) => {
+      const li = document.createElement("li");
+      li.className = "job";
+      const head = document.createElement("div");
+      head.innerHTML = "<strong></strong> <span class='small'></span>";
+      head.querySelector("strong").textContent = u.name;
+      head.querySelector("span").textContent = u.role;
+      li.appendChild(head);
+      const role = document.createElement("select");
+      ["viewer", "operator", "admin"].forEach((r) => {
+        const opt = document.createElement("option");
+        opt.value = opt.textContent = r;
+        opt.selected = r === u.role;
+        role.appendChild(opt);
+      });
+      role.addEventListener("change", () =>
+        userAction(u.name, "PUT", { role: role.value })
+      );
+      li.appendChild(role);
+      [
+        [
+          "Set password",
+          () => {
+            const password = prompt("New password for " + u.name + ":");
+            if (password) userAction(u.name, "PUT", { password });
+          },
+        ],
+        [
+          "Delete",
+          () => {
+            if (confirm('Delete user "' + u.name + '"?'))
+              userAction(u.name, "DELETE");
+          },
+        ],
+      ].forEach(([label, fn]) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "secondary";
+        btn.textContent = label;
+        btn.addEventListener("click", fn);
+        li.appendChild(btn);
+      });
+      ul.appendChild(li);
+    });
+    container.appendChild(ul);
+  }
+
+  function loadUsers() {
+    fetch("/api/users")
+      .then((r) => r.json())
+      .then((j) => renderUsers(j.users || []))
+      .catch(() => {});
+  }
+
+  function userAction(name, method, body) {
+    fetch("/api/users/" + encodeURIComponent(name), {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    })
+      .then(async (r) => {
+        const j = await r.json().catch(() => null);
+        if (!r.ok)
+          appendLog("userLog", j && j.error ? j.error : "HTTP " + r.status);
+        else
+          appendLog(
+            "userLog",
+            (method === "DELETE" ? "Deleted " : "Updated ") + name
+          );
+        loadUsers();
+      })
+      .catch((err) => appendLog("userLog", err.message || err));
+  }
+
+  const userForm = document.getElementById("userForm");
+  if (userForm) {
+    userForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const fd = new FormData(userForm);
+      fetch("/api/users", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(Object.fromEntries(fd.entries())),
+      })
+        .then(async (r) => {
+          const j = await r.json().catch(() => null);
+          if (!r.ok) {
+            appendLog("userLog", j && j.error ? j.error : "HTTP " + r.status);
+            return;
+          }
+          appendLog("userLog", "User added: " + j.user.name);
+          userForm.reset();
+          loadUsers();
+        })
+        .catch((err) => appendLog("userLog", err.message || err));
+    });
+    loadUsers();
+  }
+
+  // scheduled backups
+  function renderSchedules(list) {
+    const container = document.getElementById("scheduleList");
+    if (!container) return;
+    container.innerHTML = "";
+    if (!list.length) {
+      container.innerHTML = '<p class="small">No schedules yet.</p>';
+      return;
+    }
+    const ul = document.createElement("ul");
+    list.forEach((sch) => {
+      const li = document.createElement("li");
+      li.className = "job";
+      const head = document.createElement("div");
+      head.innerHTML = "<strong></strong> <span class='small'></span>";
+      head.querySelector("strong").textContent =
+        sch.name + (sch.enabled ? "" : " (disabled)");
+      head.querySelector("span").textContent =
+        sch.cron +
+        " · " +
+        (sch.dbName || sch.options.databases) +
+        (sch.nextRunAt
+          ? " · next " + new Date(sch.nextRunAt).toLocaleString()
+          : "") +
+        (sch.lastStatus ? " · last " + sch.lastStatus : "") +
+        " · " +
+        sch.backups.length +
+        " kept" +
+        (sch.owner ? " · " + sch.owner : "");
+      li.appendChild(head);
+      if (!canManage(sch.owner)) {
+        ul.appendChild(li);
+        return;
+      }
+      [
+        ["Run now", () => scheduleAction(sch.id + "/run", "POST")],
+        [
+          sch.enabled ? "Disable" : "Enable",
+          () => scheduleAction(sch.id, "PUT", { enabled: !sch.enabled }),
+        ],
+        [
+          "Delete",
+          () => {
+            if (confirm('Delete schedule "' + sch.name + '"?'))
+              scheduleAction(sch.id, "DELETE");
+          },
+        ],
+      ].forEach(([label, fn]) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "secondary";
+        btn.textContent = label;
+        btn.addEventListener("click", fn);
+        li.appendChild(btn);
+      });
+      ul.appendChild(li);
+    });
+    container.appendChild(ul);
+  }
+
+  function loadSchedules() {
+    fetch("/api/schedules")
+      .then((r) => r.json())
+      .then((j) => renderSchedules(j.schedules || []))
+      .catch(() => {});
+  }
+
+  function scheduleAction(pathSuffix, method, body) {
+    fetch("/api/schedules/" + pathSuffix, {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    })
+      .then(async (r) => {
+        const j = await r.json().catch(() => null);
+        if (!r.ok) {
+          appendLog("scheduleLog", j && j.error ? j.error : "HTTP " + r.status);
+          return;
+        }
+        if (j.jobId) appendLog("scheduleLog", "Job started: " + j.jobId);
+        loadSchedules();
+      })
+      .catch((err) => appendLog("scheduleLog", err.message || err));
+  }
+
+  const scheduleForm = document.getElementById("scheduleForm");
+  if (scheduleForm) {
+    scheduleForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const fd = new FormData(scheduleForm);
+      const val = (k) => String(fd.get(k) || "").trim();
+      const body = {
+        name: val("name"),
+        cron: val("cron"),
+        uri: val("uri"),
+        dbName: val("dbName"),
+        options: {
+          databases: val("databases") || undefined,
+          include: val("include"),
+          exclude: val("exclude"),
+          target: val("target") || undefined,
+          masking: val("masking") || undefined,
+        },
+        retention: {
+          keepLast: Number(val("keepLast")) || 0,
+          daily: Number(val("daily")) || 0,
+          weekly: Number(val("weekly")) || 0,
+          monthly: Number(val("monthly")) || 0,
+        },
+      };
+      fetch("/api/schedules", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      })
+        .then(async (r) => {
+          const j = await r.json().catch(() => null);
+          if (!r.ok) {
+            appendLog(
+              "scheduleLog",
+              j && j.error ? j.error : "HTTP " + r.status
+            );
+            return;
+          }
+          appendLog("scheduleLog", "Schedule added: " + j.schedule.name);
+          scheduleForm.reset();
+          loadSchedules();
+        })
+        .catch((err) => appendLog("scheduleLog", err.message || err));
+    });
+  }
+  // viewers get the list without the form
+  if (document.getElementById("scheduleList")) loadSchedules();
+  socket.on("job-update", (job) => {
+    if (job.type === "backup" && job.params && job.params.schedule)
+      loadSchedules();
+  });
+
   // socket events - backup
-  socket.on("backup-start", (d) =>
-    appendLog("backupLog", Object.assign({ event: "start" }, d))
-  );
-  socket.on("backup-collection-start", (d) => {
+  socket.on("backup-start", (d) => {
+    if (d.checkpointId) setResumable("backup", d.checkpointId);
     if (d.collections) renderCollectionList("backupCollections", d.collections);
+    appendLog("backupLog", Object.assign({ event: "start" }, d));
+  });
+  socket.on("backup-collection-start", (d) => {
+    markCollectionStarted("backupCollections", d.collection);
   });
   socket.on("backup-progress", (d) => {
     updateCollectionProgress(
@@ -263,10 +1768,12 @@
     updateCollectionProgress("backupCollections", d.collection, 100);
   });
   socket.on("backup-done", (d) => {
+    setResumable("backup", null);
     appendLog("backupLog", Object.assign({ event: "done" }, d));
     setFormsDisabled(false);
   });
   socket.on("backup-error", (d) => {
+    if (d.checkpointId) setResumable("backup", d.checkpointId);
     appendLog("backupLog", Object.assign({ event: "error" }, d));
     setFormsDisabled(false);
     if (d.collection) {
@@ -280,12 +1787,35 @@
     }
   });
 
+  // subset selection runs before the copy of backups and transfers
+  ["backup", "transfer"].forEach((op) => {
+    const logId = op + "Log";
+    const counts = (d) =>
+      Object.entries(d.counts)
+        .map(([c, n]) => c + " " + n)
+        .join(", ");
+    socket.on(op + "-subset-start", (d) =>
+      appendLog(logId, "Selecting subset from " + d.root + "...")
+    );
+    socket.on(op + "-subset-progress", (d) =>
+      appendLog(logId, "Selected so far: " + counts(d))
+    );
+    socket.on(op + "-subset-done", (d) =>
+      appendLog(logId, "Subset selected: " + counts(d))
+    );
+  });
+
   // socket events - transfer
   socket.on("transfer-start", (d) => {
+    if (d.checkpointId) setResumable("transfer", d.checkpointId);
     if (d.collections)
       renderCollectionList("transferCollections", d.collections);
     appendLog("transferLog", Object.assign({ event: "start" }, d));
   });
+  socket.on("transfer-collection-start", (d) => {
+    markCollectionStarted("transferCollections", d.collection);
+    appendLog("transferLog", Object.assign({ event: "collection-start" }, d));
+  });
   socket.on("transfer-progress", (d) => {
     updateCollectionProgress(
       "transferCollections",
@@ -300,11 +1830,52 @@
     appendLog("transferLog", Object.assign({ event: "collection-done" }, d));
     updateCollectionProgress("transferCollections", d.collection, 100);
   });
+  // live sync status under the transfer form
+  const syncStatus = document.getElementById("syncStatus");
+  let syncJobId = null;
+  if (syncStatus) {
+    document.getElementById("cutoverBtn").addEventListener("click", () => {
+      if (syncJobId) cutOver(syncJobId);
+    });
+  }
+  function showSync(text, cuttingOver) {
+    if (!syncStatus) return;
+    syncStatus.hidden = text == null;
+    if (text != null) syncStatus.querySelector("span").textContent = text;
+    document.getElementById("cutoverBtn").disabled = !!cuttingOver;
+  }
+  socket.on("transfer-sync-start", (d) => {
+    syncJobId = d.jobId;
+    appendLog("transferLog", "Copy done; following source changes...");
+    showSync("Catching up with changes made during the copy...");
+  });
+  socket.on("transfer-sync-progress", (d) => {
+    syncJobId = d.jobId;
+    const a = d.applied;
+    showSync(
+      "Lag " +
+        formatLag(d.lagMs) +
+        (d.caughtUp ? " (caught up)" : "") +
+        " · " +
+        a.inserted +
+        " inserted, " +
+        a.updated +
+        " updated, " +
+        a.deleted +
+        " deleted" +
+        (d.cuttingOver ? " · cutting over..." : ""),
+      d.cuttingOver
+    );
+  });
   socket.on("transfer-done", (d) => {
+    showSync(null);
+    setResumable("transfer", null);
     appendLog("transferLog", Object.assign({ event: "done" }, d));
     setFormsDisabled(false);
   });
   socket.on("transfer-error", (d) => {
+    showSync(null);
+    if (d.checkpointId) setResumable("transfer", d.checkpointId);
     appendLog("transferLog", Object.assign({ event: "error" }, d));
     setFormsDisabled(false);
     if (d.collection) {
@@ -318,44 +1889,154 @@
     }
   });
 
-  // socket events - upload
-  socket.on("upload-start", (d) => {
-    appendLog("uploadLog", Object.assign({ event: "start" }, d));
-    setFormsDisabled(true);
-  });
-  socket.on("upload-collection-start", (d) => {
-    renderCollectionList("uploadCollections", [d.collection]);
-    appendLog("uploadLog", Object.assign({ event: "collection-start" }, d));
-  });
-  socket.on("upload-progress", (d) => {
-    updateCollectionProgress(
-      "uploadCollections",
-      d.collection,
-      d.percent,
-      d.speed,
-      d.etaSec
+  socket.on("transfer-views", (d) =>
+    appendLog("transferLog", Object.assign({ event: "views" }, d))
+  );
+  bindVerifyEvents("transfer", "transferLog", "transferCollections");
+
+  // socket events - upload and catalog restore share the restore job events
+  function bindRestoreEvents(op) {
+    const logId = op + "Log";
+    const listId = op + "Collections";
+    socket.on(op + "-start", (d) => {
+      if (d.checkpointId) setResumable(op, d.checkpointId);
+      if (d.collections) renderCollectionList(listId, d.collections);
+      appendLog(logId, Object.assign({ event: "start" }, d));
+      setFormsDisabled(true);
+    });
+    socket.on(op + "-converted", (d) => {
+      appendLog(logId, Object.assign({ event: "converted" }, d));
+    });
+    socket.on(op + "-collection-start", (d) => {
+      markCollectionStarted(listId, d.collection);
+      appendLog(logId, Object.assign({ event: "collection-start" }, d));
+    });
+    socket.on(op + "-progress", (d) => {
+      updateCollectionProgress(
+        listId,
+        d.collection,
+        d.percent,
+        d.speed,
+        d.etaSec
+      );
+      appendLog(logId, Object.assign({ event: "progress" }, d));
+    });
+    socket.on(op + "-collection-done", (d) => {
+      appendLog(logId, Object.assign({ event: "collection-done" }, d));
+      updateCollectionProgress(listId, d.collection, 100);
+    });
+    socket.on(op + "-views", (d) => {
+      appendLog(logId, Object.assign({ event: "views" }, d));
+    });
+    socket.on(op + "-users-and-roles", (d) => {
+      appendLog(logId, Object.assign({ event: "users-and-roles" }, d));
+    });
+    socket.on(op + "-done", (d) => {
+      setResumable(op, null);
+      appendLog(logId, Object.assign({ event: "done" }, d));
+      Object.entries(d.deadLetter || {}).forEach(([coll, url]) =>
+        appendLink(logId, "Download rejected records of " + coll, url)
+      );
+      setFormsDisabled(false);
+    });
+    socket.on(op + "-error", (d) => {
+      if (d.checkpointId) setResumable(op, d.checkpointId);
+      appendLog(logId, Object.assign({ event: "error" }, d));
+      setFormsDisabled(false);
+      if (d.collection) markCollectionError(listId, d.collection);
+    });
+    bindVerifyEvents(op, logId, listId);
+  }
+
+  bindRestoreEvents("upload");
+  bindRestoreEvents("restore");
+
+  // comparison events: of compare jobs and of dry runs, which compare what
+  // a transfer, upload or restore would write with its target
+  function compareRow(d) {
+    const tr = document.createElement("tr");
+    tr.className = "compare-" + d.status;
+    const c = d.counts;
+    const indexes = d.indexes
+      ? [
+          ["only in source", d.indexes.onlySource],
+          ["only in target", d.indexes.onlyTarget],
+          ["different", d.indexes.different],
+        ]
+          .filter(([, names]) => names.length)
+          .map(([what, names]) => what + ": " + names.join(", "))
+      : [];
+    if (d.options) indexes.push("options differ");
+    [
+      d.status,
+      d.collection === d.target
+        ? d.collection
+        : d.collection + " → " + d.target,
+      c.source,
+      c.target,
+      c.same,
+      c.different,
+      c.onlySource,
+      c.onlyTarget,
+      indexes.join("; "),
+    ].forEach((value) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    return tr;
+  }
+
+  function bindCompareEvents(prefix, logId, resultsId) {
+    socket.on(prefix + "-compare-start", (d) => {
+      const el = document.getElementById(resultsId);
+      if (el)
+        el.innerHTML =
+          "<table><thead><tr><th></th><th>Collection</th>" +
+          "<th>Source</th><th>Target</th><th>Same</th><th>Different</th>" +
+          "<th>Only source</th><th>Only target</th><th>Indexes</th>" +
+          "</tr></thead><tbody></tbody></table>";
+      appendLog(logId, "Comparing " + d.source + " with " + d.target + "...");
+    });
+    socket.on(prefix + "-compare-progress", (d) =>
+      appendLog(logId, Object.assign({ event: "compare-progress" }, d))
     );
-    appendLog("uploadLog", Object.assign({ event: "progress" }, d));
-  });
-  socket.on("upload-collection-done", (d) => {
-    appendLog("uploadLog", Object.assign({ event: "collection-done" }, d));
-    updateCollectionProgress("uploadCollections", d.collection, 100);
-  });
-  socket.on("upload-done", (d) => {
-    appendLog("uploadLog", Object.assign({ event: "done" }, d));
-    setFormsDisabled(false);
-  });
-  socket.on("upload-error", (d) => {
-    appendLog("uploadLog", Object.assign({ event: "error" }, d));
-    setFormsDisabled(false);
-    if (d.collection) {
-      const item = document.querySelector(
-        `#uploadCollections [data-coll="${d.collection}"]`
+    socket.on(prefix + "-compare-collection", (d) => {
+      const body = document.querySelector("#" + resultsId + " tbody");
+      if (body) body.appendChild(compareRow(d));
+    });
+    socket.on(prefix + "-compare-done", (d) => {
+      const s = d.summary;
+      appendLog(
+        logId,
+        s.identical
+          ? "Identical: " +
+              s.collections +
+              " collections, " +
+              s.same +
+              " documents"
+          : s.differentCollections +
+              " of " +
+              s.collections +
+              " collections differ: " +
+              s.different +
+              " different, " +
+              s.onlySource +
+              " only in source, " +
+              s.onlyTarget +
+              " only in target"
       );
-      if (item) {
-        item.classList.remove("state-running");
-        item.classList.add("state-error");
-      }
-    }
+      appendLink(logId, "Download the full report", d.report);
+      setFormsDisabled(false);
+    });
+  }
+
+  bindCompareEvents("compare", "compareLog", "compareResults");
+  bindCompareEvents("transfer", "transferLog", "transferCompare");
+  bindCompareEvents("upload", "uploadLog", "uploadCompare");
+  bindCompareEvents("restore", "restoreLog", "restoreCompare");
+  socket.on("compare-error", (d) => {
+    appendLog("compareLog", Object.assign({ event: "error" }, d));
+    setFormsDisabled(false);
   });
 })();
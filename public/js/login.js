@@ -0,0 +1,26 @@
+// login page: exchange user name and password for a session cookie
+(function () {
+  const form = document.getElementById("loginForm");
+  const log = document.getElementById("loginLog");
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const fd = new FormData(form);
+    fetch("/api/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        username: String(fd.get("username") || "").trim(),
+        password: String(fd.get("password") || ""),
+      }),
+    })
+      .then(async (r) => {
+        const j = await r.json().catch(() => null);
+        if (!r.ok) {
+          log.textContent = j && j.error ? j.error : "HTTP " + r.status;
+          return;
+        }
+        window.location.href = "/";
+      })
+      .catch((err) => (log.textContent = err.message || err));
+  });
+})();